@@ -8,42 +8,122 @@
  *  - Loads a local manifest.json which points to the JSON standards files
  *  - Computes an Age Grade % for the selected event/time/age/sex
  *  - Generates equivalent performance tables for selected targets
+ *
+ * All of the calculation work lives in lib/agegrade.js; this file only wires it to the page.
  */
 
-"use strict";
+import {
+  AGE_MIN,
+  AGE_MAX,
+  MANIFEST_PATH,
+  PACE_UNITS,
+  ageGrade,
+  ageOnDate,
+  clampAge,
+  createStandardsStore,
+  DEFAULT_CATEGORY,
+  distanceRange,
+  eventDistanceMeters,
+  equivalentTime,
+  formatPace,
+  formatSpeed,
+  listCategories,
+  matchEvent,
+  otherSex,
+  parseTimeInput,
+  secondsToTime,
+  setCategory,
+  timeDecimals,
+  toMeters,
+} from "./lib/agegrade.js";
+import { unavailableIssue, validateSet } from "./lib/validate.js";
+import { initBatchPanel } from "./ui/batch.js";
+import { downloadResultCard } from "./ui/card.js";
+import { initComparePanel } from "./ui/compare.js";
+import { buildExportActions, copyText } from "./ui/export.js";
+import {
+  eventDisplayName,
+  formatNumber,
+  formatPct,
+  initLanguagePicker,
+  issueText,
+  localize,
+  parseDecimal,
+  sexName,
+  t,
+} from "./ui/i18n.js";
+import { initLevelsPanel } from "./ui/levels.js";
+import { initLogPanel } from "./ui/log.js";
+import { initMatrixPanel } from "./ui/matrix.js";
+import { initSeriesPanel } from "./ui/series.js";
+import { initProjectionPanel } from "./ui/projection.js";
+import { initRosterPanel } from "./ui/roster.js";
+import { initTargetPanel } from "./ui/target.js";
 
 const CONFIG = {
-  MANIFEST_URL: "age_grade_standards/manifest.json",
+  MANIFEST_URL: MANIFEST_PATH,
   TIME_INPUT_DEBOUNCE_MS: 120,
-  AGE_MIN: 5,
-  AGE_MAX: 110,
-  DEFAULT_MESSAGE: "Enter a valid time to calculate.",
-  LOAD_ERROR_MESSAGE:
-    "Couldn’t load the standards data. Please refresh, or check that the site is deployed correctly.",
+  AGE_MIN,
+  AGE_MAX,
+  /** Message keys (lib/i18n.js) for the Age Grade note before a result and when loading fails */
+  DEFAULT_MESSAGE: "grade.time",
+  /** eventPick option value for the custom distance entry */
+  CUSTOM_EVENT: "custom-distance",
+  LOAD_ERROR_MESSAGE: "app.loadError",
+  /** Service worker script (offline support), relative to the page */
+  SERVICE_WORKER_URL: "sw.js",
+  /** Header the service worker sets on responses served from its cache */
+  CACHE_HEADER: "X-Age-Grade-Cache",
+  /** localStorage key for the time decimals choice ("auto", "0", "1" or "2") */
+  TIME_DECIMALS_KEY: "age-grade-time-decimals",
+  /** localStorage key for the pace/speed units choice ("km", "mi", "both" or "none") */
+  PACE_UNITS_KEY: "age-grade-pace-units",
 };
 
 const $ = (id) => document.getElementById(id);
 
 /** Cached DOM references */
 const dom = {
+  langPick: $("langPick"),
+  categoryPick: $("categoryPick"),
   setPick: $("setPick"),
   sexPick: $("sexPick"),
   agePick: $("agePick"),
   eventPick: $("eventPick"),
   timePick: $("timePick"),
+  timeWarning: $("timeWarning"),
+
+  customDistRow: $("customDistRow"),
+  customDistPick: $("customDistPick"),
+  customDistUnit: $("customDistUnit"),
+  customDistWarning: $("customDistWarning"),
+
+  ageOptions: $("ageOptions"),
+  dobPick: $("dobPick"),
+  raceDatePick: $("raceDatePick"),
+  exactAgePick: $("exactAgePick"),
+
+  decimalsPick: $("decimalsPick"),
+  paceUnitPick: $("paceUnitPick"),
 
   ageLabelM: $("ageLabelM"),
   ageLabelF: $("ageLabelF"),
 
   ageGradeOut: $("ageGradeOut"),
   ageGradeNote: $("ageGradeNote"),
+  ageFactorNote: $("ageFactorNote"),
+  dataNotice: $("dataNotice"),
+  dataIssues: $("dataIssues"),
 
   otherGenderLabel: $("otherGenderLabel"),
   otherGenderTime: $("otherGenderTime"),
+  otherGenderPace: $("otherGenderPace"),
   peakTimeLabel: $("peakTimeLabel"),
   peakTime: $("peakTime"),
+  peakPace: $("peakPace"),
   peakOtherGenderLabel: $("peakOtherGenderLabel"),
   peakOtherGenderTime: $("peakOtherGenderTime"),
+  peakOtherGenderPace: $("peakOtherGenderPace"),
 
   results: $("results"),
 
@@ -53,18 +133,42 @@ const dom = {
 
   targetsDivider: document.querySelector(".targetsDivider"),
   equivPick: $("equivPick"),
+
+  copyLinkBtn: $("copyLinkBtn"),
+  cardBtn: $("cardBtn"),
+  printBtn: $("printBtn"),
+  offlineNotice: $("offlineNotice"),
 };
 
 const state = {
+  /** Caching standards loader (manifest + sets) */
+  store: createStandardsStore({ readJson: fetchJson, manifestPath: CONFIG.MANIFEST_URL, validate: validateSet }),
   /** Manifest object loaded from CONFIG.MANIFEST_URL */
   manifest: null,
-  /** Standards JSON cache: `${year}_${sex}` -> json */
-  standardsCache: new Map(),
-  /** Peak cache: `${year}_${sex}` -> { [event]: minSeconds|null } */
-  peakCache: new Map(),
   runTimer: null,
+  /** Incremented by every runLive; a run that is no longer the latest drops its results */
+  runId: 0,
+  /** Same for refreshEvents, so a slow set load can't fill the event list last */
+  eventsId: 0,
+  copyLinkTimer: null,
   /** null | "peakM" | "peakF" | "ageM" | "ageF" | "custom" */
   activeTarget: null,
+  /** Reverse calculator panel (see ui/target.js) */
+  targetPanel: null,
+  /** Age progression panel (see ui/projection.js) */
+  projectionPanel: null,
+  /** Multi-target equivalents panel (see ui/matrix.js) */
+  matrixPanel: null,
+  /** Age-group standards chart panel (see ui/levels.js) */
+  levelsPanel: null,
+  /** Standards set comparison panel (see ui/compare.js) */
+  comparePanel: null,
+  /** Performance log panel (see ui/log.js) */
+  logPanel: null,
+  /** Team roster panel (see ui/roster.js) */
+  rosterPanel: null,
+  /** Age-graded series panel (see ui/series.js) */
+  seriesPanel: null,
 };
 
 /* -------------------------------------------------------------------------- */
@@ -73,40 +177,60 @@ const state = {
 
 /**
  * Updates the Age Grade section (top-level value + note + 3 equivalent lines)
- * @param {object} args
+ * @param {object} args `event` is the display name
  */
 function setAgeGradeUI({
   gradePct = "—",
   note = "",
+  factorNote = "",
   sex,
   event,
   otherGenderTime = "—",
   peakSameTime = "—",
   peakOtherTime = "—",
+  otherGenderPace = "",
+  peakSamePace = "",
+  peakOtherPace = "",
 }) {
-  const sLabel = sexLabel(sex);
-  const oLabel = sexLabel(otherSex(sex));
-  const ev = event ? ` ${event}` : "";
+  // Without an event the placeholder leaves a double space
+  const label = (key, s) => t(key, { sex: sexName(s), event: event ?? "" }).replace(/\s{2,}/g, " ").trim();
 
   dom.ageGradeOut.textContent = gradePct;
   dom.ageGradeNote.textContent = note;
+  if (dom.ageFactorNote) {
+    dom.ageFactorNote.textContent = factorNote;
+    dom.ageFactorNote.hidden = !factorNote;
+  }
+
+  dom.otherGenderLabel.textContent = label("result.otherSex", otherSex(sex));
+  dom.peakTimeLabel.textContent = label("result.peak", sex);
+  dom.peakOtherGenderLabel.textContent = label("result.peak", otherSex(sex));
 
-  dom.otherGenderLabel.textContent = `Equivalent ${oLabel}${ev} Time`;
-  dom.peakTimeLabel.textContent = `Equivalent Peak Age ${sLabel}${ev} Time`;
-  dom.peakOtherGenderLabel.textContent = `Equivalent Peak Age ${oLabel}${ev} Time`;
+  if (dom.cardBtn) dom.cardBtn.disabled = gradePct === "—";
 
   dom.otherGenderTime.textContent = otherGenderTime;
   dom.peakTime.textContent = peakSameTime;
   dom.peakOtherGenderTime.textContent = peakOtherTime;
+
+  for (const [el, text] of [
+    [dom.otherGenderPace, otherGenderPace],
+    [dom.peakPace, peakSamePace],
+    [dom.peakOtherGenderPace, peakOtherPace],
+  ]) {
+    if (!el) continue;
+    el.textContent = text;
+    el.hidden = !text;
+  }
 }
 
 /**
  * Shows friendly error message in the Age Grade note (and clears results)
  * @param {string} msg
  */
-function showLoadError(msg = CONFIG.LOAD_ERROR_MESSAGE) {
+function showLoadError(msg = t(CONFIG.LOAD_ERROR_MESSAGE)) {
   const sex = dom.sexPick?.value || "M";
-  const event = dom.eventPick?.value || "";
+  const value = dom.eventPick?.value;
+  const event = value && value !== CONFIG.CUSTOM_EVENT ? eventDisplayName(value) : "";
   setAgeGradeUI({
     sex,
     event,
@@ -119,11 +243,110 @@ function showLoadError(msg = CONFIG.LOAD_ERROR_MESSAGE) {
   if (dom.results) dom.results.innerHTML = "";
 }
 
+/**
+ * Load error message with the specific failure appended (e.g. which file is missing)
+ * @param {any} err
+ * @returns {string}
+ */
+function loadErrorMessage(err) {
+  const msg = t(CONFIG.LOAD_ERROR_MESSAGE);
+  return err?.message ? `${msg} (${err.message})` : msg;
+}
+
+/**
+ * Describes the age factor and the open-class standard behind the Age Grade
+ * @param {{age: number, standard: number, ageFactor: number|null, openStandard: number|null, factorSource: string|null}} grade
+ * @returns {string}
+ */
+function describeAgeFactor({ age, standard, ageFactor, openStandard, factorSource }) {
+  if (!ageFactor || !openStandard) return "";
+  return t("result.factor", {
+    factor: formatNumber(ageFactor, 4),
+    source: factorSource === "derived" ? t("result.derived") : "",
+    open: secondsToTime(openStandard),
+    age: localize(formatAge(age)),
+    standard: secondsToTime(standard),
+  });
+}
+
+/**
+ * Flags standards cells that don't match age factor × open standard for the loaded set
+ * @param {any} set
+ */
+function updateDataNotice(set) {
+  if (!dom.dataNotice) return;
+
+  const rows = ["M", "F"].flatMap((sex) =>
+    (set.factorMismatches?.[sex] ?? []).map((m) => ({ sex, ...m }))
+  );
+
+  dom.dataNotice.hidden = rows.length === 0;
+  dom.dataNotice.innerHTML = "";
+  if (!rows.length) return;
+
+  const summary = document.createElement("summary");
+  summary.textContent = t("data.mismatch", { count: rows.length, set: set.entry.label });
+  dom.dataNotice.appendChild(summary);
+
+  const ul = document.createElement("ul");
+  for (const r of rows) {
+    const li = document.createElement("li");
+    li.textContent = t("data.mismatchRow", {
+      sex: sexName(r.sex),
+      event: eventDisplayName(r.event),
+      age: r.age,
+      time: secondsToTime(r.seconds),
+      factor: formatNumber(r.factor, 4),
+      expected: secondsToTime(r.expected),
+    });
+    ul.appendChild(li);
+  }
+  dom.dataNotice.appendChild(ul);
+}
+
+/**
+ * Lists the problems found when the set loaded (missing files, events only one
+ * sex has, missing cells, ...); the rows they affect show "—" elsewhere
+ * @param {any} set
+ */
+function updateDataIssues(set) {
+  if (!dom.dataIssues) return;
+
+  const errors = (set.issues ?? []).filter((i) => i.level === "error");
+  dom.dataIssues.hidden = errors.length === 0;
+  dom.dataIssues.innerHTML = "";
+  if (!errors.length) return;
+
+  const summary = document.createElement("summary");
+  summary.textContent = t("data.issues", { count: errors.length, set: set.entry.label });
+  dom.dataIssues.appendChild(summary);
+
+  const ul = document.createElement("ul");
+  for (const issue of errors) {
+    const li = document.createElement("li");
+    li.textContent = issueText(issue);
+    ul.appendChild(li);
+  }
+  dom.dataIssues.appendChild(ul);
+}
+
+/**
+ * Why an event's row is unavailable for one sex, if a load-time error explains it
+ * @param {any[]|undefined} issues `set.issues`
+ * @param {"M"|"F"} sex
+ * @param {string} event
+ * @returns {string|null}
+ */
+function unavailableReason(issues, sex, event) {
+  const issue = unavailableIssue(issues, sex, event);
+  return issue ? issueText(issue) : null;
+}
+
 /**
  * Updates the Age placeholders in the target button labels
  */
 function updateAgeButtons() {
-  const age = String(dom.agePick.value ?? "").trim() || "—";
+  const age = localize(String(dom.agePick.value ?? "").trim()) || "—";
 
   if (dom.ageLabelM) dom.ageLabelM.textContent = age;
   if (dom.ageLabelF) dom.ageLabelF.textContent = age;
@@ -131,8 +354,8 @@ function updateAgeButtons() {
   if (dom.equivPick) {
     const optAgeM = dom.equivPick.querySelector('option[value="ageM"]');
     const optAgeF = dom.equivPick.querySelector('option[value="ageF"]');
-    if (optAgeM) optAgeM.textContent = `Age ${age} Male Equivalents`;
-    if (optAgeF) optAgeF.textContent = `Age ${age} Female Equivalents`;
+    if (optAgeM) optAgeM.textContent = t("equiv.ageM", { age });
+    if (optAgeF) optAgeF.textContent = t("equiv.ageF", { age });
   }
 }
 
@@ -160,12 +383,17 @@ function setActiveTarget(targetOrNull) {
 }
 
 /**
- * Creates a results section with a header and a two-column table
+ * Creates a results section with a header and a table of times
+ *
+ * Rows that carry `seconds` and `meters` also get pace and speed columns in
+ * the chosen units (Display options). CSV / Copy buttons export the table as shown.
+ * Rows with a `note` (why the standard is unavailable) list it under the table
  * @param {string} title
- * @param {{event: string, time: string}[]} rows
+ * @param {{event: string, time: string, seconds?: number|null, meters?: number|null, note?: string|null}[]} rows
+ * @param {string} [timeHeader] Heading of the time column
  * @returns {HTMLDivElement}
  */
-function buildSection(title, rows) {
+function buildSection(title, rows, timeHeader = t("table.time")) {
   const div = document.createElement("div");
   div.className = "resultSection";
 
@@ -173,31 +401,43 @@ function buildSection(title, rows) {
   h.textContent = title;
   div.appendChild(h);
 
+  const units = rows.some((r) => r.meters != null) ? paceUnits() : [];
+
   const wrap = document.createElement("div");
-  wrap.className = "resultTableWrap";
+  wrap.className = units.length ? "resultTableWrap wideTableWrap" : "resultTableWrap";
 
   const table = document.createElement("table");
 
+  const columns = [
+    { label: t("table.event"), text: (r) => r.event },
+    { label: timeHeader, text: (r) => r.time, num: true },
+    ...units.flatMap((u) => [
+      { label: t("table.pace", { unit: PACE_UNITS[u].pace }), text: (r) => formatPace(r.seconds, r.meters, u), num: true },
+      { label: PACE_UNITS[u].speed, text: (r) => localize(formatSpeed(r.seconds, r.meters, u)), num: true },
+    ]),
+  ];
+
   const thead = document.createElement("thead");
   const trh = document.createElement("tr");
-  const th1 = document.createElement("th");
-  const th2 = document.createElement("th");
-  th1.textContent = "Distance / Event";
-  th2.textContent = "Equivalent Time";
-  trh.appendChild(th1);
-  trh.appendChild(th2);
+  for (const col of columns) {
+    const th = document.createElement("th");
+    th.textContent = col.label;
+    if (col.num) th.className = "num";
+    trh.appendChild(th);
+  }
   thead.appendChild(trh);
   table.appendChild(thead);
 
   const tbody = document.createElement("tbody");
   for (const r of rows) {
     const tr = document.createElement("tr");
-    const td1 = document.createElement("td");
-    const td2 = document.createElement("td");
-    td1.textContent = r.event;
-    td2.textContent = r.time;
-    tr.appendChild(td1);
-    tr.appendChild(td2);
+    if (r.note) tr.title = r.note;
+    for (const col of columns) {
+      const td = document.createElement("td");
+      td.textContent = col.text(r);
+      if (col.num) td.className = "num";
+      tr.appendChild(td);
+    }
     tbody.appendChild(tr);
   }
   table.appendChild(tbody);
@@ -205,101 +445,184 @@ function buildSection(title, rows) {
   wrap.appendChild(table);
   div.appendChild(wrap);
 
+  // One line per reason (a missing file affects every row)
+  const notes = new Map();
+  for (const r of rows.filter((row) => row.note)) notes.set(r.note, [...(notes.get(r.note) ?? []), r.event]);
+  if (notes.size) {
+    const ul = document.createElement("ul");
+    ul.className = "unavailableRows";
+    for (const [note, events] of notes) {
+      const li = document.createElement("li");
+      li.textContent = `${events.length === rows.length ? t("table.allEvents") : events.join(", ")}: ${note}`;
+      ul.appendChild(li);
+    }
+    div.appendChild(ul);
+  }
+
+  const exportRows = [columns.map((col) => col.label), ...rows.map((r) => columns.map((col) => col.text(r)))];
+  div.appendChild(buildExportActions(title, exportRows));
+
   return div;
 }
 
-/* -------------------------------------------------------------------------- */
-/*                              Formatting Helpers                             */
-/* -------------------------------------------------------------------------- */
+/**
+ * Today's local date as "YYYY-MM-DD"
+ * @returns {string}
+ */
+function todayIso() {
+  const d = new Date();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
 
 /**
- * Parse "mm:ss" or "hh:mm:ss" into seconds
- * Returns NaN for invalid input
- * @param {string} raw
- * @returns {number}
+ * Formats a time for an event at the chosen display precision
+ * ("Auto" shows tenths for short events, see TIME_PRECISION), with the
+ * language's decimal separator
+ * @param {number} seconds
+ * @param {string|number|null} event Event name, or a custom distance in metres
+ * @returns {string}
  */
-function parseTimeToSeconds(raw) {
-  const s = String(raw ?? "").trim();
-  if (!s) return NaN;
+function formatTime(seconds, event) {
+  const choice = dom.decimalsPick?.value ?? "auto";
+  const meters = typeof event === "number" ? event : eventDistanceMeters(event);
+  return localize(secondsToTime(seconds, choice === "auto" ? timeDecimals(meters) : Number(choice)));
+}
 
-  const parts = s.split(":").map((x) => x.trim());
-  if (parts.some((p) => p === "" || Number.isNaN(Number(p)))) return NaN;
+/**
+ * Pace/speed units to show next to equivalent times
+ * @returns {("km"|"mi")[]}
+ */
+function paceUnits() {
+  const choice = dom.paceUnitPick?.value ?? "km";
+  if (choice === "both") return ["km", "mi"];
+  return PACE_UNITS[choice] ? [choice] : [];
+}
 
-  if (parts.length === 2) {
-    const [mm, ss] = parts.map(Number);
-    return mm * 60 + ss;
-  }
+/**
+ * Pace and speed line for a time over an event ("" when units are off or the
+ * distance is unknown)
+ * @param {number|null} seconds
+ * @param {string|number|null} event Event name, or a custom distance in metres
+ * @returns {string}
+ */
+function paceText(seconds, event) {
+  const meters = typeof event === "number" ? event : eventDistanceMeters(event);
+  if (!seconds || meters == null) return "";
+  return paceUnits()
+    .map((u) => `${formatPace(seconds, meters, u)} · ${localize(formatSpeed(seconds, meters, u))}`)
+    .join(" · ");
+}
 
-  if (parts.length === 3) {
-    const [hh, mm, ss] = parts.map(Number);
-    return hh * 3600 + mm * 60 + ss;
+/**
+ * Restores a display option select from localStorage and remembers changes
+ * @param {HTMLSelectElement|null} selectEl
+ * @param {string} key localStorage key
+ */
+function rememberSelect(selectEl, key) {
+  if (!selectEl) return;
+  try {
+    const saved = localStorage.getItem(key);
+    if (saved) setSelectIfExists(selectEl, saved);
+  } catch {
+    // Storage blocked (private mode etc.): just don't remember
   }
 
-  return NaN;
+  selectEl.addEventListener("change", () => {
+    try {
+      localStorage.setItem(key, selectEl.value);
+    } catch {
+      // Not remembered
+    }
+    scheduleRun(0);
+  });
 }
 
 /**
- * Format seconds to "m:ss" or "h:mm:ss"
- * @param {number} seconds
+ * Formats an age (two decimals only when fractional); `localize` it for text,
+ * the Age box keeps a decimal point
+ * @param {number} age
  * @returns {string}
  */
-function secondsToTime(seconds) {
-  if (!Number.isFinite(seconds) || seconds <= 0) return "—";
-
-  const s = Math.round(seconds);
-  const hh = Math.floor(s / 3600);
-  const mm = Math.floor((s % 3600) / 60);
-  const ss = s % 60;
+function formatAge(age) {
+  return Number.isInteger(age) ? String(age) : age.toFixed(2);
+}
 
-  const ssStr = String(ss).padStart(2, "0");
-  const mmStr = hh > 0 ? String(mm).padStart(2, "0") : String(mm);
+/**
+ * Reads the age from the UI
+ *
+ * When a date of birth is entered the age on race day (today if no race date)
+ * wins over the Age box, which then just mirrors it. Outside exact mode that is
+ * completed years; in exact mode it stays fractional and the standards are
+ * interpolated between age rows.
+ * @returns {{age: number|null, exact: boolean, fromDob: boolean}}
+ */
+function getAgeInput() {
+  const exact = Boolean(dom.exactAgePick?.checked);
+  const dob = String(dom.dobPick?.value ?? "").trim();
+
+  if (dob) {
+    const raceDate = String(dom.raceDatePick.value ?? "").trim() || todayIso();
+    const years = ageOnDate(dob, raceDate);
+    const age = years == null ? null : exact ? years : Math.floor(years);
+
+    dom.agePick.readOnly = true;
+    dom.agePick.value = age == null ? "" : formatAge(age);
+    return { age, exact, fromDob: true };
+  }
 
-  return hh > 0 ? `${hh}:${mmStr}:${ssStr}` : `${mmStr}:${ssStr}`;
+  dom.agePick.readOnly = false;
+  const raw = String(dom.agePick.value ?? "").trim();
+  return { age: raw ? Number(raw) : null, exact, fromDob: false };
 }
 
 /**
- * Formats the user input time as a friendly display time
- * @param {string} raw
+ * Describes how the age was worked out, for the result note
+ * @param {number} age
+ * @param {{exact: boolean, fromDob: boolean}} mode
  * @returns {string}
  */
-function formatInputTime(raw) {
-  const sec = parseTimeToSeconds(raw);
-  return Number.isFinite(sec) && sec > 0 ? secondsToTime(sec) : "—";
+function describeAge(age, { exact, fromDob }) {
+  let text = t("result.age", { age: localize(formatAge(age)) });
+  if (fromDob) text += t("result.onRaceDay");
+  if (exact) text += t("result.exact");
+  return text;
 }
 
-function sexLabel(sex) {
-  return sex === "M" ? "Male" : "Female";
-}
+/* -------------------------------------------------------------------------- */
+/*                                Data Loading                                */
+/* -------------------------------------------------------------------------- */
 
-function otherSex(sex) {
-  return sex === "M" ? "F" : "M";
+/**
+ * Fetches and parses a JSON file (injected into the standards store)
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}`);
+  if (res.headers.get(CONFIG.CACHE_HEADER)) showOfflineNotice();
+  return res.json();
 }
 
 /**
- * Clamp age to the configured range. Returns null for invalid input
- * @param {number} n
- * @returns {number|null}
+ * Flags that the standards came from the offline cache rather than the network
  */
-function clampAge(n) {
-  if (!Number.isFinite(n)) return null;
-  if (n < CONFIG.AGE_MIN) return CONFIG.AGE_MIN;
-  if (n > CONFIG.AGE_MAX) return CONFIG.AGE_MAX;
-  return Math.round(n);
+function showOfflineNotice() {
+  if (dom.offlineNotice) dom.offlineNotice.hidden = false;
 }
 
 /**
- * Reads and clamps the age from the UI
- * @returns {number|null}
+ * Registers the service worker that precaches the app and standards for offline use
  */
-function getAge() {
-  const n = Number(String(dom.agePick.value ?? "").trim());
-  return clampAge(n);
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch(() => {
+    // Offline support is optional; the calculator works without it
+  });
 }
 
-/* -------------------------------------------------------------------------- */
-/*                                Data Loading                                */
-/* -------------------------------------------------------------------------- */
-
 /**
  * Loads the standards manifest
  * @returns {Promise<any>}
@@ -307,13 +630,23 @@ function getAge() {
 async function loadManifest() {
   if (state.manifest) return state.manifest;
 
-  const res = await fetch(CONFIG.MANIFEST_URL);
-  if (!res.ok) throw new Error(`Failed to load manifest: ${CONFIG.MANIFEST_URL}`);
-
-  state.manifest = await res.json();
+  state.manifest = await state.store.manifest();
   return state.manifest;
 }
 
+/**
+ * Label for a set in result text; non-road sets also name their category
+ * @param {any} entry
+ * @returns {string}
+ */
+function setDisplayLabel(entry) {
+  const category = setCategory(entry);
+  if (category === DEFAULT_CATEGORY) return entry.label;
+
+  const found = listCategories(state.manifest).find((c) => c.id === category);
+  return `${entry.label} ${found?.label ?? category}`;
+}
+
 /**
  * Gets the currently selected standards set entry from the manifest
  * @returns {any}
@@ -326,124 +659,90 @@ function getSelectedSetEntry() {
 }
 
 /**
- * Loads a standards JSON
+ * Loads the standards set (both sexes + peaks) for a manifest entry
  * @param {any} entry
- * @param {"M"|"F"} sex
  * @returns {Promise<any>}
  */
-async function loadStandards(entry, sex) {
-  const sexKey = sex === "M" ? "male" : "female";
-  const url = `${entry.base}/${entry[sexKey]}`;
-  const cacheKey = `${entry.year}_${sex}`;
-
-  if (state.standardsCache.has(cacheKey)) {
-    return state.standardsCache.get(cacheKey);
-  }
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to load ${url}`);
-
-  const json = await res.json();
-  state.standardsCache.set(cacheKey, json);
-  return json;
-}
-
-/**
- * Selects the usable standards table from a JSON payload
- * @param {any} json
- * @returns {{events: string[], standards_seconds: Record<string, Record<string, number|null>>}}
- */
-function getTable(json) {
-  if (json?.AgeStdSec?.standards_seconds) return json.AgeStdSec;
-  if (json?.AgeStdHMS?.standards_seconds) return json.AgeStdHMS;
-  throw new Error("No usable standards table found in JSON");
+function loadStandards(entry) {
+  return state.store.set(entry);
 }
 
 /**
- * Returns the standard seconds for a given event and age
- * @param {any} table
- * @param {string} event
- * @param {number} age
- * @returns {number|null}
+ * Loads every standards set in the selected category, in manifest order
+ * @returns {Promise<any[]>}
  */
-function getStandardSeconds(table, event, age) {
-  const map = table?.standards_seconds?.[event];
-  if (!map) return null;
-  return map[String(age)] ?? null;
+function loadCategorySets() {
+  const category = dom.categoryPick.value || DEFAULT_CATEGORY;
+  const entries = (state.manifest?.sets ?? []).filter((entry) => setCategory(entry) === category);
+  return Promise.all(entries.map(loadStandards));
 }
 
 /* -------------------------------------------------------------------------- */
-/*                              Peak Calculations                              */
+/*                             UI Refresh Helpers                              */
 /* -------------------------------------------------------------------------- */
 
-/**
- * Computes "peak age" (factor of 1.000 / fastest standard) per event in a standards table
- * @param {any} table
- * @returns {Record<string, number|null>}
- */
-function computePeak(table) {
-  const peak = {};
-  for (const event of table.events) {
-    let best = Infinity;
-    const m = table.standards_seconds[event];
-
-    for (const a of Object.keys(m)) {
-      const v = m[a];
-      if (typeof v === "number" && v > 0 && v < best) best = v;
-    }
-
-    peak[event] = Number.isFinite(best) ? best : null;
-  }
-  return peak;
+function scheduleRun(delayMs = 0) {
+  if (state.runTimer) clearTimeout(state.runTimer);
+  state.runTimer = setTimeout(runLive, delayMs);
 }
 
 /**
- * Gets peak cache for a set/sex key
- * @param {string} cacheKey
- * @param {any} table
- * @returns {Record<string, number|null>}
+ * Populates the Standards (road/track/...) select from the manifest
+ * Disabled when the manifest only has one category
  */
-function getPeak(cacheKey, table) {
-  if (!state.peakCache.has(cacheKey)) {
-    state.peakCache.set(cacheKey, computePeak(table));
-  }
-  return state.peakCache.get(cacheKey);
-}
+async function refreshCategoryPick() {
+  const manifest = await loadManifest();
+  const categories = listCategories(manifest);
+  dom.categoryPick.innerHTML = "";
 
-/* -------------------------------------------------------------------------- */
-/*                             UI Refresh Helpers                              */
-/* -------------------------------------------------------------------------- */
+  for (const { id, label } of categories) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = label;
+    dom.categoryPick.appendChild(opt);
+  }
 
-function scheduleRun(delayMs = 0) {
-  if (state.runTimer) clearTimeout(state.runTimer);
-  state.runTimer = setTimeout(runLive, delayMs);
+  dom.categoryPick.disabled = categories.length < 2;
+  if (!setSelectIfExists(dom.categoryPick, DEFAULT_CATEGORY) && categories.length) {
+    dom.categoryPick.value = categories[0].id;
+  }
 }
 
 /**
- * Populates the WMA Standards select from the manifest
+ * Populates the WMA Standards select with the selected category's sets
  */
 async function refreshSetPick() {
   const manifest = await loadManifest();
+  const category = dom.categoryPick.value || DEFAULT_CATEGORY;
   dom.setPick.innerHTML = "";
 
+  let newest = null;
   for (const [i, entry] of manifest.sets.entries()) {
+    if (setCategory(entry) !== category) continue;
+
     const opt = document.createElement("option");
     opt.value = String(i);
     opt.textContent = entry.label;
     dom.setPick.appendChild(opt);
+    newest = opt.value;
   }
 
-  if (manifest.sets.length) {
-    dom.setPick.value = String(manifest.sets.length - 1); // newest by default
+  if (newest != null) {
+    dom.setPick.value = newest; // newest by default
   }
+
+  // Fetch the category's sets side by side now, so switching sets doesn't wait
+  // (failures surface when the set is picked)
+  loadCategorySets().catch(() => {});
 }
 
 /**
- * Picks default event preference (tries 5 km first, otherwise first option)
+ * Picks default event preference (tries 5 km first, then common track events,
+ * otherwise first option)
  * @param {HTMLSelectElement} selectEl
  */
 function pickDefaultEvent(selectEl) {
-  const preferred = ["5 km", "5k", "5K", "parkrun"];
+  const preferred = ["5 km", "5k", "5K", "parkrun", "5000m", "1500m", "Mile"];
   for (const p of preferred) {
     const opt = Array.from(selectEl.options).find(
       (o) => o.value === p || o.textContent === p
@@ -459,40 +758,238 @@ function pickDefaultEvent(selectEl) {
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/*                                  URL State                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Query-string keys for every input that round-trips through the URL
+ */
+const URL_KEYS = {
+  category: "cat",
+  set: "set",
+  sex: "sex",
+  age: "age",
+  event: "event",
+  time: "time",
+  equiv: "equiv",
+  customSex: "csex",
+  customAge: "cage",
+  distance: "dist",
+  distanceUnit: "dunit",
+  dob: "dob",
+  raceDate: "race",
+  exact: "exact",
+};
+
+function getUrlParams() {
+  return new URLSearchParams(window.location.search);
+}
+
 function getUrlPreset() {
-  const params = new URLSearchParams(window.location.search);
-  if (params.get("preset") === "parkrun") return "parkrun";
+  if (getUrlParams().get("preset") === "parkrun") return "parkrun";
   return null;
 }
 
+/**
+ * Sets a select's value only when it has a matching option
+ * @param {HTMLSelectElement} selectEl
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+function setSelectIfExists(selectEl, value) {
+  if (value == null) return false;
+  const opt = Array.from(selectEl.options).find((o) => o.value === value);
+  if (!opt) return false;
+  selectEl.value = value;
+  return true;
+}
+
+/**
+ * Selects the set for a year (or label) within the selected category
+ * @param {number|string} year
+ * @returns {boolean}
+ */
 function setPickToYear(year) {
   const manifest = state.manifest;
   if (!manifest?.sets?.length) return false;
 
-  const idx = manifest.sets.findIndex(s => String(s.year) === String(year) || String(s.label).includes(String(year)));
+  const category = dom.categoryPick.value || DEFAULT_CATEGORY;
+  const idx = manifest.sets.findIndex(
+    (s) =>
+      setCategory(s) === category &&
+      (String(s.year) === String(year) || String(s.label).includes(String(year)))
+  );
   if (idx < 0) return false;
 
-  el("setPick").value = String(idx);
+  dom.setPick.value = String(idx);
   return true;
 }
 
-function setEventIfExists(eventName) {
-  const pick = el("eventPick");
-  const opt = Array.from(pick.options).find(o => o.value === eventName);
-  if (!opt) return false;
-  pick.value = eventName;
+/**
+ * Switches the Standards category and repopulates the set list
+ * @param {string} category
+ * @returns {Promise<boolean>}
+ */
+async function setCategoryIfExists(category) {
+  if (category === dom.categoryPick.value) return true;
+  if (!setSelectIfExists(dom.categoryPick, category)) return false;
+  await refreshSetPick();
   return true;
 }
 
+function setEventIfExists(eventName) {
+  return setSelectIfExists(dom.eventPick, eventName);
+}
+
+/**
+ * Applies the inputs that must be set before the event list is built
+ * (category + standards set + sex decide which events exist)
+ * @param {URLSearchParams} params
+ */
+async function applyUrlSetAndSex(params) {
+  if (params.has(URL_KEYS.category)) await setCategoryIfExists(params.get(URL_KEYS.category));
+  if (params.has(URL_KEYS.set)) setPickToYear(params.get(URL_KEYS.set));
+  setSelectIfExists(dom.sexPick, params.get(URL_KEYS.sex));
+}
+
+/**
+ * Applies the remaining inputs once the event list exists
+ * @param {URLSearchParams} params
+ */
+function applyUrlInputs(params) {
+  setEventIfExists(params.get(URL_KEYS.event));
+  if (params.has(URL_KEYS.distance)) dom.customDistPick.value = params.get(URL_KEYS.distance);
+  setSelectIfExists(dom.customDistUnit, params.get(URL_KEYS.distanceUnit));
+
+  if (params.has(URL_KEYS.age)) dom.agePick.value = params.get(URL_KEYS.age);
+  if (params.has(URL_KEYS.dob)) dom.dobPick.value = params.get(URL_KEYS.dob);
+  if (params.has(URL_KEYS.raceDate)) dom.raceDatePick.value = params.get(URL_KEYS.raceDate);
+  dom.exactAgePick.checked = params.get(URL_KEYS.exact) === "1";
+
+  if (dom.dobPick.value || dom.exactAgePick.checked) dom.ageOptions.open = true;
+  if (params.has(URL_KEYS.time)) dom.timePick.value = params.get(URL_KEYS.time);
+
+  setSelectIfExists(dom.customSex, params.get(URL_KEYS.customSex));
+  if (params.has(URL_KEYS.customAge)) dom.customAge.value = params.get(URL_KEYS.customAge);
+}
+
+/**
+ * Returns the equivalents target requested by the URL (or null)
+ * @param {URLSearchParams} params
+ * @returns {string|null}
+ */
+function getUrlTarget(params) {
+  const v = params.get(URL_KEYS.equiv);
+  if (!v || !dom.equivPick) return null;
+  return Array.from(dom.equivPick.options).some((o) => o.value === v) ? v : null;
+}
+
+/**
+ * Builds the query string describing the current inputs
+ * @returns {URLSearchParams}
+ */
+function buildUrlParams() {
+  const params = new URLSearchParams();
+  const entry = state.manifest?.sets?.[Number(dom.setPick.value)];
+
+  if (entry) {
+    params.set(URL_KEYS.category, setCategory(entry));
+    params.set(URL_KEYS.set, String(entry.year ?? entry.label));
+  }
+  params.set(URL_KEYS.sex, dom.sexPick.value);
+  params.set(URL_KEYS.age, String(dom.agePick.value ?? "").trim());
+  if (dom.dobPick.value) {
+    params.set(URL_KEYS.dob, dom.dobPick.value);
+    if (dom.raceDatePick.value) params.set(URL_KEYS.raceDate, dom.raceDatePick.value);
+  }
+  if (dom.exactAgePick.checked) params.set(URL_KEYS.exact, "1");
+  params.set(URL_KEYS.event, dom.eventPick.value);
+  if (dom.eventPick.value === CONFIG.CUSTOM_EVENT) {
+    params.set(URL_KEYS.distance, String(dom.customDistPick.value ?? "").trim());
+    params.set(URL_KEYS.distanceUnit, dom.customDistUnit.value);
+  }
+  params.set(URL_KEYS.time, String(dom.timePick.value ?? "").trim());
+
+  if (state.activeTarget) params.set(URL_KEYS.equiv, state.activeTarget);
+  if (state.activeTarget === "custom") {
+    params.set(URL_KEYS.customSex, dom.customSex.value);
+    params.set(URL_KEYS.customAge, String(dom.customAge.value ?? "").trim());
+  }
+
+  return params;
+}
+
+/**
+ * Returns a shareable URL for the current inputs
+ * @returns {string}
+ */
+function getShareUrl() {
+  const url = new URL(window.location.href);
+  url.search = buildUrlParams().toString();
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Mirrors the current inputs into the address bar (without adding history entries)
+ */
+function syncUrl() {
+  const qs = buildUrlParams().toString();
+  if (`?${qs}` === window.location.search) return;
+  window.history.replaceState(null, "", `${window.location.pathname}?${qs}${window.location.hash}`);
+}
+
+/**
+ * Copies the shareable link to the clipboard and briefly confirms on the button
+ */
+async function copyShareLink() {
+  const url = getShareUrl();
+  const btn = dom.copyLinkBtn;
+
+  if (!(await copyText(url, t("share.copyPrompt")))) return;
+  if (!btn) return;
+  btn.textContent = t("share.copied");
+  clearTimeout(state.copyLinkTimer);
+  state.copyLinkTimer = setTimeout(() => {
+    btn.textContent = t("share.copyLink");
+  }, 1500);
+}
+
+/**
+ * Downloads the current result as a PNG card (Age Grade, note line and the
+ * three equivalent times, as shown on the page)
+ */
+async function saveResultCard() {
+  const equivalents = [
+    [dom.otherGenderLabel, dom.otherGenderTime],
+    [dom.peakTimeLabel, dom.peakTime],
+    [dom.peakOtherGenderLabel, dom.peakOtherGenderTime],
+  ].map(([label, time]) => ({ label: label.textContent, time: time.textContent }));
+
+  const ok = await downloadResultCard({
+    pct: dom.ageGradeOut.textContent,
+    note: dom.ageGradeNote.textContent,
+    equivalents,
+    footer: `${location.host}${location.pathname.replace(/index\.html$/, "")}`,
+  });
+  if (!ok && dom.cardBtn) dom.cardBtn.textContent = t("share.imageUnsupported");
+}
+
 /**
  * Populates the Distance/Event list from the selected standards set
+ * (values are the `table.events` names, the text is the translated name)
  */
 async function refreshEvents() {
+  const id = ++state.eventsId;
   const entry = getSelectedSetEntry();
   const sex = dom.sexPick.value;
 
-  const json = await loadStandards(entry, sex);
-  const table = getTable(json);
+  const set = await loadStandards(entry);
+  if (id !== state.eventsId) return;
+  const table = set.tables[sex];
+  updateDataNotice(set);
+  updateDataIssues(set);
 
   const prev = dom.eventPick.value;
   dom.eventPick.innerHTML = "";
@@ -500,10 +997,15 @@ async function refreshEvents() {
   for (const ev of table.events) {
     const opt = document.createElement("option");
     opt.value = ev;
-    opt.textContent = ev;
+    opt.textContent = eventDisplayName(ev);
     dom.eventPick.appendChild(opt);
   }
 
+  const customOpt = document.createElement("option");
+  customOpt.value = CONFIG.CUSTOM_EVENT;
+  customOpt.textContent = t("input.customEvent");
+  dom.eventPick.appendChild(customOpt);
+
   if (prev && Array.from(dom.eventPick.options).some((o) => o.value === prev)) {
     dom.eventPick.value = prev;
   } else {
@@ -516,99 +1018,225 @@ async function refreshEvents() {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Computes all inputs and required tables for the current UI state
+ * Reads the event from the UI
+ *
+ * For the custom distance entry `event` is the distance in metres (null when
+ * invalid) and `label` is what the user typed, e.g. "7.5 km"
+ * @returns {{event: string|number|null, label: string, custom: boolean}}
+ */
+function getEventInput() {
+  const value = dom.eventPick.value;
+  const custom = value === CONFIG.CUSTOM_EVENT;
+  if (dom.customDistRow) dom.customDistRow.hidden = !custom;
+
+  if (!custom) return { event: value, label: value, custom: false };
+
+  const raw = String(dom.customDistPick.value ?? "").trim();
+  const unit = dom.customDistUnit.value;
+  const meters = toMeters(parseDecimal(raw), unit);
+  const label = meters != null ? `${parseDecimal(raw)} ${unit}` : t("table.customInvalid");
+  return { event: meters, label, custom: true };
+}
+
+/**
+ * Shows a warning when a custom distance is outside the events the standards cover
+ * @param {any} table
+ * @param {{event: string|number|null, custom: boolean}} eventInput
+ */
+function updateDistanceWarning(table, eventInput) {
+  if (!dom.customDistWarning) return;
+
+  const range = eventInput.custom && eventInput.event != null ? distanceRange(table) : null;
+  const outside =
+    range && (eventInput.event < range.min.meters - 0.5 || eventInput.event > range.max.meters + 0.5);
+
+  dom.customDistWarning.hidden = !outside;
+  dom.customDistWarning.textContent = outside
+    ? t("warn.distance", { min: eventDisplayName(range.min.event), max: eventDisplayName(range.max.event) })
+    : "";
+}
+
+/**
+ * Explains under the time box why a typed time can't be used
+ * (nothing for an empty box; the Age Grade note already asks for a time)
+ * @param {{error: string|null}} timeInput Result of `parseTimeInput`
+ */
+function updateTimeWarning(timeInput) {
+  const msg = timeInput.error && timeInput.error !== "empty" ? t(`time.${timeInput.error}`) : "";
+  dom.timePick.setAttribute("aria-invalid", String(Boolean(msg)));
+  if (!dom.timeWarning) return;
+  dom.timeWarning.hidden = !msg;
+  dom.timeWarning.textContent = msg;
+}
+
+/**
+ * Computes all inputs and the loaded standards set for the current UI state
  */
 async function computeContext() {
   const entry = getSelectedSetEntry();
   const sex = dom.sexPick.value;
   const os = otherSex(sex);
 
-  const age = getAge();
-  const event = dom.eventPick.value;
-  const tSec = parseTimeToSeconds(dom.timePick.value);
+  const ageInput = getAgeInput();
+  const { age, exact } = ageInput;
+  const eventInput = getEventInput();
+  const { event } = eventInput;
 
-  const json = await loadStandards(entry, sex);
-  const table = getTable(json);
-  const std = age != null ? getStandardSeconds(table, event, age) : null;
+  // Pace entry ("4:10/km") needs the event distance to become a finish time
+  const meters = eventInput.custom ? event : eventDistanceMeters(event);
+  const timeInput = parseTimeInput(dom.timePick.value, { meters });
+  const tSec = timeInput.seconds ?? NaN;
+  updateTimeWarning(timeInput);
 
-  const jsonM = await loadStandards(entry, "M");
-  const jsonF = await loadStandards(entry, "F");
-  const tableM = getTable(jsonM);
-  const tableF = getTable(jsonF);
+  const set = await loadStandards(entry);
+  const grade = ageGrade({ set, sex, age, event, seconds: tSec, exact });
 
-  const peakM = getPeak(`${entry.year}_M`, tableM);
-  const peakF = getPeak(`${entry.year}_F`, tableF);
+  return { entry, set, sex, os, age, ageInput, event, eventInput, timeInput, tSec, grade };
+}
 
-  return { entry, sex, os, age, event, tSec, std, tableM, tableF, peakM, peakF };
+/**
+ * Builds equivalents rows for every event of a target sex/age
+ * A custom distance gets its own row, slotted in by distance; `event` is the display name
+ * @param {any} set
+ * @param {number} factor
+ * @param {"M"|"F"} sex
+ * @param {number|"peak"|null} age
+ * @param {boolean} [exact] Interpolate between age rows for fractional ages
+ * @param {{event: string|number|null, label: string, custom: boolean}} [eventInput]
+ * @returns {{event: string, time: string, seconds: number|null, meters: number|null, note: string|null}[]}
+ */
+function equivalentRows(set, factor, sex, age, exact = false, eventInput = null) {
+  const rowFor = (event, label) => {
+    const s2 = age != null ? equivalentTime({ set, factor, sex, age, event, exact }) : null;
+    const meters = typeof event === "number" ? event : eventDistanceMeters(event);
+    const note = !s2 && typeof event === "string" ? unavailableReason(set.issues, sex, event) : null;
+    return { event: label, time: s2 ? formatTime(s2, event) : "—", seconds: s2, meters, note };
+  };
+
+  // Events only the other sex has still get a row, saying why there's no time
+  const events = [...set.tables[sex].events];
+  for (const ev of set.tables[otherSex(sex)].events) {
+    if (events.some((e) => e.toLowerCase() === ev.toLowerCase())) continue;
+    const at = events.findIndex((e) => (eventDistanceMeters(e) ?? 0) > (eventDistanceMeters(ev) ?? Infinity));
+    events.splice(at < 0 ? events.length : at, 0, ev);
+  }
+  const rows = events.map((ev) => rowFor(ev, eventDisplayName(ev)));
+
+  if (eventInput?.custom && eventInput.event != null) {
+    const at = events.findIndex((ev) => (eventDistanceMeters(ev) ?? 0) > eventInput.event);
+    const row = rowFor(eventInput.event, t("table.customRow", { label: localize(eventInput.label) }));
+    rows.splice(at < 0 ? rows.length : at, 0, row);
+  }
+
+  return rows;
 }
 
 async function runLive() {
-  updateAgeButtons();
-
+  const run = ++state.runId;
   const sex = dom.sexPick.value;
-  const eventNow = dom.eventPick?.value || "";
+  const eventNow = dom.eventPick?.value === CONFIG.CUSTOM_EVENT ? "" : dom.eventPick?.value || "";
 
   setAgeGradeUI({
     sex,
-    event: eventNow,
+    event: eventNow && eventDisplayName(eventNow),
     gradePct: "—",
-    note: CONFIG.DEFAULT_MESSAGE,
+    note: t(CONFIG.DEFAULT_MESSAGE),
   });
 
   let ctx;
   try {
     ctx = await computeContext();
   } catch (err) {
-    showLoadError();
+    if (run === state.runId) showLoadError(loadErrorMessage(err));
     return;
+  } finally {
+    updateAgeButtons();
+    syncUrl();
   }
 
-  const { entry, age, event, tSec, sex: s, os, std, tableM, tableF, peakM, peakF } = ctx;
-
-  if (!Number.isFinite(tSec) || tSec <= 0) {
-    if (!state.activeTarget) dom.results.innerHTML = "";
-    return;
-  }
+  // The inputs changed while this run waited for the standards: the newer run renders
+  if (run !== state.runId) return;
+  updateDistanceWarning(ctx.set.tables[ctx.sex], ctx.eventInput);
+
+  const { entry, set, event, eventInput, sex: s, os, ageInput, grade } = ctx;
+  const { exact } = ageInput;
+  // Panels (and saved performances) keep the standards name; the result box shows it translated
+  const eventLabel = eventInput.custom ? eventInput.label : event;
+  const shownEvent = eventInput.custom ? localize(eventInput.label) : eventDisplayName(event);
+
+  // The reverse calculator and standards chart only need sex/age/event, not a time
+  state.targetPanel?.update({ set, sex: s, ageInput, eventInput });
+  state.levelsPanel?.update({ set, sex: s, ageInput, eventInput: { ...eventInput, label: eventLabel }, grade, seconds: ctx.tSec });
+  state.projectionPanel?.update({ set, sex: s, eventInput, eventLabel, grade });
+  state.matrixPanel?.update({ set, sex: s, ageInput, eventInput, grade });
+  state.comparePanel?.update({ set, sex: s, ageInput, event, eventLabel, seconds: ctx.tSec });
+  state.logPanel?.update({
+    set,
+    sex: s,
+    ageInput,
+    eventInput: { ...eventInput, label: eventLabel },
+    grade,
+    seconds: ctx.tSec,
+    date: String(dom.raceDatePick.value ?? "").trim() || todayIso(),
+    timeText: Number.isFinite(ctx.tSec) ? formatTime(ctx.tSec, event) : "—",
+  });
+  state.rosterPanel?.update({ set, ageInput, eventInput });
+  state.seriesPanel?.update({ set });
 
-  if (age == null) {
+  if (grade.error === "time") {
     setAgeGradeUI({
       sex: s,
-      event,
-      note: "Enter a valid age to calculate.",
+      event: shownEvent,
+      note: t(ctx.timeInput.error ? `time.${ctx.timeInput.error}` : CONFIG.DEFAULT_MESSAGE),
     });
     if (!state.activeTarget) dom.results.innerHTML = "";
     return;
   }
 
-  if (!std) {
+  if (grade.error) {
+    const reason = grade.error === "standard" && typeof event === "string" ? unavailableReason(set.issues, s, event) : null;
+    const msg = t(`grade.${grade.error}`);
     setAgeGradeUI({
       sex: s,
-      event,
-      note: "That age/event doesn’t exist in this standards set.",
+      event: shownEvent,
+      note: reason ? `${msg} ${reason}` : msg,
     });
     if (!state.activeTarget) dom.results.innerHTML = "";
     return;
   }
 
-  const performanceFactor = std / tSec;
-  const ageGradePct = performanceFactor * 100;
+  const { age, factor: performanceFactor, pct: ageGradePct } = grade;
+
+  // The other sex's file may spell the event differently ("5 MIle") or lack it
+  const osEvent = typeof event === "string" ? matchEvent(set.tables[os], event) ?? event : event;
+  const osReason = typeof event === "string" ? unavailableReason(set.issues, os, osEvent) : null;
 
-  const tableOther = os === "M" ? tableM : tableF;
-  const peakSame = s === "M" ? peakM : peakF;
-  const peakOther = os === "M" ? peakM : peakF;
+  const otherTime = equivalentTime({ set, factor: performanceFactor, sex: os, age, event: osEvent, exact });
+  const peakSameTime = equivalentTime({ set, factor: performanceFactor, sex: s, age: "peak", event });
+  const peakOtherTime = equivalentTime({ set, factor: performanceFactor, sex: os, age: "peak", event: osEvent });
 
-  const otherStdSameAge = getStandardSeconds(tableOther, event, age);
-  const peakStdSameSex = peakSame[event];
-  const peakStdOtherSex = peakOther[event];
+  const { pace } = ctx.timeInput;
+  const paceNote = pace ? t("result.pace", { pace: secondsToTime(pace.seconds), unit: pace.unit }) : "";
 
   setAgeGradeUI({
     sex: s,
-    event,
-    gradePct: `${ageGradePct.toFixed(2)}%`,
-    note: `${formatInputTime(dom.timePick.value)} ${event}, ${sexLabel(s)}, Age ${age}, WMA ${entry.label}`,
-    otherGenderTime: otherStdSameAge ? secondsToTime(otherStdSameAge / performanceFactor) : "—",
-    peakSameTime: peakStdSameSex ? secondsToTime(peakStdSameSex / performanceFactor) : "—",
-    peakOtherTime: peakStdOtherSex ? secondsToTime(peakStdOtherSex / performanceFactor) : "—",
+    event: shownEvent,
+    gradePct: formatPct(ageGradePct),
+    note: t("result.note", {
+      time: formatTime(ctx.tSec, event),
+      pace: paceNote,
+      event: shownEvent,
+      sex: sexName(s),
+      age: describeAge(age, ageInput),
+      set: setDisplayLabel(entry),
+    }),
+    factorNote: describeAgeFactor(grade),
+    otherGenderTime: otherTime ? formatTime(otherTime, event) : "—",
+    peakSameTime: peakSameTime ? formatTime(peakSameTime, event) : "—",
+    peakOtherTime: peakOtherTime ? formatTime(peakOtherTime, event) : "—",
+    otherGenderPace: otherTime ? paceText(otherTime, event) : osReason ?? "",
+    peakSamePace: paceText(peakSameTime, event),
+    peakOtherPace: peakOtherTime ? paceText(peakOtherTime, event) : osReason ?? "",
   });
 
   if (!state.activeTarget) {
@@ -619,38 +1247,26 @@ async function runLive() {
   dom.results.innerHTML = "";
 
   if (state.activeTarget === "peakM") {
-    const rows = tableM.events.map((ev) => {
-      const s2 = peakM[ev];
-      return { event: ev, time: s2 ? secondsToTime(s2 / performanceFactor) : "—" };
-    });
-    dom.results.appendChild(buildSection("Peak Age Male Equivalents", rows));
+    const rows = equivalentRows(set, performanceFactor, "M", "peak", false, eventInput);
+    dom.results.appendChild(buildSection(t("equiv.peakM"), rows));
     return;
   }
 
   if (state.activeTarget === "peakF") {
-    const rows = tableF.events.map((ev) => {
-      const s2 = peakF[ev];
-      return { event: ev, time: s2 ? secondsToTime(s2 / performanceFactor) : "—" };
-    });
-    dom.results.appendChild(buildSection("Peak Age Female Equivalents", rows));
+    const rows = equivalentRows(set, performanceFactor, "F", "peak", false, eventInput);
+    dom.results.appendChild(buildSection(t("equiv.peakF"), rows));
     return;
   }
 
   if (state.activeTarget === "ageM") {
-    const rows = tableM.events.map((ev) => {
-      const s2 = getStandardSeconds(tableM, ev, age);
-      return { event: ev, time: s2 ? secondsToTime(s2 / performanceFactor) : "—" };
-    });
-    dom.results.appendChild(buildSection(`Age ${age} Male Equivalents`, rows));
+    const rows = equivalentRows(set, performanceFactor, "M", age, exact, eventInput);
+    dom.results.appendChild(buildSection(t("equiv.ageM", { age: localize(formatAge(age)) }), rows));
     return;
   }
 
   if (state.activeTarget === "ageF") {
-    const rows = tableF.events.map((ev) => {
-      const s2 = getStandardSeconds(tableF, ev, age);
-      return { event: ev, time: s2 ? secondsToTime(s2 / performanceFactor) : "—" };
-    });
-    dom.results.appendChild(buildSection(`Age ${age} Female Equivalents`, rows));
+    const rows = equivalentRows(set, performanceFactor, "F", age, exact, eventInput);
+    dom.results.appendChild(buildSection(t("equiv.ageF", { age: localize(formatAge(age)) }), rows));
     return;
   }
 
@@ -658,16 +1274,10 @@ async function runLive() {
     const cSex = dom.customSex.value;
     const cAge = clampAge(Number(dom.customAge.value));
 
-    const jsonC = await loadStandards(entry, cSex);
-    const tableC = getTable(jsonC);
-
-    const rows = tableC.events.map((ev) => {
-      const s2 = cAge != null ? getStandardSeconds(tableC, ev, cAge) : null;
-      return { event: ev, time: s2 ? secondsToTime(s2 / performanceFactor) : "—" };
-    });
+    const rows = equivalentRows(set, performanceFactor, cSex, cAge, false, eventInput);
 
     dom.results.appendChild(
-      buildSection(`Custom Target (${sexLabel(cSex)}, age ${cAge ?? "—"})`, rows)
+      buildSection(t("equiv.customTitle", { sex: sexName(cSex), age: cAge ?? "—" }), rows)
     );
   }
 }
@@ -682,12 +1292,22 @@ function wire() {
     setActiveTarget(v);
   });
 
+  dom.categoryPick.addEventListener("change", async () => {
+    try {
+      await refreshSetPick();
+      await refreshEvents();
+      scheduleRun(0);
+    } catch (err) {
+      showLoadError(loadErrorMessage(err));
+    }
+  });
+
   dom.setPick.addEventListener("change", async () => {
     try {
       await refreshEvents();
       scheduleRun(0);
-    } catch {
-      showLoadError();
+    } catch (err) {
+      showLoadError(loadErrorMessage(err));
     }
   });
 
@@ -695,17 +1315,28 @@ function wire() {
     try {
       await refreshEvents();
       scheduleRun(0);
-    } catch {
-      showLoadError();
+    } catch (err) {
+      showLoadError(loadErrorMessage(err));
     }
   });
 
   dom.agePick.addEventListener("input", () => scheduleRun(0));
+  dom.dobPick.addEventListener("input", () => scheduleRun(0));
+  dom.raceDatePick.addEventListener("input", () => scheduleRun(0));
+  dom.exactAgePick.addEventListener("change", () => scheduleRun(0));
   dom.eventPick.addEventListener("change", () => scheduleRun(0));
+  dom.customDistPick.addEventListener("input", () => scheduleRun(0));
+  dom.customDistUnit.addEventListener("change", () => scheduleRun(0));
   dom.timePick.addEventListener("input", () => scheduleRun(CONFIG.TIME_INPUT_DEBOUNCE_MS));
 
   dom.customSex.addEventListener("change", () => scheduleRun(0));
   dom.customAge.addEventListener("input", () => scheduleRun(0));
+
+  dom.copyLinkBtn?.addEventListener("click", copyShareLink);
+  dom.cardBtn?.addEventListener("click", saveResultCard);
+  dom.printBtn?.addEventListener("click", () => window.print());
+  rememberSelect(dom.decimalsPick, CONFIG.TIME_DECIMALS_KEY);
+  rememberSelect(dom.paceUnitPick, CONFIG.PACE_UNITS_KEY);
 }
 
 (function wireInfoModal() {
@@ -742,23 +1373,65 @@ function wire() {
 })();
 
 (async function init() {
-  await loadManifest();
-  await refreshSetPick();
+  // Translate the page first; a later switch rebuilds the event names and results
+  initLanguagePicker(dom.langPick, async () => {
+    try {
+      await refreshEvents();
+      scheduleRun(0);
+    } catch (err) {
+      showLoadError(loadErrorMessage(err));
+    }
+  });
 
+  const params = getUrlParams();
   const preset = getUrlPreset();
 
-  // Apply preset that changes defaults (but only when URL asks for it)
-  if (preset === "parkrun") {
-    setPickToYear(2010);
-  }
+  // A missing manifest or default set still leaves the page wired, so another
+  // set can be picked once the error is shown
+  let startupError = null;
+  try {
+    await loadManifest();
+    await refreshCategoryPick();
+    await refreshSetPick();
+
+    // Apply preset that changes defaults (but only when URL asks for it)
+    if (preset === "parkrun") {
+      await setCategoryIfExists("road");
+      setPickToYear(2010);
+    }
+
+    // Explicit inputs in the URL win over the preset
+    await applyUrlSetAndSex(params);
 
-  await refreshEvents();
+    await refreshEvents();
 
-  if (preset === "parkrun") {
-    setEventIfExists("5 km");
+    if (preset === "parkrun") {
+      setEventIfExists("5 km");
+    }
+  } catch (err) {
+    startupError = err;
   }
 
+  applyUrlInputs(params);
+
   wire();
-  setActiveTarget(null);
-  scheduleRun(0);
+  const getSet = () => loadStandards(getSelectedSetEntry());
+  const batch = initBatchPanel({ getSet });
+  state.seriesPanel = initSeriesPanel({ getSet, getBatchImport: batch?.getImport });
+  state.targetPanel = initTargetPanel({ buildSection, describeAge, formatTime });
+  state.matrixPanel = initMatrixPanel({ formatTime });
+  state.levelsPanel = initLevelsPanel({ describeAge, formatTime });
+  state.projectionPanel = initProjectionPanel({ formatTime });
+  state.comparePanel = initComparePanel({ getCategorySets: loadCategorySets });
+  state.logPanel = initLogPanel();
+  state.rosterPanel = initRosterPanel({ formatTime, today: todayIso });
+  setActiveTarget(getUrlTarget(params));
+  if (startupError) {
+    // Keep the failure on screen instead of the run setActiveTarget queued
+    clearTimeout(state.runTimer);
+    showLoadError(loadErrorMessage(startupError));
+  } else {
+    scheduleRun(0);
+  }
+  registerServiceWorker();
 })();
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * age-grade-server: small self-hosted JSON API for Age Grading
+ *
+ * Backed by the bundled standards (age_grade_standards/manifest.json) and the
+ * same lib/ code as the web page and CLI. No dependencies beyond Node 20.
+ *
+ *   node bin/age-grade-server.js [--port 8787] [--host 127.0.0.1]
+ *
+ * Endpoints (see openapi.json):
+ *   GET  /sets
+ *   GET  /grade?event=&time=&age=&sex=&set=
+ *   GET  /equivalents?target=peakM|peakF|ageM|ageF|custom&csex=&cage=&event=&time=&age=&sex=&set=
+ *   POST /grade/batch
+ *   GET  /openapi.json
+ *
+ * Errors are `{ "error": { "code", "message" } }`; grade errors use the
+ * page's messages (GRADE_ERRORS).
+ */
+
+import { createServer } from "node:http";
+import { realpathSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { listCategories, setCategory } from "../lib/agegrade.js";
+import { BATCH_FIELDS, guessColumnMapping } from "../lib/batch.js";
+import { parseCsv } from "../lib/csv.js";
+import { REQUEST_ERRORS, equivalentsTable, gradePerformance, parseTarget } from "../lib/service.js";
+import { StandardsError, createFileStore, loadSetByRef } from "./standards.js";
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_BATCH = 10000;
+
+/** HTTP status per error code */
+const ERROR_STATUS = {
+  time: 400,
+  age: 400,
+  sex: 400,
+  event: 400,
+  target: 400,
+  body: 400,
+  standard: 422,
+  set: 404,
+  notFound: 404,
+  method: 405,
+  tooLarge: 413,
+  data: 500,
+};
+
+/** Messages for errors that aren't about a performance */
+const HTTP_ERRORS = {
+  body: "Send a JSON body with a `performances` array, or a CSV with name, sex, age, event and time columns.",
+  notFound: "No such endpoint.",
+  method: "Method not allowed.",
+  tooLarge: "Request body is too large.",
+};
+
+/** Error with an API error code (see ERROR_STATUS) */
+class ApiError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} [message]
+   */
+  constructor(code, message = REQUEST_ERRORS[code] ?? HTTP_ERRORS[code]) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Sends a JSON response
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Reads a request body as text (bounded by MAX_BODY_BYTES)
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new ApiError("tooLarge");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Reads a results CSV body into performances for `gradePerformance`
+ *
+ * Columns are found from the header row as in the batch panel, so each row is
+ * graded and reported exactly like a JSON performance
+ * @param {string} text
+ * @returns {{name: string, sex: string, age: string, event: string, time: string}[]}
+ */
+function csvPerformances(text) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) throw new ApiError("body");
+  const mapping = guessColumnMapping(rows[0]);
+  return rows
+    .slice(1)
+    .map((row) => Object.fromEntries(BATCH_FIELDS.map((f) => [f, mapping[f] >= 0 ? row[mapping[f]] ?? "" : ""])));
+}
+
+/**
+ * Creates the request handler (exported for embedding in another server)
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>}
+ */
+export function createHandler() {
+  const store = createFileStore();
+
+  /**
+   * Loads the set named by `set` / `category` parameters
+   * @param {URLSearchParams} params
+   */
+  async function setFor(params) {
+    try {
+      return await loadSetByRef(store, { set: params.get("set"), category: params.get("category") });
+    } catch (err) {
+      if (err instanceof StandardsError) throw new ApiError(err.code, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Grades the performance in the query string (throws ApiError when it can't)
+   * @param {any} set
+   * @param {URLSearchParams} params
+   */
+  function gradeQuery(set, params) {
+    const graded = gradePerformance(set, {
+      event: params.get("event"),
+      time: params.get("time"),
+      age: params.get("age"),
+      sex: params.get("sex"),
+      exact: ["1", "true"].includes(params.get("exact") ?? ""),
+    });
+    if (graded.error) throw new ApiError(graded.error, graded.message);
+    return graded;
+  }
+
+  const routes = {
+    "GET /sets": async () => {
+      const manifest = await store.manifest().catch(() => {
+        throw new ApiError("data", "Couldn’t read age_grade_standards/manifest.json.");
+      });
+      const newest = new Map(manifest.sets.map((s) => [setCategory(s), s]));
+      return {
+        categories: listCategories(manifest),
+        sets: manifest.sets.map((s) => ({
+          label: s.label,
+          year: s.year,
+          category: setCategory(s),
+          default: newest.get(setCategory(s)) === s,
+        })),
+      };
+    },
+
+    "GET /grade": async (params) => {
+      const set = await setFor(params);
+      return gradeQuery(set, params).result;
+    },
+
+    "GET /equivalents": async (params) => {
+      const set = await setFor(params);
+      const graded = gradeQuery(set, params);
+
+      // target=custom takes csex/cage, like the page's shareable links
+      let raw = params.get("target") ?? "";
+      if (raw === "custom") raw = `custom:${params.get("csex") ?? ""}:${params.get("cage") ?? ""}`;
+      const target = parseTarget(raw, graded.age);
+      if (!target) throw new ApiError("target");
+
+      return { ...graded.result, table: equivalentsTable(set, graded.factor, target, graded.exact) };
+    },
+
+    "POST /grade/batch": async (params, req) => {
+      const set = await setFor(params);
+      const text = await readBody(req);
+      const type = String(req.headers["content-type"] ?? "");
+
+      let list;
+      if (type.includes("csv")) {
+        list = csvPerformances(text);
+      } else {
+        let body;
+        try {
+          body = JSON.parse(text);
+        } catch {
+          throw new ApiError("body");
+        }
+        list = Array.isArray(body) ? body : body?.performances;
+        if (!Array.isArray(list)) throw new ApiError("body");
+      }
+      if (list.length > MAX_BATCH) throw new ApiError("tooLarge", `Send at most ${MAX_BATCH} performances per request.`);
+
+      return {
+        set: set.entry.label,
+        results: list.map((p, index) => {
+          const graded = gradePerformance(set, p ?? {});
+          const name = p?.name != null ? { name: String(p.name) } : {};
+          return graded.error
+            ? { index, ...name, error: { code: graded.error, message: graded.message } }
+            : { index, ...name, ...graded.result };
+        }),
+      };
+    },
+
+    "GET /openapi.json": async () => JSON.parse(await readFile(new URL("./openapi.json", import.meta.url), "utf8")),
+  };
+
+  return async (req, res) => {
+    const url = new URL(req.url ?? "/", "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+      return;
+    }
+
+    const route = routes[`${req.method} ${path}`];
+    try {
+      if (!route) {
+        const known = Object.keys(routes).some((k) => k.endsWith(` ${path}`));
+        throw new ApiError(known ? "method" : "notFound");
+      }
+      sendJson(res, 200, await route(url.searchParams, req));
+    } catch (err) {
+      if (!(err instanceof ApiError)) {
+        console.error(err);
+        err = new ApiError("data", "Something went wrong grading that request.");
+      }
+      sendJson(res, ERROR_STATUS[err.code] ?? 400, { error: { code: err.code, message: err.message } });
+    }
+  };
+}
+
+/**
+ * Starts the server
+ * @param {string[]} argv Arguments after the script name
+ */
+export function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string" },
+      host: { type: "string" },
+    },
+  });
+
+  const port = Number(values.port ?? process.env.PORT ?? DEFAULT_PORT);
+  const host = values.host ?? process.env.HOST ?? DEFAULT_HOST;
+
+  const server = createServer(createHandler());
+  server.listen(port, host, () => {
+    console.log(`Age grade API listening on http://${host}:${port} (see /openapi.json)`);
+  });
+  return server;
+}
+
+// Run when executed directly (also through an npm-style bin symlink), not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(process.argv[1])) {
+  main(process.argv.slice(2));
+}
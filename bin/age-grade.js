@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * age-grade: command-line Age Grade calculator
+ *
+ * Reads the bundled standards (age_grade_standards/manifest.json) and uses the
+ * same lib/agegrade.js code as the web page, so results match the UI.
+ *
+ *   age-grade --event "10 km" --time 41:30 --age 47 --sex F [--set 2025]
+ *             [--equivalents peakF|ageM|custom:M:60] [--exact] [--json]
+ *   age-grade --csv [--set 2025] < results.csv > graded.csv
+ *
+ * Exit codes follow the errors the UI distinguishes (see EXIT_CODES).
+ */
+
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_CATEGORY, otherSex, sexLabel } from "../lib/agegrade.js";
+import { gradeRows, guessColumnMapping, resultsToRows } from "../lib/batch.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { REQUEST_ERRORS, equivalentsTable, gradePerformance, parseTarget } from "../lib/service.js";
+import { StandardsError, createFileStore, loadSetByRef } from "./standards.js";
+
+export const EXIT_CODES = {
+  ok: 0,
+  /** Standards files missing or unreadable */
+  data: 1,
+  /** Bad or missing arguments */
+  usage: 2,
+  time: 3,
+  age: 4,
+  /** Age/event not in the standards set */
+  standard: 5,
+  /** CSV mode: some rows couldn't be graded */
+  partial: 6,
+};
+
+const USAGE = `Usage:
+  age-grade --event "10 km" --time 41:30 --age 47 --sex F [options]
+  age-grade --csv [--set 2025] < results.csv
+
+Options:
+  --event <name>        Event from the standards (e.g. "5 km", "10k", "Half Marathon")
+  --time <time>         Finish time (41:30, 1:23:45.6, 41m30s, 2h05) or pace (4:10/km)
+  --age <years>         Age on race day
+  --sex <M|F>
+  --set <year|label>    Standards set (default: newest in the category)
+  --category <id>       Standards category (default: ${DEFAULT_CATEGORY})
+  --exact               Interpolate between age rows for fractional ages
+  --equivalents <t>     Equivalents table for every event: peakM, peakF, ageM,
+                        ageF or custom:<M|F>:<age>
+  --json                Print JSON instead of text
+  --csv                 Grade a results CSV (name, sex, age, event, time) from stdin
+  -h, --help            Show this help
+
+Exit codes: 0 ok, 1 standards unreadable, 2 usage, 3 invalid time,
+4 invalid age, 5 age/event not in the set, 6 some CSV rows not graded`;
+
+/** Thrown for argument problems; carries the exit code */
+class CliError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [code]
+   */
+  constructor(message, code = EXIT_CODES.usage) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Reads all of stdin as text
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Loads the requested standards set
+ * @param {{set?: string, category?: string}} opts
+ * @returns {Promise<any>}
+ */
+async function loadSelectedSet(opts) {
+  try {
+    return await loadSetByRef(createFileStore(), opts);
+  } catch (err) {
+    if (!(err instanceof StandardsError)) throw err;
+    throw new CliError(err.message, err.code === "data" ? EXIT_CODES.data : EXIT_CODES.usage);
+  }
+}
+
+/**
+ * Grades a single performance and prints the result
+ * @param {any} opts Parsed options
+ * @returns {Promise<number>} exit code
+ */
+async function gradeOne(opts) {
+  for (const name of ["event", "time", "age", "sex"]) {
+    if (opts[name] == null) throw new CliError(`Missing --${name}.`);
+  }
+
+  const set = await loadSelectedSet(opts);
+  const graded = gradePerformance(set, opts);
+
+  if (graded.error === "sex" || graded.error === "event") throw new CliError(graded.message);
+  if (graded.error) {
+    if (opts.json) console.log(JSON.stringify({ error: graded.error, message: graded.message }, null, 2));
+    else console.error(graded.message);
+    return EXIT_CODES[graded.error] ?? EXIT_CODES.usage;
+  }
+
+  const { result, sex, event } = graded;
+  let table = null;
+  if (opts.equivalents) {
+    const target = parseTarget(opts.equivalents, graded.age);
+    if (!target) throw new CliError(`Unknown --equivalents target “${opts.equivalents}”. ${REQUEST_ERRORS.target}`);
+    table = equivalentsTable(set, graded.factor, target, graded.exact);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({ ...result, table }, null, 2));
+    return EXIT_CODES.ok;
+  }
+
+  const os = otherSex(sex);
+  const { equivalents } = result;
+  const lines = [
+    `Age Grade: ${result.ageGrade.toFixed(2)}%`,
+    `${result.input.time} ${event}, ${sexLabel(sex)}, Age ${graded.age}, WMA ${set.entry.label}`,
+    "",
+    `Equivalent ${sexLabel(os)} ${event} Time: ${equivalents.otherSex ?? "—"}`,
+    `Equivalent Peak Age ${sexLabel(sex)} ${event} Time: ${equivalents.peakSameSex ?? "—"}`,
+    `Equivalent Peak Age ${sexLabel(os)} ${event} Time: ${equivalents.peakOtherSex ?? "—"}`,
+  ];
+
+  if (table) {
+    const width = Math.max(...table.rows.map((r) => r.event.length));
+    lines.push("", table.title);
+    for (const r of table.rows) lines.push(`  ${r.event.padEnd(width)}  ${r.time ?? "—"}`);
+  }
+
+  console.log(lines.join("\n"));
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Grades a results CSV from stdin, writing graded CSV to stdout and skipped rows to stderr
+ * @param {any} opts Parsed options
+ * @returns {Promise<number>} exit code
+ */
+async function gradeCsv(opts) {
+  const set = await loadSelectedSet(opts);
+  const rows = parseCsv(await readStdin());
+  if (!rows.length) throw new CliError("No CSV rows on stdin.");
+
+  const mapping = guessColumnMapping(rows[0]);
+  const missing = Object.entries(mapping).filter(([, idx]) => idx < 0).map(([field]) => field);
+  if (missing.length) throw new CliError(`CSV header is missing: ${missing.join(", ")}.`);
+
+  const { results, errors } = gradeRows(set, rows.slice(1), mapping, 2);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ set: set.entry.label, results, errors }, null, 2));
+  } else {
+    process.stdout.write(toCsv(resultsToRows(results)));
+    for (const e of errors) console.error(`Line ${e.line}: ${e.reason}`);
+  }
+  return errors.length ? EXIT_CODES.partial : EXIT_CODES.ok;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv Arguments after the script name
+ * @returns {Promise<number>} exit code
+ */
+export async function main(argv) {
+  let opts;
+  try {
+    ({ values: opts } = parseArgs({
+      args: argv,
+      options: {
+        event: { type: "string" },
+        time: { type: "string" },
+        age: { type: "string" },
+        sex: { type: "string" },
+        set: { type: "string" },
+        category: { type: "string" },
+        exact: { type: "boolean" },
+        equivalents: { type: "string" },
+        json: { type: "boolean" },
+        csv: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  try {
+    return opts.csv ? await gradeCsv(opts) : await gradeOne(opts);
+  } catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    console.error(err.code === EXIT_CODES.usage ? `${err.message}\n\n${USAGE}` : err.message);
+    return err.code;
+  }
+}
+
+// Run when executed directly (also through an npm-style bin symlink), not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(process.argv[1])) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
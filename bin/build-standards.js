@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+/**
+ * build-standards: regenerate the standards JSON from the upstream workbooks
+ *
+ * Converts Alan Lytton Jones' Age Grade workbooks (.xlsx), or a folder of
+ * their sheets exported as CSV, into the AgeStdSec / AgeStdHMS / AgeStdFactors
+ * JSON the page loads, validates the result (lib/validate.js) and writes or
+ * updates the set's manifest.json entry with checksums.
+ *
+ *   node bin/build-standards.js --year 2025 --male MaleRoadStd2025.xlsx --female FemaleRoadStd2025.xlsx
+ *   node bin/build-standards.js --check
+ *
+ * Exit codes: 0 ok, 1 data errors (nothing written), 2 usage.
+ */
+
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync, realpathSync, statSync, writeFileSync, mkdirSync } from "node:fs";
+import { basename, dirname, extname, join, relative, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_CATEGORY, MANIFEST_PATH, parseTimeToSeconds, setCategory } from "../lib/agegrade.js";
+import { parseCsv } from "../lib/csv.js";
+import { compareEventLists, validateStandardsFile } from "../lib/validate.js";
+import { readXlsx } from "./xlsx.js";
+
+export const EXIT_CODES = { ok: 0, data: 1, usage: 2 };
+
+/** Repository root (manifest `base` paths are relative to it) */
+const ROOT = fileURLToPath(new URL("../", import.meta.url));
+
+/**
+ * Sheets the build reads, matched on their name with spaces/case ignored
+ *
+ * Upstream names vary between editions: "AgeStdSec" / "AgeStanSec",
+ * "Age Factors" / "AgeStdFactors" / "Age Facctors" (2025 female)
+ */
+const SHEETS = {
+  sec: /^age(std|stan)sec$/,
+  hms: /^age(std|stan)hms$/,
+  factors: /^age(std|stan)?fac+tors?$/,
+};
+
+/** Cells that count as an age in a header row or column */
+const AGE_CELL = /^\d{1,3}$/;
+
+/** An age column/row needs at least this many ages to be the age axis */
+const MIN_AGES = 10;
+
+const SECONDS_PER_DAY = 86400;
+
+const USAGE = `Usage:
+  build-standards --year <year> --male <source> --female <source> [options]
+  build-standards --check
+
+A <source> is an .xlsx workbook, or a folder holding its AgeStdSec, AgeStdHMS
+and Age Factors sheets as CSV files (e.g. "AgeStdSec.csv").
+
+Options:
+  --year <year>         Standards year (e.g. 2025)
+  --label <label>       Label shown in the page (default: the year)
+  --category <id>       Standards category (default: ${DEFAULT_CATEGORY})
+  --source-url <url>    Where the workbooks were downloaded from (recorded in meta)
+  --out <dir>           Standards folder (default: age_grade_standards)
+  --force               Write even when validation finds errors
+  --dry-run             Validate only; don't write anything
+  --check               Validate every set already listed in the manifest
+  -h, --help            Show this help
+
+Exit codes: 0 ok, 1 data errors, 2 usage`;
+
+/** Thrown for argument problems and unreadable inputs; carries the exit code */
+class BuildError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [code]
+   */
+  constructor(message, code = EXIT_CODES.usage) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Hex SHA-256 of some data
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Path relative to the repository root with forward slashes (for meta and the
+ * manifest), or just the file name when it lives outside the repository
+ * @param {string} path
+ * @returns {string}
+ */
+function portablePath(path) {
+  const rel = relative(ROOT, resolve(path));
+  return rel.startsWith("..") || resolve(rel) === rel ? basename(path) : rel.split(sep).join("/");
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Reading sources                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Reads a source's sheets: every worksheet of an .xlsx, or every CSV in a folder
+ * @param {string} path
+ * @returns {{sheets: Map<string, any[][]>, checksum: string}}
+ */
+function readSource(path) {
+  let stat;
+  try {
+    stat = statSync(path);
+  } catch {
+    throw new BuildError(`Can't read ${path}.`, EXIT_CODES.data);
+  }
+
+  if (stat.isDirectory()) {
+    const files = readdirSync(path)
+      .filter((f) => extname(f).toLowerCase() === ".csv")
+      .sort();
+    const hash = createHash("sha256");
+    const sheets = new Map();
+    for (const f of files) {
+      const text = readFileSync(join(path, f), "utf8");
+      hash.update(`${f}\n${text}\n`);
+      // "MaleRoadStd2025 - AgeStdSec.csv" (spreadsheet export naming) → "AgeStdSec"
+      sheets.set(basename(f, extname(f)).split(" - ").pop(), parseCsv(text));
+    }
+    return { sheets, checksum: hash.digest("hex") };
+  }
+
+  if (extname(path).toLowerCase() === ".xls") {
+    throw new BuildError(`${basename(path)} is a legacy .xls workbook. Save it as .xlsx or export its sheets to CSV.`, EXIT_CODES.data);
+  }
+
+  const buf = readFileSync(path);
+  try {
+    return { sheets: readXlsx(buf), checksum: sha256(buf) };
+  } catch (err) {
+    throw new BuildError(`${basename(path)}: ${err.message}`, EXIT_CODES.data);
+  }
+}
+
+/**
+ * Finds a sheet by its role (see SHEETS)
+ * @param {Map<string, any[][]>} sheets
+ * @param {keyof typeof SHEETS} role
+ * @returns {{name: string, rows: any[][]}|null}
+ */
+function findSheet(sheets, role) {
+  for (const [name, rows] of sheets) {
+    if (SHEETS[role].test(name.replace(/\s+/g, "").toLowerCase())) return { name, rows };
+  }
+  return null;
+}
+
+/**
+ * Swaps rows and columns
+ * @param {any[][]} rows
+ * @returns {any[][]}
+ */
+function transpose(rows) {
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  return Array.from({ length: width }, (_, c) => rows.map((r) => r[c] ?? null));
+}
+
+/**
+ * Reads a cell as a number. On the HMS sheet, workbook cells hold times as
+ * fractions of a day and CSV exports hold "h:mm:ss" text; both become seconds
+ * @param {any} cell
+ * @param {boolean} hms
+ * @returns {number|null}
+ */
+function cellNumber(cell, hms) {
+  if (cell == null || cell === "") return null;
+  if (typeof cell === "number") return hms ? Math.round(cell * SECONDS_PER_DAY * 100) / 100 : cell;
+
+  const s = String(cell).trim();
+  if (hms && s.includes(":")) {
+    const sec = parseTimeToSeconds(s);
+    return Number.isFinite(sec) ? sec : null;
+  }
+  const n = Number(s);
+  return s && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Converts a sheet to `{ages, events, values}`
+ *
+ * Upstream sheets have one row per event (name in the first column) and one
+ * column per age under a header row of ages; extra columns such as "isRoad",
+ * "Distance" or "OC" are ignored. Sheets laid out the other way round (one
+ * row per age) are read too.
+ * @param {any[][]} rows
+ * @param {{hms?: boolean}} [opts]
+ * @returns {{ages: number[], events: string[], values: Record<string, Record<string, number|null>>}}
+ */
+export function sheetToTable(rows, { hms = false } = {}) {
+  const ageCols = (row) =>
+    row.map((cell, i) => (AGE_CELL.test(String(cell ?? "").trim()) ? i : -1)).filter((i) => i >= 0);
+
+  let grid = rows;
+  let header = grid.findIndex((r) => ageCols(r).length >= MIN_AGES);
+  if (header < 0) {
+    grid = transpose(rows);
+    header = grid.findIndex((r) => ageCols(r).length >= MIN_AGES);
+  }
+  if (header < 0) throw new BuildError("no row or column of ages found.", EXIT_CODES.data);
+
+  const cols = ageCols(grid[header]);
+  const ages = cols.map((i) => Number(grid[header][i]));
+  const nameCol = grid[header].findIndex((cell) => /event/i.test(String(cell ?? "")));
+  const nameAt = nameCol >= 0 ? nameCol : 0;
+
+  const events = [];
+  const values = {};
+  for (const row of grid.slice(header + 1)) {
+    const name = String(row[nameAt] ?? "").trim();
+    if (!name || AGE_CELL.test(name)) continue;
+    events.push(name);
+    values[name] = Object.fromEntries(cols.map((c, k) => [String(ages[k]), cellNumber(row[c], hms)]));
+  }
+  if (!events.length) throw new BuildError("no event rows found.", EXIT_CODES.data);
+
+  return { ages, events, values };
+}
+
+/**
+ * Builds one sex's standards JSON from a source
+ * @param {string} path Workbook or CSV folder
+ * @param {{sex: "M"|"F", year: number, category: string, sourceUrl?: string}} opts
+ * @returns {any}
+ */
+export function buildStandardsFile(path, { sex, year, category, sourceUrl }) {
+  const { sheets, checksum } = readSource(path);
+
+  const sheet = (role, required) => {
+    const found = findSheet(sheets, role);
+    if (!found && required) {
+      throw new BuildError(`${basename(path)} has no ${role === "sec" ? "AgeStdSec" : "Age Factors"} sheet.`, EXIT_CODES.data);
+    }
+    return found;
+  };
+  const read = (found, opts) => {
+    try {
+      return sheetToTable(found.rows, opts);
+    } catch (err) {
+      throw new BuildError(`${basename(path)} sheet “${found.name}”: ${err.message}`, EXIT_CODES.data);
+    }
+  };
+
+  const secSheet = sheet("sec", true);
+  const factorSheet = sheet("factors", true);
+  const hmsSheet = sheet("hms", false);
+
+  const sec = read(secSheet);
+  const factors = read(factorSheet);
+  // Without an HMS sheet the seconds sheet stands in (same values, the page only reads AgeStdSec)
+  const hms = hmsSheet ? read(hmsSheet, { hms: true }) : sec;
+
+  return {
+    meta: {
+      category,
+      year,
+      sex,
+      source_file: portablePath(path),
+      source_sha256: checksum,
+      ...(sourceUrl ? { source_url: sourceUrl } : {}),
+      sheets_used: {
+        factors: factorSheet.name,
+        sec: secSheet.name,
+        hms: hmsSheet?.name ?? secSheet.name,
+      },
+    },
+    AgeStdSec: { ages: sec.ages, events: sec.events, standards_seconds: sec.values },
+    AgeStdHMS: { ages: hms.ages, events: hms.events, standards_seconds: hms.values },
+    AgeStdFactors: { ages: factors.ages, events: factors.events, factors: factors.values },
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Manifest                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * JSON on one line with spaces after colons and commas, the manifest's style
+ * @param {any} value
+ * @returns {string}
+ */
+function inlineJson(value) {
+  if (Array.isArray(value)) return `[${value.map(inlineJson).join(", ")}]`;
+  if (value && typeof value === "object") {
+    return `{ ${Object.entries(value)
+      .map(([k, v]) => `${JSON.stringify(k)}: ${inlineJson(v)}`)
+      .join(", ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Serialises the manifest in its hand-written layout (one line per set)
+ * @param {any} manifest
+ * @returns {string}
+ */
+function formatManifest(manifest) {
+  const sets = manifest.sets.map((s) => `    ${inlineJson(s)}`);
+  return `{\n  "categories": ${inlineJson(manifest.categories ?? {})},\n  "sets": [\n${sets.join(",\n")}\n  ]\n}\n`;
+}
+
+/**
+ * Adds or replaces a set's manifest entry (sets stay grouped by category, oldest first)
+ * @param {any} manifest
+ * @param {any} entry
+ * @returns {any}
+ */
+export function upsertManifestEntry(manifest, entry) {
+  const same = (s) => setCategory(s) === setCategory(entry) && String(s.label) === String(entry.label);
+  const sets = manifest.sets.some(same) ? manifest.sets.map((s) => (same(s) ? entry : s)) : [...manifest.sets, entry];
+  const order = [...new Set(sets.map(setCategory))];
+  sets.sort((a, b) => order.indexOf(setCategory(a)) - order.indexOf(setCategory(b)) || a.year - b.year);
+  return { ...manifest, sets };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Commands                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Prints issues and returns whether any were errors
+ * @param {string} heading
+ * @param {import("../lib/validate.js").StandardsIssue[]} issues
+ * @returns {boolean}
+ */
+function report(heading, issues) {
+  const errors = issues.filter((i) => i.level === "error");
+  console.log(`${heading}: ${errors.length} error${errors.length === 1 ? "" : "s"}, ${issues.length - errors.length} warning${issues.length - errors.length === 1 ? "" : "s"}`);
+  for (const i of issues) console.log(`  ${i.level === "error" ? "error  " : "warning"} ${i.message}`);
+  return errors.length > 0;
+}
+
+/**
+ * Converts, validates and writes one set
+ * @param {any} opts Parsed options
+ * @returns {number} exit code
+ */
+function build(opts) {
+  for (const name of ["year", "male", "female"]) {
+    if (!opts[name]) throw new BuildError(`Missing --${name}.`);
+  }
+  const year = Number(opts.year);
+  if (!Number.isInteger(year)) throw new BuildError(`--year must be a year, not “${opts.year}”.`);
+
+  const category = opts.category || DEFAULT_CATEGORY;
+  const label = opts.label || String(year);
+  const common = { year, category, sourceUrl: opts["source-url"] };
+
+  const male = buildStandardsFile(opts.male, { ...common, sex: "M" });
+  const female = buildStandardsFile(opts.female, { ...common, sex: "F" });
+
+  const issues = [...validateStandardsFile(male), ...validateStandardsFile(female), ...compareEventLists(male, female)];
+  const failed = report(`${category} ${label}`, issues);
+  if (failed && !opts.force) {
+    console.error("Nothing written (use --force to write anyway).");
+    return EXIT_CODES.data;
+  }
+  if (opts["dry-run"]) return failed ? EXIT_CODES.data : EXIT_CODES.ok;
+
+  const outRoot = resolve(opts.out || join(ROOT, "age_grade_standards"));
+  const dir = join(outRoot, String(year));
+  const cat = category[0].toUpperCase() + category.slice(1);
+  const files = { male: `Male${cat}Std${year}.json`, female: `Female${cat}Std${year}.json` };
+  const text = { male: JSON.stringify(male, null, 2), female: JSON.stringify(female, null, 2) };
+
+  mkdirSync(dir, { recursive: true });
+  for (const key of ["male", "female"]) {
+    writeFileSync(join(dir, files[key]), text[key]);
+    console.log(`Wrote ${relative(process.cwd(), join(dir, files[key]))}`);
+  }
+
+  const manifestPath = join(outRoot, basename(MANIFEST_PATH));
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  } catch {
+    manifest = { categories: { [category]: cat }, sets: [] };
+  }
+  manifest.categories = { [category]: cat, ...manifest.categories };
+
+  const entry = {
+    label,
+    year,
+    category,
+    base: `${basename(outRoot)}/${year}`,
+    male: files.male,
+    female: files.female,
+    sha256: { male: sha256(text.male), female: sha256(text.female) },
+  };
+  writeFileSync(manifestPath, formatManifest(upsertManifestEntry(manifest, entry)));
+  console.log(`Updated ${relative(process.cwd(), manifestPath)}`);
+
+  return failed ? EXIT_CODES.data : EXIT_CODES.ok;
+}
+
+/**
+ * Validates every set listed in the manifest (and its checksums, where recorded)
+ * @param {any} opts Parsed options
+ * @returns {number} exit code
+ */
+function check(opts) {
+  const outRoot = resolve(opts.out || join(ROOT, "age_grade_standards"));
+  const manifestPath = join(outRoot, basename(MANIFEST_PATH));
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  } catch {
+    throw new BuildError(`Can't read ${portablePath(manifestPath)}.`, EXIT_CODES.data);
+  }
+
+  let failed = false;
+  for (const entry of manifest.sets) {
+    const issues = [];
+    const files = {};
+    for (const key of ["male", "female"]) {
+      const path = join(dirname(outRoot), entry.base, entry[key] ?? "");
+      let text;
+      try {
+        text = readFileSync(path, "utf8");
+        files[key] = JSON.parse(text);
+      } catch {
+        issues.push({ level: "error", code: "missingFile", message: `${entry.base}/${entry[key] ?? `(no ${key} file)`} is missing or unreadable.` });
+        continue;
+      }
+      const expected = entry.sha256?.[key];
+      if (expected && sha256(text) !== expected) {
+        issues.push({ level: "error", code: "checksum", message: `${entry[key]} doesn't match its manifest checksum.` });
+      }
+      issues.push(...validateStandardsFile(files[key], { sex: key === "male" ? "M" : "F" }));
+    }
+    if (files.male && files.female) issues.push(...compareEventLists(files.male, files.female));
+    failed = report(`${setCategory(entry)} ${entry.label}`, issues) || failed;
+  }
+  return failed ? EXIT_CODES.data : EXIT_CODES.ok;
+}
+
+/**
+ * Runs the build
+ * @param {string[]} argv Arguments after the script name
+ * @returns {number} exit code
+ */
+export function main(argv) {
+  let opts;
+  try {
+    ({ values: opts } = parseArgs({
+      args: argv,
+      options: {
+        year: { type: "string" },
+        label: { type: "string" },
+        category: { type: "string" },
+        male: { type: "string" },
+        female: { type: "string" },
+        "source-url": { type: "string" },
+        out: { type: "string" },
+        force: { type: "boolean" },
+        "dry-run": { type: "boolean" },
+        check: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  try {
+    return opts.check ? check(opts) : build(opts);
+  } catch (err) {
+    if (!(err instanceof BuildError)) throw err;
+    console.error(err.code === EXIT_CODES.usage ? `${err.message}\n\n${USAGE}` : err.message);
+    return err.code;
+  }
+}
+
+// Run when executed directly (also through an npm-style bin symlink), not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(process.argv[1])) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,71 @@
+/**
+ * Reads the bundled standards from disk for the command-line tool and the API server
+ */
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+import { DEFAULT_CATEGORY, createStandardsStore, findSetEntry, setCategory } from "../lib/agegrade.js";
+
+/** Repository root (standards paths in the manifest are relative to it) */
+const ROOT = new URL("../", import.meta.url);
+
+/** Thrown when the manifest or a set can't be found or read */
+export class StandardsError extends Error {
+  /**
+   * @param {string} message
+   * @param {"data"|"set"} code `data`: files unreadable, `set`: no such set
+   */
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Reads a JSON file relative to the repository root
+ * @param {string} path
+ * @returns {Promise<any>}
+ */
+async function readJson(path) {
+  return JSON.parse(await readFile(fileURLToPath(new URL(path, ROOT)), "utf8"));
+}
+
+/**
+ * Creates a caching standards store backed by the files in age_grade_standards/
+ * @returns {ReturnType<typeof createStandardsStore>}
+ */
+export function createFileStore() {
+  return createStandardsStore({ readJson });
+}
+
+/**
+ * Loads a set by year or label (the newest in the category when `set` is empty)
+ * @param {ReturnType<typeof createStandardsStore>} store
+ * @param {{set?: string|null, category?: string|null}} ref
+ * @returns {Promise<any>}
+ * @throws {StandardsError}
+ */
+export async function loadSetByRef(store, { set, category }) {
+  let manifest;
+  try {
+    manifest = await store.manifest();
+  } catch {
+    throw new StandardsError("Couldn’t read age_grade_standards/manifest.json.", "data");
+  }
+
+  const cat = category || DEFAULT_CATEGORY;
+  const inCategory = manifest.sets.filter((s) => setCategory(s) === cat);
+  const entry = set ? findSetEntry(manifest, set, cat) : inCategory[inCategory.length - 1];
+
+  if (!entry) {
+    const available = inCategory.map((s) => s.label).join(", ") || "none";
+    throw new StandardsError(`Unknown standards set “${set ?? ""}” (${cat}: ${available}).`, "set");
+  }
+
+  try {
+    return await store.set(entry);
+  } catch {
+    throw new StandardsError(`Couldn’t read the WMA ${entry.label} standards files.`, "data");
+  }
+}
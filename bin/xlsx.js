@@ -0,0 +1,150 @@
+/**
+ * Minimal .xlsx reader for the standards build (no dependencies beyond Node 20)
+ *
+ * Reads cell values only (numbers, shared/inline strings, booleans) from every
+ * worksheet; formatting, formulas and dates are ignored, which is all the
+ * standards workbooks need. Legacy .xls (BIFF) workbooks aren't supported:
+ * save them as .xlsx or export the sheets to CSV.
+ */
+
+import { inflateRawSync } from "node:zlib";
+
+const SIG_END_OF_CENTRAL_DIR = 0x06054b50;
+const SIG_CENTRAL_DIR = 0x02014b50;
+const SIG_LOCAL_HEADER = 0x04034b50;
+
+/**
+ * Reads every file in a zip archive
+ * @param {Buffer} buf
+ * @returns {Map<string, Buffer>} path → contents
+ */
+function unzip(buf) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === SIG_END_OF_CENTRAL_DIR) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip archive (is it an .xls workbook? Save it as .xlsx or export CSV).");
+
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  const files = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== SIG_CENTRAL_DIR) throw new Error("Corrupt zip central directory.");
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (buf.readUInt32LE(local) !== SIG_LOCAL_HEADER) throw new Error(`Corrupt zip entry ${name}.`);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + size);
+
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, inflateRawSync(data));
+    else throw new Error(`Unsupported zip compression (method ${method}) in ${name}.`);
+  }
+  return files;
+}
+
+/**
+ * Decodes XML character entities
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[e.toLowerCase()];
+  });
+}
+
+/**
+ * Text of every <t> element inside a fragment (rich text runs are joined)
+ * @param {string} xml
+ * @returns {string}
+ */
+function textOf(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+/**
+ * Zero-based column index of a cell reference, e.g. "C12" → 2
+ * @param {string} ref
+ * @returns {number}
+ */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] ?? "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Reads the cell values of one worksheet
+ * @param {string} xml
+ * @param {string[]} shared Shared strings table
+ * @returns {(string|number|boolean|null)[][]}
+ */
+function readSheet(xml, shared) {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNum = Number(/\br="(\d+)"/.exec(rowMatch[1])?.[1] ?? rows.length + 1);
+    const row = [];
+    for (const c of (rowMatch[2] ?? "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1];
+      const body = c[2] ?? "";
+      const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+      const type = /\bt="(\w+)"/.exec(attrs)?.[1] ?? "n";
+      const v = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+      let value = null;
+      if (type === "s") value = v != null ? shared[Number(v)] ?? null : null;
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "str") value = v != null ? decodeXml(v) : null;
+      else if (type === "b") value = v === "1";
+      else if (type === "e") value = null;
+      else value = v != null && v !== "" ? Number(v) : null;
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows[rowNum - 1] = Array.from(row, (x) => x ?? null);
+  }
+  return Array.from(rows, (r) => r ?? []);
+}
+
+/**
+ * Reads every worksheet of an .xlsx workbook
+ * @param {Buffer} buf Workbook file contents
+ * @returns {Map<string, (string|number|boolean|null)[][]>} sheet name → rows of cell values
+ */
+export function readXlsx(buf) {
+  const files = unzip(buf);
+  const text = (path) => files.get(path)?.toString("utf8") ?? "";
+
+  const workbook = text("xl/workbook.xml");
+  if (!workbook) throw new Error("Not an .xlsx workbook (no xl/workbook.xml).");
+
+  const shared = [...text("xl/sharedStrings.xml").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+
+  const targets = new Map();
+  for (const m of text("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = /\bId="([^"]+)"/.exec(m[0])?.[1];
+    const target = /\bTarget="([^"]+)"/.exec(m[0])?.[1];
+    if (id && target) targets.set(id, target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  }
+
+  const sheets = new Map();
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = decodeXml(/\bname="([^"]*)"/.exec(m[0])?.[1] ?? "");
+    const rid = /\br:id="([^"]+)"/.exec(m[0])?.[1];
+    const path = targets.get(rid);
+    if (name && path && files.has(path)) sheets.set(name, readSheet(text(path), shared));
+  }
+  return sheets;
+}
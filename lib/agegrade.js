@@ -0,0 +1,1005 @@
+/**
+ * Age Grade calculations (DOM-free)
+ *
+ * Pure functions for parsing/formatting times and computing Age Grades and
+ * equivalent performances from the transformed WMA standards JSON.
+ *
+ * Nothing in here touches the DOM or the network directly: standards are
+ * loaded through an injected `readJson(path)` function, so the same module
+ * works with `fetch` in a browser/worker and with `fs` in Node.
+ */
+
+export const AGE_MIN = 5;
+export const AGE_MAX = 110;
+
+export const MANIFEST_PATH = "age_grade_standards/manifest.json";
+
+/**
+ * Reasons an Age Grade can't be computed, mapped to the messages the UI shows
+ */
+export const GRADE_ERRORS = {
+  time: "Enter a valid time to calculate.",
+  age: "Enter a valid age to calculate.",
+  standard: "That age/event doesn’t exist in this standards set.",
+  distance: "Enter a valid distance to calculate.",
+};
+
+export const METERS_PER_MILE = 1609.344;
+
+/* -------------------------------------------------------------------------- */
+/*                              Formatting Helpers                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Reasons a typed time can't be read, mapped to the messages shown next to the
+ * time field
+ */
+export const TIME_INPUT_ERRORS = {
+  empty: GRADE_ERRORS.time,
+  format: "Couldn’t read that time. Try 41:30, 1:23:45.6, 41m30s, 2h05, 41.5 (minutes) or 6:40/mi.",
+  range: "Minutes and seconds after the first number must be under 60 (e.g. 1:05:30, not 1:65:30).",
+  zero: "Time must be more than zero.",
+  paceDistance: "Pace entry needs an event with a known distance.",
+};
+
+/** Pace units accepted after "/" (e.g. "6:40/mi", "4:10/km") */
+const PACE_UNIT_METERS = {
+  km: 1000,
+  k: 1000,
+  kilometer: 1000,
+  kilometre: 1000,
+  mi: METERS_PER_MILE,
+  mile: METERS_PER_MILE,
+};
+
+/** Unit order for "1h02m03s"-style times; a bare trailing number takes the next unit down */
+const DURATION_UNITS = { h: 3600, m: 60, s: 1 };
+
+/**
+ * Reads a duration: "mm:ss", "h:mm:ss" (seconds may have decimals),
+ * "41m30s" / "2h05" / "45s", or a plain number of minutes ("41.5")
+ * @param {string} s Trimmed, non-empty input
+ * @returns {{seconds: number, error: null} | {seconds: null, error: keyof typeof TIME_INPUT_ERRORS}}
+ */
+function parseDuration(s) {
+  const fail = (error) => ({ seconds: null, error });
+
+  if (s.includes(":")) {
+    if (!/^\d+(?::\d{1,2}){1,2}(?:\.\d+)?$/.test(s)) return fail("format");
+    const parts = s.split(":").map(Number);
+    if (parts.slice(1).some((p) => p >= 60)) return fail("range");
+    return { seconds: parts.reduce((total, p) => total * 60 + p, 0), error: null };
+  }
+
+  const compact = s
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/hours?|hrs?/g, "h")
+    .replace(/minutes?|mins?/g, "m")
+    .replace(/seconds?|secs?/g, "s");
+  const tokens = [...compact.matchAll(/(\d+(?:\.\d+)?)([hms]?)/g)];
+  if (!tokens.length || tokens.map((t) => t[0]).join("") !== compact) return fail("format");
+
+  // A lone bare number is minutes ("41.5")
+  if (tokens.length === 1 && !tokens[0][2]) return { seconds: Number(tokens[0][1]) * 60, error: null };
+
+  const units = Object.keys(DURATION_UNITS);
+  let seconds = 0;
+  let prev = -1;
+  for (const [i, [, num, unit]] of tokens.entries()) {
+    // Only the last number may drop its unit, and only after a unit ("2h05", "41m30")
+    if (!unit && (i !== tokens.length - 1 || prev < 0 || prev === units.length - 1)) return fail("format");
+    const idx = unit ? units.indexOf(unit) : prev + 1;
+    if (idx <= prev) return fail("format");
+    const n = Number(num);
+    if (prev >= 0 && n >= 60) return fail("range");
+    seconds += n * DURATION_UNITS[units[idx]];
+    prev = idx;
+  }
+  return { seconds, error: null };
+}
+
+/**
+ * Reads a typed finish time, explaining why when it can't
+ *
+ * Accepts everything `parseDuration` does plus a pace ("6:40/mi", "4:10/km"),
+ * which is converted to a finish time over `meters`. A decimal comma
+ * ("4:58,3", "41,5") reads the same as a point
+ * @param {string} raw
+ * @param {{meters?: number|null}} [opts] Event distance, needed for pace entry
+ * @returns {{seconds: number|null, error: keyof typeof TIME_INPUT_ERRORS | null, pace: {seconds: number, unit: "km"|"mi"}|null}}
+ */
+export function parseTimeInput(raw, { meters = null } = {}) {
+  const s = String(raw ?? "").trim().replace(/(\d),(\d)/g, "$1.$2");
+  if (!s) return { seconds: null, error: "empty", pace: null };
+
+  const paceMatch = /^(.+?)\s*\/\s*([a-z]+?)s?$/i.exec(s);
+  const perMeters = paceMatch ? PACE_UNIT_METERS[paceMatch[2].toLowerCase()] : null;
+  if (paceMatch && !perMeters) return { seconds: null, error: "format", pace: null };
+
+  const parsed = parseDuration(paceMatch ? paceMatch[1].trim() : s);
+  if (parsed.error) return { ...parsed, pace: null };
+  if (!(parsed.seconds > 0)) return { seconds: null, error: "zero", pace: null };
+  if (!paceMatch) return { seconds: parsed.seconds, error: null, pace: null };
+
+  if (!Number.isFinite(meters) || meters <= 0) return { seconds: null, error: "paceDistance", pace: null };
+  return {
+    seconds: (parsed.seconds * meters) / perMeters,
+    error: null,
+    pace: { seconds: parsed.seconds, unit: perMeters === 1000 ? "km" : "mi" },
+  };
+}
+
+/**
+ * Parse a typed time into seconds (see `parseTimeInput` for the formats;
+ * pace entry isn't supported here since it needs a distance)
+ * Returns NaN for invalid input
+ * @param {string} raw
+ * @returns {number}
+ */
+export function parseTimeToSeconds(raw) {
+  return parseTimeInput(raw).seconds ?? NaN;
+}
+
+/**
+ * Display precision by event distance: events up to `maxMeters` show
+ * `decimals` digits of seconds. Checked in order; longer events get whole seconds
+ * @type {{maxMeters: number, decimals: number}[]}
+ */
+export const TIME_PRECISION = [{ maxMeters: METERS_PER_MILE, decimals: 1 }];
+
+/**
+ * Decimal places to show for an event's times
+ * @param {number|null} meters Event distance (null when unknown)
+ * @param {{maxMeters: number, decimals: number}[]} [rules]
+ * @returns {number}
+ */
+export function timeDecimals(meters, rules = TIME_PRECISION) {
+  if (!Number.isFinite(meters)) return 0;
+  return rules.find((r) => meters <= r.maxMeters + 1e-6)?.decimals ?? 0;
+}
+
+/**
+ * Format seconds to "m:ss" or "h:mm:ss" (with `decimals` digits of seconds, e.g. "4:58.3")
+ * @param {number} seconds
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function secondsToTime(seconds, decimals = 0) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return "—";
+
+  // Round once at the display precision so 59.96s shows as "1:00.0", not "0:60.0"
+  const scale = 10 ** decimals;
+  const scaled = Math.round(seconds * scale);
+  const s = Math.floor(scaled / scale);
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const ss = s % 60;
+
+  const frac = decimals > 0 ? `.${String(scaled % scale).padStart(decimals, "0")}` : "";
+  const ssStr = `${String(ss).padStart(2, "0")}${frac}`;
+  const mmStr = hh > 0 ? String(mm).padStart(2, "0") : String(mm);
+
+  return hh > 0 ? `${hh}:${mmStr}:${ssStr}` : `${mmStr}:${ssStr}`;
+}
+
+/**
+ * Formats a raw time string as a friendly display time
+ * @param {string} raw
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function formatInputTime(raw, decimals = 0) {
+  const sec = parseTimeToSeconds(raw);
+  return Number.isFinite(sec) && sec > 0 ? secondsToTime(sec, decimals) : "—";
+}
+
+export function sexLabel(sex) {
+  return sex === "M" ? "Male" : "Female";
+}
+
+export function otherSex(sex) {
+  return sex === "M" ? "F" : "M";
+}
+
+/**
+ * Clamp age to the supported range. Returns null for invalid input
+ * @param {number} n
+ * @returns {number|null}
+ */
+export function clampAge(n) {
+  if (!Number.isFinite(n)) return null;
+  if (n < AGE_MIN) return AGE_MIN;
+  if (n > AGE_MAX) return AGE_MAX;
+  return Math.round(n);
+}
+
+/**
+ * Clamp age to the supported range without rounding (for exact-age mode)
+ * Returns null for invalid input
+ * @param {number} n
+ * @returns {number|null}
+ */
+export function clampAgeExact(n) {
+  if (!Number.isFinite(n)) return null;
+  return Math.min(AGE_MAX, Math.max(AGE_MIN, n));
+}
+
+/**
+ * Parse a "YYYY-MM-DD" date (as used by <input type="date">) into a UTC Date
+ * Returns null for invalid input
+ * @param {string} raw
+ * @returns {Date|null}
+ */
+export function parseIsoDate(raw) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(raw ?? "").trim());
+  if (!m) return null;
+
+  const [y, mo, d] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+  const date = new Date(Date.UTC(y, mo, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== mo || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Age in (fractional) years on a given date
+ * Whole years are completed birthdays; the fraction is how far through the
+ * current birthday year the date falls. Returns null for invalid input or
+ * a date before the date of birth
+ * @param {string} dob "YYYY-MM-DD"
+ * @param {string} onDate "YYYY-MM-DD"
+ * @returns {number|null}
+ */
+export function ageOnDate(dob, onDate) {
+  const b = parseIsoDate(dob);
+  const d = parseIsoDate(onDate);
+  if (!b || !d || d < b) return null;
+
+  const birthday = (years) =>
+    new Date(Date.UTC(b.getUTCFullYear() + years, b.getUTCMonth(), b.getUTCDate()));
+
+  let years = d.getUTCFullYear() - b.getUTCFullYear();
+  if (birthday(years) > d) years -= 1;
+
+  const last = birthday(years);
+  const next = birthday(years + 1);
+  return years + (d - last) / (next - last);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Standards Tables                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Selects the usable standards table from a JSON payload
+ * @param {any} json
+ * @returns {{events: string[], standards_seconds: Record<string, Record<string, number|null>>}}
+ */
+export function getTable(json) {
+  if (json?.AgeStdSec?.standards_seconds) return json.AgeStdSec;
+  if (json?.AgeStdHMS?.standards_seconds) return json.AgeStdHMS;
+  throw new Error("No usable standards table found in JSON");
+}
+
+/**
+ * Returns the standard seconds for a given event and age
+ * @param {any} table
+ * @param {string} event
+ * @param {number} age
+ * @returns {number|null}
+ */
+export function getStandardSeconds(table, event, age) {
+  const map = table?.standards_seconds?.[event];
+  if (!map) return null;
+  return map[String(age)] ?? null;
+}
+
+/**
+ * Returns the standard seconds for a fractional age by interpolating linearly
+ * between the neighbouring whole-age rows
+ * @param {any} table
+ * @param {string} event
+ * @param {number} age
+ * @returns {number|null}
+ */
+export function interpolateStandardSeconds(table, event, age) {
+  const lo = Math.floor(age);
+  const hi = Math.ceil(age);
+
+  const a = getStandardSeconds(table, event, lo);
+  if (lo === hi) return a;
+
+  const b = getStandardSeconds(table, event, hi);
+  if (!a || !b) return null;
+
+  return a + (b - a) * (age - lo);
+}
+
+/**
+ * Looks up a standard, either by whole age (rounded) or by exact fractional age
+ * `event` is an event name from `table.events`, or a distance in metres
+ * (interpolated across the table's events, see `standardForDistance`)
+ * @param {any} table
+ * @param {string|number} event
+ * @param {number} age
+ * @param {boolean} [exact]
+ * @returns {{age: number|null, standard: number|null}}
+ */
+export function standardForAge(table, event, age, exact = false) {
+  const a = exact ? clampAgeExact(age) : clampAge(age);
+  if (a == null) return { age: null, standard: null };
+
+  const lookup = (ev) =>
+    exact ? interpolateStandardSeconds(table, ev, a) : getStandardSeconds(table, ev, a);
+
+  const standard =
+    typeof event === "number" ? standardForDistance(table.events, lookup, event) : lookup(event);
+  return { age: a, standard };
+}
+
+/**
+ * Computes "peak age" (factor of 1.000 / fastest standard) per event in a standards table
+ * @param {any} table
+ * @returns {Record<string, number|null>}
+ */
+export function computePeak(table) {
+  const peak = {};
+  for (const event of table.events) {
+    let best = Infinity;
+    const m = table.standards_seconds[event] ?? {};
+
+    for (const a of Object.keys(m)) {
+      const v = m[a];
+      if (typeof v === "number" && v > 0 && v < best) best = v;
+    }
+
+    peak[event] = Number.isFinite(best) ? best : null;
+  }
+  return peak;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Age Factors                                 */
+/* -------------------------------------------------------------------------- */
+
+/** Age factors are published to 4 decimal places */
+const FACTOR_ROUNDING = 0.00005;
+
+/** Open standards are published to the second */
+const OPEN_ROUNDING = 0.5;
+
+/**
+ * Selects the age factors table from a JSON payload (null when it has none)
+ * @param {any} json
+ * @returns {{ages: number[], events: string[], factors: Record<string, Record<string, number|null>>}|null}
+ */
+export function getFactorTable(json) {
+  return json?.AgeStdFactors?.factors ? json.AgeStdFactors : null;
+}
+
+/**
+ * Returns the published age factor for a given event and whole age
+ * @param {any} factorTable
+ * @param {string} event
+ * @param {number} age
+ * @returns {number|null}
+ */
+export function getAgeFactor(factorTable, event, age) {
+  const v = factorTable?.factors?.[event]?.[String(age)];
+  return typeof v === "number" && v > 0 ? v : null;
+}
+
+/**
+ * Cross-validates a standards table against its age factors
+ *
+ * Every age standard should equal open standard / age factor. Cells that miss
+ * by more than the rounding in the published data (1 s on the standard, half
+ * a second on the open standard and the 4th decimal of the factor) are
+ * returned. The youngest and oldest rows (ages 5 and 100) are skipped: the
+ * published tables cap them rather than following the factors
+ * @param {any} table
+ * @param {any} factorTable
+ * @param {Record<string, number|null>} peak
+ * @returns {{event: string, age: number, seconds: number, expected: number, factor: number}[]}
+ */
+export function checkFactorConsistency(table, factorTable, peak) {
+  const mismatches = [];
+  if (!factorTable) return mismatches;
+  const capped = new Set([table.ages[0], table.ages[table.ages.length - 1]]);
+
+  for (const event of table.events) {
+    const open = peak[event];
+    const m = table.standards_seconds[event];
+    if (!open || !m) continue;
+
+    for (const a of Object.keys(m)) {
+      if (capped.has(Number(a))) continue;
+      const seconds = m[a];
+      const factor = getAgeFactor(factorTable, event, a);
+      if (typeof seconds !== "number" || !factor) continue;
+
+      const expected = open / factor;
+      const tolerance = 1 + (OPEN_ROUNDING + expected * FACTOR_ROUNDING) / factor;
+      if (Math.abs(expected - seconds) > tolerance) {
+        mismatches.push({ event, age: Number(a), seconds, expected, factor });
+      }
+    }
+  }
+  return mismatches;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Distances                                  */
+/* -------------------------------------------------------------------------- */
+
+/** Events whose names don't carry their distance */
+const NAMED_EVENT_METERS = {
+  "half marathon": 21097.5,
+  marathon: 42195,
+  mile: METERS_PER_MILE,
+};
+
+/** Track events that aren't flat running (kept out of distance interpolation) */
+const NON_FLAT_EVENT = /steeple|\bsc\b|hurdle|\bh\b|walk|indoor/;
+
+/**
+ * Distance in metres for a standards event name
+ * Road ("5 km", "10 Mile", "Marathon", ...) and track ("800m", "3000m Steeplechase", "Mile", ...)
+ * Returns null when the name isn't recognised
+ * @param {string} event
+ * @returns {number|null}
+ */
+export function eventDistanceMeters(event) {
+  const name = String(event ?? "").trim().toLowerCase();
+  if (NAMED_EVENT_METERS[name]) return NAMED_EVENT_METERS[name];
+
+  const m = /^(\d+(?:\.\d+)?)\s*(km|k|mile|mi|m)\b/.exec(name);
+  if (!m) return null;
+
+  const n = Number(m[1]);
+  if (m[2] === "m") return n;
+  return m[2].startsWith("k") ? n * 1000 : n * METERS_PER_MILE;
+}
+
+/**
+ * Matches a results-file event name to an event in the standards table
+ * Exact (case-insensitive) names win; otherwise events of the same distance
+ * match, so "5K", "10k" or "Half marathon" find "5 km", "10 km", "Half Marathon"
+ * @param {any} table
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function matchEvent(table, raw) {
+  const s = String(raw ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+  if (!s) return null;
+
+  const byName = table.events.find((ev) => ev.toLowerCase() === s);
+  if (byName) return byName;
+
+  const meters = eventDistanceMeters(s);
+  if (meters == null) return null;
+  return table.events.find((ev) => Math.abs((eventDistanceMeters(ev) ?? -1) - meters) < 1) ?? null;
+}
+
+/**
+ * Whether an event is flat running over a known distance, i.e. usable as a
+ * point on the time/distance curve (steeplechase, hurdles, walks and indoor
+ * events are left out)
+ * @param {string} event
+ * @returns {boolean}
+ */
+export function isFlatEvent(event) {
+  const name = String(event ?? "").trim().toLowerCase();
+  return eventDistanceMeters(name) != null && !NON_FLAT_EVENT.test(name);
+}
+
+/**
+ * Converts a distance entered in km or miles to metres
+ * Returns null for invalid input
+ * @param {number} value
+ * @param {"km"|"mi"} unit
+ * @returns {number|null}
+ */
+export function toMeters(value, unit) {
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return unit === "mi" ? value * METERS_PER_MILE : value * 1000;
+}
+
+/**
+ * Interpolates a time for a distance on a log(time)/log(distance) curve
+ * between the two neighbouring points. Outside the points' range the nearest
+ * two points are extrapolated
+ * @param {{meters: number, seconds: number}[]} points
+ * @param {number} meters
+ * @returns {number|null}
+ */
+export function interpolateByDistance(points, meters) {
+  if (!Number.isFinite(meters) || meters <= 0) return null;
+
+  const pts = points
+    .filter((p) => p.meters > 0 && p.seconds > 0)
+    .sort((a, b) => a.meters - b.meters);
+  if (!pts.length) return null;
+
+  const hit = pts.find((p) => p.meters === meters);
+  if (hit) return hit.seconds;
+  if (pts.length < 2) return null;
+
+  let i = pts.findIndex((p) => p.meters > meters);
+  if (i === -1) i = pts.length - 1;
+  if (i === 0) i = 1;
+
+  const a = pts[i - 1];
+  const b = pts[i];
+  const t = Math.log(meters / a.meters) / Math.log(b.meters / a.meters);
+  return Math.exp(Math.log(a.seconds) + t * Math.log(b.seconds / a.seconds));
+}
+
+/**
+ * Interpolates a standard for an arbitrary distance from the standards of the
+ * named events around it
+ * @param {string[]} events
+ * @param {(event: string) => number|null} lookup Standard seconds per event
+ * @param {number} meters
+ * @returns {number|null}
+ */
+export function standardForDistance(events, lookup, meters) {
+  const points = events
+    .filter(isFlatEvent)
+    .map((ev) => ({ meters: eventDistanceMeters(ev), seconds: lookup(ev) }));
+  return interpolateByDistance(points, meters);
+}
+
+/**
+ * The shortest and longest events a standards table covers
+ * @param {any} table
+ * @returns {{min: {event: string, meters: number}, max: {event: string, meters: number}}|null}
+ */
+export function distanceRange(table) {
+  const known = table.events
+    .filter(isFlatEvent)
+    .map((event) => ({ event, meters: eventDistanceMeters(event) }))
+    .sort((a, b) => a.meters - b.meters);
+  if (!known.length) return null;
+  return { min: known[0], max: known[known.length - 1] };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Pace and Speed                               */
+/* -------------------------------------------------------------------------- */
+
+/** Units pace and speed can be shown in */
+export const PACE_UNITS = {
+  km: { meters: 1000, pace: "/km", speed: "km/h" },
+  mi: { meters: METERS_PER_MILE, pace: "/mi", speed: "mph" },
+};
+
+/**
+ * Pace in seconds per km or mile
+ * Returns null when the time or distance is missing
+ * @param {number|null} seconds Finish time
+ * @param {number|null} meters Event distance (see `eventDistanceMeters`)
+ * @param {"km"|"mi"} unit
+ * @returns {number|null}
+ */
+export function paceSeconds(seconds, meters, unit) {
+  if (!(seconds > 0) || !(meters > 0)) return null;
+  return (seconds * PACE_UNITS[unit].meters) / meters;
+}
+
+/**
+ * Average speed in km/h or mph
+ * Returns null when the time or distance is missing
+ * @param {number|null} seconds
+ * @param {number|null} meters
+ * @param {"km"|"mi"} unit
+ * @returns {number|null}
+ */
+export function speedPerHour(seconds, meters, unit) {
+  if (!(seconds > 0) || !(meters > 0)) return null;
+  return (meters / PACE_UNITS[unit].meters) * (3600 / seconds);
+}
+
+/**
+ * Formats a pace, e.g. "4:10/km" ("—" when unknown)
+ * @param {number|null} seconds
+ * @param {number|null} meters
+ * @param {"km"|"mi"} unit
+ * @returns {string}
+ */
+export function formatPace(seconds, meters, unit) {
+  const pace = paceSeconds(seconds, meters, unit);
+  return pace ? `${secondsToTime(pace)}${PACE_UNITS[unit].pace}` : "—";
+}
+
+/**
+ * Formats a speed, e.g. "14.4 km/h" ("—" when unknown)
+ * @param {number|null} seconds
+ * @param {number|null} meters
+ * @param {"km"|"mi"} unit
+ * @returns {string}
+ */
+export function formatSpeed(seconds, meters, unit) {
+  const speed = speedPerHour(seconds, meters, unit);
+  return speed ? `${speed.toFixed(1)} ${PACE_UNITS[unit].speed}` : "—";
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Data Loading                                */
+/* -------------------------------------------------------------------------- */
+
+/** Category assumed for manifest entries that don't name one */
+export const DEFAULT_CATEGORY = "road";
+
+/**
+ * The category ("road", "track", ...) of a manifest entry
+ * @param {any} entry
+ * @returns {string}
+ */
+export function setCategory(entry) {
+  return entry?.category ?? DEFAULT_CATEGORY;
+}
+
+/**
+ * Categories present in the manifest, in first-seen order, with display labels
+ * Labels come from the manifest's optional `categories` map
+ * @param {any} manifest
+ * @returns {{id: string, label: string}[]}
+ */
+export function listCategories(manifest) {
+  const labels = manifest?.categories ?? {};
+  const ids = [...new Set((manifest?.sets ?? []).map(setCategory))];
+  return ids.map((id) => ({ id, label: labels[id] ?? id.charAt(0).toUpperCase() + id.slice(1) }));
+}
+
+/**
+ * Resolves a manifest entry's standards file path for one sex
+ * @param {any} entry
+ * @param {"M"|"F"} sex
+ * @returns {string}
+ */
+export function standardsPath(entry, sex) {
+  const sexKey = sex === "M" ? "male" : "female";
+  return `${entry.base}/${entry[sexKey]}`;
+}
+
+/** Stands in for a sex whose standards file couldn't be loaded */
+const EMPTY_TABLE = Object.freeze({ ages: [], events: [], standards_seconds: {} });
+
+/**
+ * Loads both sexes of a manifest entry into a standards set
+ *
+ * If one sex's file can't be loaded (or has no usable table) the set still
+ * loads with an empty table for that sex; only both failing is an error.
+ * `validate` (e.g. `validateSet` from lib/validate.js) turns the loaded files
+ * into `issues`
+ * @param {any} entry Manifest `sets[]` entry
+ * @param {(path: string) => Promise<any>} readJson
+ * @param {{validate?: (loaded: {entry: any, files: {M: any|null, F: any|null}, loadErrors: {M?: string, F?: string}}) => any[]}} [options]
+ * `factorMismatches` lists the cells that fail `checkFactorConsistency`, per sex
+ * @returns {Promise<{entry: any, tables: {M: any, F: any}, factors: {M: any, F: any}, peaks: {M: Record<string, number|null>, F: Record<string, number|null>}, factorMismatches: {M: any[], F: any[]}, issues: any[]}>}
+ */
+export async function loadSet(entry, readJson, { validate } = {}) {
+  const results = await Promise.allSettled([
+    readJson(standardsPath(entry, "M")),
+    readJson(standardsPath(entry, "F")),
+  ]);
+
+  const files = { M: null, F: null };
+  const loadErrors = {};
+  const tables = {};
+  ["M", "F"].forEach((sex, i) => {
+    const r = results[i];
+    try {
+      if (r.status === "rejected") throw r.reason;
+      tables[sex] = getTable(r.value);
+      files[sex] = r.value;
+    } catch (err) {
+      tables[sex] = EMPTY_TABLE;
+      loadErrors[sex] = err?.message ?? String(err);
+    }
+  });
+  if (!files.M && !files.F) {
+    throw new Error(`Couldn't load standards set ${entry.label}: ${loadErrors.M}; ${loadErrors.F}`);
+  }
+
+  const factors = { M: getFactorTable(files.M), F: getFactorTable(files.F) };
+  const peaks = { M: computePeak(tables.M), F: computePeak(tables.F) };
+  const factorMismatches = {
+    M: checkFactorConsistency(tables.M, factors.M, peaks.M),
+    F: checkFactorConsistency(tables.F, factors.F, peaks.F),
+  };
+  const issues = validate ? validate({ entry, files, loadErrors }) : [];
+  return { entry, tables, factors, peaks, factorMismatches, issues };
+}
+
+/**
+ * Finds a manifest entry by index, year or label
+ * Year/label lookups are limited to one category (road by default)
+ * @param {any} manifest
+ * @param {number|string} ref
+ * @param {string} [category]
+ * @returns {any|null}
+ */
+export function findSetEntry(manifest, ref, category = DEFAULT_CATEGORY) {
+  const sets = manifest?.sets ?? [];
+  const key = String(ref);
+  return (
+    sets.find(
+      (s) => setCategory(s) === category && (String(s.year) === key || String(s.label) === key)
+    ) ??
+    (Number.isInteger(ref) ? sets[ref] : null) ??
+    null
+  );
+}
+
+/**
+ * Creates a caching standards store on top of an injected JSON reader
+ *
+ * Browser: `createStandardsStore({ readJson: (p) => fetch(p).then((r) => r.json()) })`
+ * Node:    `createStandardsStore({ readJson: async (p) => JSON.parse(await readFile(p, "utf8")) })`
+ *
+ * `validate` is passed on to `loadSet`
+ * @param {{readJson: (path: string) => Promise<any>, manifestPath?: string, validate?: Function}} options
+ */
+export function createStandardsStore({ readJson, manifestPath = MANIFEST_PATH, validate }) {
+  let manifestPromise = null;
+  /** "<male path>|<female path>" -> Promise<set> */
+  const sets = new Map();
+
+  function manifest() {
+    if (!manifestPromise) {
+      manifestPromise = readJson(manifestPath).catch((err) => {
+        manifestPromise = null;
+        throw err;
+      });
+    }
+    return manifestPromise;
+  }
+
+  /**
+   * Loads (or returns the cached) standards set for a manifest entry
+   * @param {any} entry
+   */
+  function set(entry) {
+    const key = `${standardsPath(entry, "M")}|${standardsPath(entry, "F")}`;
+    if (!sets.has(key)) {
+      sets.set(
+        key,
+        loadSet(entry, readJson, { validate }).catch((err) => {
+          sets.delete(key);
+          throw err;
+        })
+      );
+    }
+    return sets.get(key);
+  }
+
+  /**
+   * Loads a set by index, year or label
+   * @param {number|string} ref
+   * @param {string} [category]
+   */
+  async function setByRef(ref, category) {
+    const entry = findSetEntry(await manifest(), ref, category);
+    if (!entry) throw new Error(`Standards set not found in manifest: ${ref}`);
+    return set(entry);
+  }
+
+  return { manifest, set, setByRef };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Calculations                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the peak-age (open class) standard for an event (name or metres)
+ * @param {{set: any, sex: "M"|"F", event: string|number}} args
+ * @returns {number|null}
+ */
+export function peakStandard({ set, sex, event }) {
+  const peak = set.peaks[sex];
+  if (!peak) return null;
+
+  if (typeof event === "number") {
+    return standardForDistance(set.tables[sex].events, (ev) => peak[ev], event);
+  }
+  return peak[event] ?? null;
+}
+
+/**
+ * Age factor for an event/age along with the open-class standard it applies to
+ *
+ * Uses the published AgeStdFactors value for whole ages and named events;
+ * otherwise (exact ages, custom distances, sets without factors) the factor
+ * is derived as open standard / age standard
+ * @param {{set: any, sex: "M"|"F", age: number, event: string|number, standard: number}} args
+ * @returns {{ageFactor: number|null, openStandard: number|null, factorSource: "table"|"derived"|null}}
+ */
+export function ageFactorFor({ set, sex, age, event, standard }) {
+  const openStandard = peakStandard({ set, sex, event });
+
+  const published =
+    typeof event === "string" && Number.isInteger(age)
+      ? getAgeFactor(set.factors?.[sex], event, age)
+      : null;
+  if (published) return { ageFactor: published, openStandard, factorSource: "table" };
+
+  if (openStandard && standard) {
+    return { ageFactor: openStandard / standard, openStandard, factorSource: "derived" };
+  }
+  return { ageFactor: null, openStandard, factorSource: null };
+}
+
+/**
+ * Computes the Age Grade for a performance
+ *
+ * `event` is an event name, or a distance in metres for a custom distance.
+ * With `exact: true` the age is not rounded and the standard is interpolated
+ * between the neighbouring age rows.
+ * On failure `error` is one of the GRADE_ERRORS keys
+ * @param {{set: any, sex: "M"|"F", age: number, event: string|number, seconds: number, exact?: boolean}} args
+ * The result also carries the age factor and open-class standard (see `ageFactorFor`)
+ * @returns {{error: null, age: number, standard: number, factor: number, pct: number, ageFactor: number|null, openStandard: number|null, factorSource: "table"|"derived"|null} | {error: "time"|"age"|"standard"|"distance"}}
+ */
+export function ageGrade({ set, sex, age, event, seconds, exact = false }) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return { error: "time" };
+  if (event == null || (typeof event === "number" && !(event > 0))) return { error: "distance" };
+
+  const { age: a, standard } = standardForAge(set.tables[sex], event, age, exact);
+  if (a == null) return { error: "age" };
+  if (!standard) return { error: "standard" };
+
+  const factor = standard / seconds;
+  return {
+    error: null,
+    age: a,
+    standard,
+    factor,
+    pct: factor * 100,
+    ...ageFactorFor({ set, sex, age: a, event, standard }),
+  };
+}
+
+/**
+ * Computes the time that matches a performance factor for a target sex/age/event
+ * Pass `age: "peak"` for the peak-age (open class) equivalent, and a distance in
+ * metres as `event` for a custom distance
+ * @param {{set: any, factor: number, sex: "M"|"F", age: number|"peak", event: string|number, exact?: boolean}} args
+ * @returns {number|null} seconds
+ */
+export function equivalentTime({ set, factor, sex, age, event, exact = false }) {
+  if (!Number.isFinite(factor) || factor <= 0) return null;
+
+  const std =
+    age === "peak"
+      ? peakStandard({ set, sex, event })
+      : standardForAge(set.tables[sex], event, age, exact).standard;
+
+  return std ? std / factor : null;
+}
+
+/**
+ * Equivalent times for several targets at once: one row per event, one cell
+ * per target (e.g. "me at 45, me at 55, peak male, peak female")
+ *
+ * Events are matched to each target's own table (names differ slightly between
+ * the male and female files); a number is a custom distance in metres and is
+ * interpolated for every target
+ * @param {any} set
+ * @param {number} factor Performance factor
+ * @param {{sex: "M"|"F", age: number|"peak"}[]} targets
+ * @param {{events: (string|number)[], exact?: boolean}} opts
+ * @returns {{event: string|number, seconds: (number|null)[]}[]}
+ */
+export function equivalentsMatrix(set, factor, targets, { events, exact = false }) {
+  return events.map((event) => ({
+    event,
+    seconds: targets.map((t) => {
+      const ev = typeof event === "number" ? event : matchEvent(set.tables[t.sex], event);
+      if (ev == null) return null;
+      return equivalentTime({ set, factor, sex: t.sex, age: t.age, event: ev, exact: t.age !== "peak" && exact });
+    }),
+  }));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Target Age Grades                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * WMA performance levels (Age Grade % thresholds)
+ */
+export const PERFORMANCE_LEVELS = [
+  { id: "world-record", label: "World Record", pct: 100 },
+  { id: "world-class", label: "World Class", pct: 90 },
+  { id: "national", label: "National Class", pct: 80 },
+  { id: "regional", label: "Regional Class", pct: 70 },
+  { id: "local", label: "Local Class", pct: 60 },
+];
+
+/**
+ * The highest performance level an Age Grade reaches (null below the lowest)
+ * @param {number} pct
+ * @param {{label: string, pct: number}[]} [levels]
+ * @returns {{id?: string, label: string, pct: number}|null}
+ */
+export function performanceLevel(pct, levels = PERFORMANCE_LEVELS) {
+  const sorted = [...levels].sort((a, b) => b.pct - a.pct);
+  return sorted.find((l) => pct >= l.pct) ?? null;
+}
+
+/**
+ * Computes the time needed to reach a target Age Grade %
+ * @param {{set: any, sex: "M"|"F", age: number, event: string|number, pct: number, exact?: boolean}} args
+ * @returns {number|null} seconds
+ */
+export function requiredTime({ set, sex, age, event, pct, exact = false }) {
+  if (!Number.isFinite(pct) || pct <= 0) return null;
+  return equivalentTime({ set, factor: pct / 100, sex, age, event, exact });
+}
+
+/**
+ * Performance levels for a list of Age Grade % thresholds, highest first
+ * Thresholds that match a WMA level keep its name; others are labelled "75%"
+ * @param {number[]} thresholds
+ * @returns {{id?: string, label: string, pct: number}[]}
+ */
+export function levelsFromThresholds(thresholds) {
+  const unique = [...new Set(thresholds.filter((p) => Number.isFinite(p) && p > 0))].sort((a, b) => b - a);
+  return unique.map((pct) => PERFORMANCE_LEVELS.find((l) => l.pct === pct) ?? { label: `${pct}%`, pct });
+}
+
+/**
+ * Standards chart: the time each level needs at every event, for one sex/age
+ * (no performance needed)
+ * @param {{set: any, sex: "M"|"F", age: number, events: (string|number)[], levels: {pct: number}[], exact?: boolean}} args
+ * @returns {{event: string|number, seconds: (number|null)[]}[]}
+ */
+export function levelTimes({ set, sex, age, events, levels, exact = false }) {
+  return events.map((event) => ({
+    event,
+    seconds: levels.map((l) => requiredTime({ set, sex, age, event, pct: l.pct, exact })),
+  }));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Age Progression                              */
+/* -------------------------------------------------------------------------- */
+
+/** Masters age groups start at 35 and run in 5-year bands (M35, M40, ...) */
+export const MASTERS_START_AGE = 35;
+export const MASTERS_BAND_YEARS = 5;
+
+/**
+ * Whether an age starts a 5-year masters age group (35, 40, 45, ...)
+ * @param {number} age
+ * @returns {boolean}
+ */
+export function isAgeGroupStart(age) {
+  return age >= MASTERS_START_AGE && (age - MASTERS_START_AGE) % MASTERS_BAND_YEARS === 0;
+}
+
+/**
+ * Equivalent times for one event at every whole age in the standards table,
+ * holding a performance factor constant ("what this performance is worth at
+ * other ages")
+ * @param {{set: any, factor: number, sex: "M"|"F", event: string|number, from?: number, to?: number}} args
+ * @returns {{age: number, seconds: number|null, groupStart: boolean}[]}
+ */
+export function ageProjection({ set, factor, sex, event, from = AGE_MIN, to = AGE_MAX }) {
+  const lo = Math.min(from, to);
+  const hi = Math.max(from, to);
+
+  return set.tables[sex].ages
+    .map(Number)
+    .filter((age) => age >= lo && age <= hi)
+    .map((age) => ({
+      age,
+      seconds: equivalentTime({ set, factor, sex, age, event }),
+      groupStart: isAgeGroupStart(age),
+    }));
+}
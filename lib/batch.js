@@ -0,0 +1,179 @@
+/**
+ * Batch Age Grading of race results (DOM-free)
+ *
+ * Takes parsed CSV rows plus a column mapping and runs every finisher through
+ * the same `ageGrade` / `equivalentTime` logic as the single-performance UI.
+ * Rows that can't be graded are reported with the reason instead of dropped.
+ */
+
+import {
+  AGE_MAX,
+  AGE_MIN,
+  ageGrade,
+  equivalentTime,
+  getStandardSeconds,
+  matchEvent,
+  parseTimeToSeconds,
+  secondsToTime,
+} from "./agegrade.js";
+
+/** Columns a results file needs, in display order */
+export const BATCH_FIELDS = ["name", "sex", "age", "event", "time"];
+
+export const BATCH_FIELD_LABELS = {
+  name: "Name",
+  sex: "Sex",
+  age: "Age",
+  event: "Event",
+  time: "Time",
+};
+
+/** Header names recognised per field when guessing the column mapping */
+const FIELD_ALIASES = {
+  name: ["name", "athlete", "runner", "competitor", "full name", "first name"],
+  sex: ["sex", "gender", "m/f", "s"],
+  age: ["age", "age on race day"],
+  event: ["event", "distance", "race", "course"],
+  time: ["time", "finish time", "chip time", "gun time", "net time", "result"],
+};
+
+/** Header row of the graded results CSV (see `resultsToRows`), by column */
+export const RESULT_HEADERS = {
+  ...BATCH_FIELD_LABELS,
+  pct: "Age Grade %",
+  ageGradedTime: "Age-Graded Time",
+};
+
+/** Reasons a row can't be graded, by code (`{event}` is the file's event name) */
+export const BATCH_ERRORS = {
+  time: "Invalid time",
+  age: "Invalid age",
+  ageRange: "Age out of range",
+  event: "Unknown event “{event}”",
+  sex: "Unknown sex",
+};
+
+/**
+ * A failed row's result: the reason code and its English text
+ * @param {keyof BATCH_ERRORS} code
+ * @param {string} [event]
+ * @returns {{ok: false, code: string, reason: string}}
+ */
+function failure(code, event = "") {
+  return { ok: false, code, reason: BATCH_ERRORS[code].replace("{event}", event) };
+}
+
+/**
+ * Guesses which column holds each field from a header row
+ * @param {string[]} header
+ * @returns {Record<string, number>} field -> column index (-1 when not found)
+ */
+export function guessColumnMapping(header) {
+  const norm = header.map((h) => String(h ?? "").trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of BATCH_FIELDS) {
+    const idx = norm.findIndex((h, i) => !used.has(i) && FIELD_ALIASES[field].includes(h));
+    mapping[field] = idx;
+    if (idx >= 0) used.add(idx);
+  }
+  return mapping;
+}
+
+/**
+ * Reads a sex/gender cell ("M", "Male", "F", "W", "Women", ...)
+ * @param {string} raw
+ * @returns {"M"|"F"|null}
+ */
+export function parseSex(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (["m", "male", "man", "men"].includes(s)) return "M";
+  if (["f", "female", "w", "woman", "women", "l", "lady", "ladies"].includes(s)) return "F";
+  return null;
+}
+
+/**
+ * Grades one results row
+ * @param {any} set Loaded standards set (see `loadSet`)
+ * @param {{name: string, sex: string, age: string, event: string, time: string}} record
+ * @returns {{ok: true, name: string, sex: "M"|"F", age: number, event: string, seconds: number, pct: number, ageGradedSeconds: number|null} | {ok: false, code: string, reason: string}}
+ */
+export function gradeRecord(set, record) {
+  const sex = parseSex(record.sex);
+  if (!sex) return failure("sex");
+
+  const table = set.tables[sex];
+  const event = matchEvent(table, record.event);
+  if (!event) return failure("event", String(record.event ?? "").trim());
+
+  const ageRaw = String(record.age ?? "").trim();
+  const age = ageRaw ? Number(ageRaw) : NaN;
+  if (!Number.isFinite(age)) return failure("age");
+  if (age < AGE_MIN || age > AGE_MAX || getStandardSeconds(table, event, Math.round(age)) == null) {
+    return failure("ageRange");
+  }
+
+  const seconds = parseTimeToSeconds(record.time);
+  const grade = ageGrade({ set, sex, age, event, seconds });
+  if (grade.error === "time") return failure("time");
+  if (grade.error) return failure("ageRange");
+
+  return {
+    ok: true,
+    name: String(record.name ?? "").trim(),
+    sex,
+    age: grade.age,
+    event,
+    seconds,
+    pct: grade.pct,
+    ageGradedSeconds: equivalentTime({ set, factor: grade.factor, sex, age: "peak", event }),
+  };
+}
+
+/**
+ * Grades every data row of a parsed CSV
+ * @param {any} set
+ * @param {string[][]} rows Data rows (header already removed)
+ * @param {Record<string, number>} mapping field -> column index
+ * @param {number} [firstLine] Line number of rows[0] in the source file, for error reports
+ * @returns {{results: any[], errors: {line: number, row: string[], code: string, reason: string}[]}}
+ */
+export function gradeRows(set, rows, mapping, firstLine = 2) {
+  const results = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const record = {};
+    for (const field of BATCH_FIELDS) {
+      record[field] = mapping[field] >= 0 ? row[mapping[field]] : "";
+    }
+
+    const graded = gradeRecord(set, record);
+    if (graded.ok) results.push({ line: firstLine + i, ...graded });
+    else errors.push({ line: firstLine + i, row, code: graded.code, reason: graded.reason });
+  });
+
+  return { results, errors };
+}
+
+/**
+ * Rows (header first) for exporting graded results as CSV
+ * @param {any[]} results
+ * @param {Record<keyof RESULT_HEADERS, string>} [headers] Header text by column (the page passes translations)
+ * @returns {string[][]}
+ */
+export function resultsToRows(results, headers = RESULT_HEADERS) {
+  return [
+    Object.keys(RESULT_HEADERS).map((key) => headers[key]),
+    ...results.map((r) => [
+      r.name,
+      r.sex,
+      String(r.age),
+      r.event,
+      secondsToTime(r.seconds),
+      r.pct.toFixed(2),
+      r.ageGradedSeconds ? secondsToTime(r.ageGradedSeconds) : "",
+    ]),
+  ];
+}
@@ -0,0 +1,78 @@
+/**
+ * Standards set comparison (DOM-free)
+ *
+ * Grades one performance under several standards sets (e.g. 2010 vs 2025) and
+ * diffs two sets' standards cell by cell, so changes between editions can be
+ * explained.
+ */
+
+import { ageGrade, matchEvent } from "./agegrade.js";
+
+/**
+ * Finds an event in another set's table
+ * Names are matched case-insensitively, then by distance ("5 Mile" / "5 MIle")
+ * Custom distances (metres) work in every set
+ * @param {any} table
+ * @param {string|number} event
+ * @returns {string|number|null}
+ */
+function eventInTable(table, event) {
+  return typeof event === "number" ? event : matchEvent(table, event);
+}
+
+/**
+ * Age Grades one performance under every set
+ *
+ * `delta` is the difference in percentage points from the baseline set
+ * (null when either grade is unavailable)
+ * @param {any[]} sets Loaded standards sets (see `loadSet`)
+ * @param {{sex: "M"|"F", age: number, event: string|number, seconds: number, exact?: boolean, baseline?: number}} args
+ * @returns {{entry: any, event: string|number|null, grade: any, delta: number|null}[]}
+ */
+export function compareSets(sets, { sex, age, event, seconds, exact = false, baseline = 0 }) {
+  const rows = sets.map((set) => {
+    const ev = eventInTable(set.tables[sex], event);
+    const grade = ev == null ? { error: "standard" } : ageGrade({ set, sex, age, event: ev, seconds, exact });
+    return { entry: set.entry, event: ev, grade, delta: null };
+  });
+
+  const base = rows[baseline]?.grade;
+  if (base && !base.error) {
+    for (const r of rows) {
+      if (!r.grade.error) r.delta = r.grade.pct - base.pct;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Diffs two standards tables (same sex) across every age and event they share
+ *
+ * `change` is (b - a) / a: positive means set B's standard is slower, so the
+ * same time earns a higher Age Grade (easier); negative means harder
+ * @param {any} tableA
+ * @param {any} tableB
+ * @returns {{events: {a: string, b: string}[], rows: {age: number, cells: {a: number|null, b: number|null, change: number|null}[]}[], maxChange: number}}
+ */
+export function diffStandards(tableA, tableB) {
+  const events = tableA.events
+    .map((a) => ({ a, b: matchEvent(tableB, a) }))
+    .filter((e) => e.b != null);
+
+  const agesB = new Set(tableB.ages.map(Number));
+  const ages = tableA.ages.map(Number).filter((age) => agesB.has(age));
+
+  let maxChange = 0;
+  const rows = ages.map((age) => ({
+    age,
+    cells: events.map((e) => {
+      const a = tableA.standards_seconds[e.a]?.[String(age)] ?? null;
+      const b = tableB.standards_seconds[e.b]?.[String(age)] ?? null;
+      const change = a > 0 && b > 0 ? (b - a) / a : null;
+      if (change != null) maxChange = Math.max(maxChange, Math.abs(change));
+      return { a, b, change };
+    }),
+  }));
+
+  return { events, rows, maxChange };
+}
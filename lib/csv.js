@@ -0,0 +1,90 @@
+/**
+ * Minimal CSV reading/writing (DOM-free)
+ *
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings, which
+ * covers the CSV exports of common results and spreadsheet software.
+ */
+
+/**
+ * Guesses the delimiter of a CSV/TSV text from its first line
+ * @param {string} text
+ * @returns {"," | ";" | "\t"}
+ */
+export function detectDelimiter(text) {
+  const first = String(text ?? "").split(/\r?\n/, 1)[0];
+  const counts = [",", ";", "\t"].map((d) => [d, first.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+/**
+ * Parses CSV text into rows of string fields
+ * Blank lines are skipped
+ * @param {string} text
+ * @param {string} [delimiter] Detected from the first line when omitted
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Quotes a field when it contains a delimiter, quote or line break
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function escapeField(value, delimiter) {
+  const s = value == null ? "" : String(value);
+  if (s.includes(delimiter) || /["\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+/**
+ * Serialises rows of fields as CSV text
+ * @param {any[][]} rows
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function toCsv(rows, delimiter = ",") {
+  return rows.map((r) => r.map((v) => escapeField(v, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,1231 @@
+/**
+ * Messages and locale formatting (DOM-free)
+ *
+ * A flat message catalogue per language, keyed like "result.note", with
+ * `{name}` placeholders and plural forms picked by `Intl.PluralRules`. English
+ * is the fallback for any missing key, and its messages that the DOM-free
+ * modules also produce (grade and time-entry errors, batch and roster
+ * reasons, data checks, ...) come straight from their tables, so the page,
+ * CLI and API keep saying the same thing. Numbers go through `Intl.NumberFormat`;
+ * event names are only translated for display, the `table.events` names stay
+ * the lookup keys.
+ */
+
+import { GRADE_ERRORS, PERFORMANCE_LEVELS, TIME_INPUT_ERRORS } from "./agegrade.js";
+import { BATCH_ERRORS, RESULT_HEADERS } from "./batch.js";
+import { LOG_IMPORT_ERRORS } from "./log.js";
+import { ROSTER_ERRORS } from "./roster.js";
+import { SCORING_METHODS } from "./series.js";
+import { ISSUE_MESSAGES } from "./validate.js";
+
+/** Languages offered by the picker, in menu order */
+export const LOCALES = [
+  { id: "en", label: "English" },
+  { id: "fr", label: "Français" },
+  { id: "es", label: "Español" },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * Prefixes every key of a message map, e.g. { time: "..." } → { "grade.time": "..." }
+ * @param {string} prefix
+ * @param {Record<string, string | Record<string, string>>} messages
+ * @returns {Record<string, string | Record<string, string>>}
+ */
+function prefixKeys(prefix, messages) {
+  return Object.fromEntries(Object.entries(messages).map(([k, v]) => [`${prefix}.${k}`, v]));
+}
+
+/**
+ * Message catalogue by locale
+ *
+ * A value is a string, or `{one, other, ...}` plural forms chosen by the
+ * `count` parameter
+ * @type {Record<string, Record<string, string | Record<string, string>>>}
+ */
+export const MESSAGES = {
+  en: {
+    "app.pageTitle": "Age Grade Converter | WMA Road Running Age Grades & Equivalent Times",
+    "app.title": "Age Grade Converter",
+    "app.intro": "Calculate WMA Age Grade and Age Grade-equivalent road running times",
+    "app.about": "About this tool",
+    "app.language": "Language",
+    "app.offline": "Offline: using the standards data saved on this device.",
+    "app.loadError": "Couldn’t load the standards data. Please refresh, or check that the site is deployed correctly.",
+
+    "input.event": "Distance / Event",
+    "input.age": "Age",
+    "input.sex": "Gender",
+    "input.time": "Time",
+    "input.timePlaceholder": "41:30, 41m30s or 4:10/km",
+    "input.category": "Standards",
+    "input.set": "WMA Standards",
+    "input.customDistance": "Custom distance",
+    "input.customEvent": "Custom distance…",
+    "input.unit": "Unit",
+    "input.miles": "miles",
+
+    "ageOptions.title": "Age options",
+    "ageOptions.dob": "Date of birth",
+    "ageOptions.raceDate": "Race date",
+    "ageOptions.exact": "Exact age (interpolate between age rows)",
+
+    "display.title": "Display options",
+    "display.decimals": "Time decimals",
+    "display.decimalsAuto": "Auto (tenths up to 1 mile)",
+    "display.decimals0": "Whole seconds",
+    "display.decimals1": "Tenths",
+    "display.decimals2": "Hundredths",
+    "display.pace": "Pace & speed",
+    "display.paceKm": "Per km (min/km, km/h)",
+    "display.paceMi": "Per mile (min/mi, mph)",
+    "display.paceBoth": "Both",
+    "display.paceNone": "Off",
+
+    "sex.M": "Male",
+    "sex.F": "Female",
+
+    ...prefixKeys("grade", GRADE_ERRORS),
+    ...prefixKeys("time", TIME_INPUT_ERRORS),
+
+    "result.title": "Age Grade",
+    "result.otherSex": "Equivalent {sex} {event} Time",
+    "result.peak": "Equivalent Peak Age {sex} {event} Time",
+    "result.note": "{time}{pace} {event}, {sex}, {age}, WMA {set}",
+    "result.pace": " ({pace}/{unit} pace)",
+    "result.age": "Age {age}",
+    "result.onRaceDay": " on race day",
+    "result.exact": " (exact, interpolated)",
+    "result.factor": "Age factor {factor}{source} · Open standard {open} → Age {age} standard {standard}",
+    "result.derived": " (derived)",
+
+    "share.copyLink": "Copy link",
+    "share.copyLinkTitle": "Copy a link to these exact inputs",
+    "share.copied": "Link copied",
+    "share.copyPrompt": "Copy this link:",
+    "share.image": "Save image",
+    "share.imageTitle": "Download this result as an image",
+    "share.imageUnsupported": "Image not supported",
+    "share.print": "Print",
+    "share.printTitle": "Print this result and any open tables",
+
+    "equiv.header": "Generate Equivalence Tables",
+    "equiv.select": "Select conversion table to generate",
+    "equiv.peakM": "Peak Age Male Equivalents",
+    "equiv.peakF": "Peak Age Female Equivalents",
+    "equiv.ageM": "Age {age} Male Equivalents",
+    "equiv.ageF": "Age {age} Female Equivalents",
+    "equiv.custom": "Custom Target",
+    "equiv.customTitle": "Custom Target ({sex}, age {age})",
+    "equiv.targetSex": "Target gender",
+    "equiv.targetAge": "Target age",
+
+    "table.event": "Distance / Event",
+    "table.time": "Equivalent Time",
+    "table.pace": "Pace {unit}",
+    "table.allEvents": "All events",
+    "table.customRow": "{label} (custom)",
+    "table.customInvalid": "custom distance",
+
+    "warn.distance": "Outside the {min}–{max} range these standards cover, so the time is extrapolated.",
+
+    "data.mismatch": {
+      one: "{count} standards cell doesn’t match age factor × open standard in the WMA {set} tables",
+      other: "{count} standards cells don’t match age factor × open standard in the WMA {set} tables",
+    },
+    "data.mismatchRow": "{sex} {event}, age {age}: {time} (factor {factor} implies {expected})",
+    "data.issues": {
+      one: "Some WMA {set} standards are unavailable ({count} problem in the data files)",
+      other: "Some WMA {set} standards are unavailable ({count} problems in the data files)",
+    },
+
+    "panel.matrix": "Multi-Target Equivalents",
+    "panel.matrixIntro":
+      "Compare several targets in one table, e.g. you at 45 and 55 alongside peak male and female. Click a column heading to sort.",
+    "panel.target": "Target Age Grade",
+    "panel.targetIntro":
+      "Pick a performance level or type an Age Grade % to see the time you need, using the event, age, gender and standards selected above.",
+    "panel.levels": "Age-Group Standards",
+    "panel.levelsIntro":
+      "The times each performance level needs at every event for the age, gender and standards selected above. No finish time is needed; enter one to see which band it falls in.",
+    "panel.projection": "Age Progression",
+    "panel.projectionIntro":
+      "Holds your current Age Grade constant and shows the equivalent time for the selected event at every age, with the 5-year masters age groups marked.",
+    "panel.log": "My Performances",
+    "panel.logIntro":
+      "Save performances to this browser to track your Age Grade over time. The history is re-graded with whichever standards set is selected above. Export and import the JSON file to move it to another device.",
+    "panel.roster": "Team Roster",
+    "panel.rosterIntro":
+      "Rank a squad for one race by Age Grade, so runners of different ages and genders can be compared for team selection. The roster is saved in this browser; times are entered per race.",
+    "panel.compare": "Compare Standards Sets",
+    "panel.compareIntro":
+      "The same performance graded under each WMA edition. parkrun still uses the 2010 standards, so grades can differ between sites.",
+    "panel.batch": "Batch Age Grade Race Results",
+    "panel.batchIntro":
+      "Paste or upload a results CSV with name, sex, age, event and time columns. Rows are graded in your browser with the WMA standards selected above.",
+    "panel.series": "Age-Graded Series League",
+    "panel.seriesIntro":
+      "Add each race of a series as a results CSV (or from the batch panel above). Athletes are matched across races by name.",
+
+    "common.name": "Name",
+    "common.age": "Age",
+    "common.event": "Event",
+    "common.time": "Time",
+    "common.date": "Date",
+    "common.remove": "Remove",
+    "common.removeName": "Remove {name}",
+    "common.downloadCsv": "Download CSV",
+    "common.loadError": "Couldn’t load the standards data.",
+    "common.readError": "Couldn’t read {name}.",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Download this table as CSV",
+    "export.copy": "Copy",
+    "export.copyTitle": "Copy this table for pasting into a spreadsheet",
+    "export.copied": "Copied",
+    "export.copyPrompt": "Copy this table:",
+
+    ...prefixKeys("level", Object.fromEntries(PERFORMANCE_LEVELS.map((l) => [l.id, l.label]))),
+
+    "matrix.peakM": "Peak Male",
+    "matrix.peakF": "Peak Female",
+    "matrix.ageM": "Male at my age",
+    "matrix.ageF": "Female at my age",
+    "matrix.customSex": "Custom target gender",
+    "matrix.customAge": "Custom target age",
+    "matrix.add": "Add target",
+    "matrix.peak": "Peak {sex}",
+    "matrix.target": "{sex} {age}",
+    "matrix.ageRange": "Enter a target age from {min} to {max}.",
+    "matrix.none": "Tick a target or add a custom one.",
+    "matrix.status": {
+      one: "{pct} Age Grade equivalents for {count} target, WMA {set}",
+      other: "{pct} Age Grade equivalents for {count} targets, WMA {set}",
+    },
+    "matrix.exportTitle": "Multi-target equivalents",
+
+    "target.level": "Performance level",
+    "target.pct": "Target Age Grade %",
+    "target.required": "Required Time",
+    "target.levelOption": "{level} ({pct})",
+    "target.customLevel": "Custom %",
+    "target.enterPct": "Enter a target Age Grade % to calculate.",
+    "target.note": "{pct} Age Grade{level}: {event}, {sex}, {age}, WMA {set}",
+    "target.noteLevel": " ({level})",
+    "target.title": "Required Times for {pct} ({sex}, {age})",
+
+    "levels.label": "Levels (Age Grade %)",
+    "levels.enter": "Enter Age Grade % levels separated by spaces or semicolons, e.g. 90 80 72.5.",
+    "levels.heading": "{sex}, {age}, WMA {set}",
+    "levels.enterTime": "{heading}. Enter a time to see where it falls.",
+    "levels.column": "{level} {pct}",
+    "levels.below": "{time} is {pct}, below {level}.",
+    "levels.top": "{time} is {pct}, at or above {level}.",
+    "levels.between": "{time} is {pct}: between {low} and {high}.",
+    "levels.reached": "Your {pct} reaches {level}",
+    "levels.exportTitle": "Age-group standards {heading}",
+
+    "projection.from": "From age",
+    "projection.to": "To age",
+    "projection.group": "Age Group",
+    "projection.chartLabel": "Equivalent time by age, {sex}, ages {from}–{to}",
+    "projection.dot": "Age {age}: {time}",
+    "projection.noAges": "No ages in that range for this standards set.",
+    "projection.status": "{pct} Age Grade held constant: {event}, {sex}, ages {from}–{to}",
+
+    "log.save": "Save this performance",
+    "log.saveTitle": "Save {time} {event}",
+    "log.export": "Export JSON",
+    "log.import": "Import JSON",
+    "log.best": "Best",
+    "log.eventBest": "★ Event best",
+    "log.chartLabel": {
+      one: "Age Grade over time, {count} performance",
+      other: "Age Grade over time, {count} performances",
+    },
+    "log.noStorage": "This browser can’t store data, so saved performances last until the page is closed.",
+    "log.empty": "No saved performances yet.",
+    "log.status": {
+      one: "{count} saved performance, graded with the WMA {set} standards",
+      other: "{count} saved performances, graded with the WMA {set} standards",
+    },
+    "log.notInSet": " ({count} not in this set)",
+    "log.saved": "Saved {date} {event} {time}.",
+    "log.imported": {
+      one: "Imported {count} performance",
+      other: "Imported {count} performances",
+    },
+    "log.alreadySaved": "{count} already saved",
+    "log.unreadable": "{count} unreadable",
+    "log.openError": "Couldn’t open the saved performances.",
+    "log.storeError": "Couldn’t update the saved performances.",
+    ...prefixKeys("log.importError", LOG_IMPORT_ERRORS),
+
+    "roster.add": "Add athlete",
+    "roster.event": "Race event",
+    "roster.teamSize": "Team size",
+    "roster.minPerSex": "At least of each gender",
+    "roster.born": "Born",
+    "roster.timeLabel": "{name} finish time",
+    "roster.noStorage": "This browser can’t store data, so the roster lasts until the page is closed.",
+    "roster.enterName": "Enter the athlete’s name.",
+    "roster.enterDob": "Enter the athlete’s date of birth.",
+    "roster.empty": "Add athletes to build the roster; it’s saved in this browser.",
+    "roster.enterTimes": "Enter finish times for the {event} on {date} to rank the roster.",
+    "roster.status": {
+      one: "{ranked} of {count} athlete ranked for the {event} on {date}, WMA {set}.",
+      other: "{ranked} of {count} athletes ranked for the {event} on {date}, WMA {set}.",
+    },
+    "roster.mixed": ", at least {count} of each gender",
+    "roster.team": "Best team of {size}{mixed}: {total} Age Grade points.",
+    "roster.noTeam": "Not enough graded athletes for a team of {size}{mixed}.",
+    "roster.rank": "Rank",
+    "roster.peakSame": "Peak same gender",
+    "roster.peakOther": "Peak other gender",
+    "roster.teamColumn": "Team",
+    "roster.scores": "★ Scores",
+    "roster.exportTitle": "Team {event} {date}",
+    ...prefixKeys("roster.error", ROSTER_ERRORS),
+
+    "compare.heatmap": "Standards heatmap",
+    "compare.from": "From",
+    "compare.to": "To",
+    "compare.standards": "Standards",
+    "compare.ageStandard": "Age Standard",
+    "compare.change": "Change",
+    "compare.selected": "selected",
+    "compare.status": "{event}, {sex}: change in Age Grade points from the WMA {set} standards",
+    "compare.heatStatus": "{sex} standards, {from} → {to}: % change per cell. Green is easier (slower standard), red is harder.",
+    "compare.missing": "Age {age}, {event}: missing in {set}",
+    "compare.cell": "Age {age}, {event}: {from} ({setFrom}) → {to} ({setTo}), {pct}{direction}",
+    "compare.easier": " easier",
+    "compare.harder": " harder",
+
+    "batch.csv": "Results CSV",
+    "batch.upload": "Or upload a file",
+    "batch.hasHeader": "First row is a header",
+    "batch.grade": "Grade results",
+    ...prefixKeys("batch.column", RESULT_HEADERS),
+    "batch.columnN": "Column {n}",
+    "batch.preview": {
+      one: "Preview ({shown} of {count} row)",
+      other: "Preview ({shown} of {count} rows)",
+    },
+    "batch.chooseColumns": "Choose a column for: {fields}.",
+    "batch.status": {
+      one: "Graded {graded} of {count} row with the WMA {set} standards.",
+      other: "Graded {graded} of {count} rows with the WMA {set} standards.",
+    },
+    "batch.errors": {
+      one: "{count} row couldn’t be graded",
+      other: "{count} rows couldn’t be graded",
+    },
+    "batch.errorLine": "Line {line}: {reason} ({row})",
+    ...prefixKeys("batch.error", BATCH_ERRORS),
+
+    "series.upload": "Upload race CSVs",
+    "series.raceName": "Race name",
+    "series.raceNamePlaceholder": "Race 1",
+    "series.addBatch": "Add batch panel results as a race",
+    "series.scoring": "Scoring",
+    "series.bestN": "Best N races",
+    "series.maxPoints": "Points for 1st",
+    "series.show": "Show",
+    "series.overall": "Overall",
+    "series.byBand": "By sex and age band",
+    "series.bands": "Age bands",
+    "series.years5": "5 years",
+    "series.years10": "10 years",
+    ...prefixKeys("series.method", SCORING_METHODS),
+    "series.pos": "Pos",
+    "series.band": "Age Band",
+    "series.races": "Races",
+    "series.score": "Score",
+    "series.sexPos": "Sex Pos",
+    "series.bandPos": "Band Pos",
+    "series.raceN": "Race {n}",
+    "series.missing": "{race}: missing {fields} column",
+    "series.graded": "{race}: {count} graded",
+    "series.skipped": ", {count} skipped",
+    "series.empty": "Add two or more races to build a league table.",
+    "series.needBatch": "Paste or upload results in the batch panel first.",
+    "series.status": {
+      one: "{athletes} athletes across {count} race, graded with the WMA {set} standards.",
+      other: "{athletes} athletes across {count} races, graded with the WMA {set} standards.",
+    },
+
+    ...prefixKeys("issue", ISSUE_MESSAGES),
+
+    "about.close": "Close",
+    "about.description":
+      "DCWelch's Age Grade Converter is a web-based tool to calculate an Age Grade and Age Grade-equivalent road running times given a distance, time, age, and gender.",
+    "about.basis": "The underlying calculations are based on Alan Lytton Jones' Age Grade standards (adopted by WMA).",
+    "about.categories":
+      "Note that Alan maintains standards for both road running and track running. Pick the category under Standards; the sets bundled here are the road running standards.",
+    "about.parkrun": "Also note that parkrun uses the 2010 standards.",
+    "about.github": "View this project on GitHub:",
+    "about.tables": "View Alan's Age Grade tables:",
+  },
+
+  fr: {
+    "app.pageTitle": "Convertisseur d’Age Grade | Age Grades WMA et temps équivalents sur route",
+    "app.title": "Convertisseur d’Age Grade",
+    "app.intro": "Calculez l’Age Grade WMA et les temps équivalents en course sur route",
+    "app.about": "À propos de cet outil",
+    "app.language": "Langue",
+    "app.offline": "Hors ligne : utilisation des standards enregistrés sur cet appareil.",
+    "app.loadError":
+      "Impossible de charger les standards. Actualisez la page ou vérifiez que le site est correctement déployé.",
+
+    "input.event": "Distance / Épreuve",
+    "input.age": "Âge",
+    "input.sex": "Sexe",
+    "input.time": "Temps",
+    "input.timePlaceholder": "41:30, 41m30s ou 4:10/km",
+    "input.category": "Standards",
+    "input.set": "Standards WMA",
+    "input.customDistance": "Distance personnalisée",
+    "input.customEvent": "Distance personnalisée…",
+    "input.unit": "Unité",
+    "input.miles": "milles",
+
+    "ageOptions.title": "Options d’âge",
+    "ageOptions.dob": "Date de naissance",
+    "ageOptions.raceDate": "Date de la course",
+    "ageOptions.exact": "Âge exact (interpolé entre les lignes d’âge)",
+
+    "display.title": "Options d’affichage",
+    "display.decimals": "Décimales du temps",
+    "display.decimalsAuto": "Auto (dixièmes jusqu’au mille)",
+    "display.decimals0": "Secondes entières",
+    "display.decimals1": "Dixièmes",
+    "display.decimals2": "Centièmes",
+    "display.pace": "Allure et vitesse",
+    "display.paceKm": "Par km (min/km, km/h)",
+    "display.paceMi": "Par mille (min/mi, mph)",
+    "display.paceBoth": "Les deux",
+    "display.paceNone": "Masquées",
+
+    "sex.M": "Homme",
+    "sex.F": "Femme",
+
+    "grade.time": "Saisissez un temps valide pour calculer.",
+    "grade.age": "Saisissez un âge valide pour calculer.",
+    "grade.standard": "Cet âge ou cette épreuve n’existe pas dans ces standards.",
+    "grade.distance": "Saisissez une distance valide pour calculer.",
+    "time.empty": "Saisissez un temps valide pour calculer.",
+    "time.format":
+      "Temps illisible. Essayez 41:30, 1:23:45,6, 41m30s, 2h05, 41,5 (minutes) ou 6:40/mi.",
+    "time.range":
+      "Après le premier nombre, les minutes et les secondes doivent être inférieures à 60 (p. ex. 1:05:30, pas 1:65:30).",
+    "time.zero": "Le temps doit être supérieur à zéro.",
+    "time.paceDistance": "La saisie d’une allure nécessite une épreuve de distance connue.",
+
+    "result.title": "Age Grade",
+    "result.otherSex": "Temps équivalent {sex} {event}",
+    "result.peak": "Temps équivalent {sex} {event} à l’âge optimal",
+    "result.note": "{time}{pace} {event}, {sex}, {age}, WMA {set}",
+    "result.pace": " (allure {pace}/{unit})",
+    "result.age": "{age} ans",
+    "result.onRaceDay": " le jour de la course",
+    "result.exact": " (exact, interpolé)",
+    "result.factor": "Coefficient d’âge {factor}{source} · Standard open {open} → standard à {age} ans {standard}",
+    "result.derived": " (calculé)",
+
+    "share.copyLink": "Copier le lien",
+    "share.copyLinkTitle": "Copier un lien vers ces saisies",
+    "share.copied": "Lien copié",
+    "share.copyPrompt": "Copiez ce lien :",
+    "share.image": "Enregistrer l’image",
+    "share.imageTitle": "Télécharger ce résultat en image",
+    "share.imageUnsupported": "Image non prise en charge",
+    "share.print": "Imprimer",
+    "share.printTitle": "Imprimer ce résultat et les tableaux ouverts",
+
+    "equiv.header": "Générer des tableaux d’équivalences",
+    "equiv.select": "Choisissez le tableau à générer",
+    "equiv.peakM": "Équivalents hommes à l’âge optimal",
+    "equiv.peakF": "Équivalents femmes à l’âge optimal",
+    "equiv.ageM": "Équivalents hommes à {age} ans",
+    "equiv.ageF": "Équivalents femmes à {age} ans",
+    "equiv.custom": "Cible personnalisée",
+    "equiv.customTitle": "Cible personnalisée ({sex}, {age} ans)",
+    "equiv.targetSex": "Sexe de la cible",
+    "equiv.targetAge": "Âge de la cible",
+
+    "table.event": "Distance / Épreuve",
+    "table.time": "Temps équivalent",
+    "table.pace": "Allure {unit}",
+    "table.allEvents": "Toutes les épreuves",
+    "table.customRow": "{label} (personnalisée)",
+    "table.customInvalid": "distance personnalisée",
+
+    "warn.distance":
+      "En dehors de la plage {min}–{max} couverte par ces standards : le temps est extrapolé.",
+
+    "data.mismatch": {
+      one: "{count} cellule des tables WMA {set} ne correspond pas à coefficient d’âge × standard open",
+      other: "{count} cellules des tables WMA {set} ne correspondent pas à coefficient d’âge × standard open",
+    },
+    "data.mismatchRow": "{sex} {event}, {age} ans : {time} (le coefficient {factor} donne {expected})",
+    "data.issues": {
+      one: "Certains standards WMA {set} sont indisponibles ({count} problème dans les fichiers de données)",
+      other: "Certains standards WMA {set} sont indisponibles ({count} problèmes dans les fichiers de données)",
+    },
+
+    "panel.matrix": "Équivalents multi-cibles",
+    "panel.matrixIntro":
+      "Comparez plusieurs cibles dans un même tableau, p. ex. vous à 45 et 55 ans à côté des hommes et femmes à l’âge optimal. Cliquez sur un en-tête de colonne pour trier.",
+    "panel.target": "Age Grade visé",
+    "panel.targetIntro":
+      "Choisissez un niveau de performance ou saisissez un Age Grade en % pour voir le temps nécessaire, avec l’épreuve, l’âge, le sexe et les standards choisis ci-dessus.",
+    "panel.levels": "Standards par catégorie d’âge",
+    "panel.levelsIntro":
+      "Le temps requis pour chaque niveau de performance, pour chaque épreuve, à l’âge, au sexe et avec les standards choisis ci-dessus. Aucun temps n’est nécessaire ; saisissez-en un pour voir dans quelle tranche il se situe.",
+    "panel.projection": "Évolution avec l’âge",
+    "panel.projectionIntro":
+      "Garde votre Age Grade actuel constant et montre le temps équivalent pour l’épreuve choisie à chaque âge, avec les catégories masters de 5 ans indiquées.",
+    "panel.log": "Mes performances",
+    "panel.logIntro":
+      "Enregistrez vos performances dans ce navigateur pour suivre votre Age Grade dans le temps. L’historique est recalculé avec les standards choisis ci-dessus. Exportez puis importez le fichier JSON pour le transférer sur un autre appareil.",
+    "panel.roster": "Effectif de l’équipe",
+    "panel.rosterIntro":
+      "Classez une équipe sur une course par Age Grade, pour comparer des coureurs d’âges et de sexes différents lors de la sélection. L’effectif est enregistré dans ce navigateur ; les temps sont saisis pour chaque course.",
+    "panel.compare": "Comparer les standards",
+    "panel.compareIntro":
+      "La même performance évaluée avec chaque édition WMA. parkrun utilise toujours les standards 2010, les Age Grades peuvent donc différer d’un site à l’autre.",
+    "panel.batch": "Age Grade d’un classement complet",
+    "panel.batchIntro":
+      "Collez ou importez un CSV de résultats avec les colonnes nom, sexe, âge, épreuve et temps. Les lignes sont évaluées dans votre navigateur avec les standards WMA choisis ci-dessus.",
+    "panel.series": "Challenge en Age Grade",
+    "panel.seriesIntro":
+      "Ajoutez chaque course du challenge sous forme de CSV de résultats (ou depuis le panneau ci-dessus). Les athlètes sont rapprochés d’une course à l’autre par leur nom.",
+
+    "common.name": "Nom",
+    "common.age": "Âge",
+    "common.event": "Épreuve",
+    "common.time": "Temps",
+    "common.date": "Date",
+    "common.remove": "Retirer",
+    "common.removeName": "Retirer {name}",
+    "common.downloadCsv": "Télécharger le CSV",
+    "common.loadError": "Impossible de charger les standards.",
+    "common.readError": "Impossible de lire {name}.",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Télécharger ce tableau en CSV",
+    "export.copy": "Copier",
+    "export.copyTitle": "Copier ce tableau pour le coller dans un tableur",
+    "export.copied": "Copié",
+    "export.copyPrompt": "Copiez ce tableau :",
+
+    "level.world-record": "Record du monde",
+    "level.world-class": "Classe mondiale",
+    "level.national": "Classe nationale",
+    "level.regional": "Classe régionale",
+    "level.local": "Classe locale",
+
+    "matrix.peakM": "Hommes, âge optimal",
+    "matrix.peakF": "Femmes, âge optimal",
+    "matrix.ageM": "Hommes à mon âge",
+    "matrix.ageF": "Femmes à mon âge",
+    "matrix.customSex": "Sexe de la cible personnalisée",
+    "matrix.customAge": "Âge de la cible personnalisée",
+    "matrix.add": "Ajouter la cible",
+    "matrix.peak": "{sex}, âge optimal",
+    "matrix.target": "{sex}, {age} ans",
+    "matrix.ageRange": "Saisissez un âge cible de {min} à {max} ans.",
+    "matrix.none": "Cochez une cible ou ajoutez-en une personnalisée.",
+    "matrix.status": {
+      one: "Équivalents d’un Age Grade de {pct} pour {count} cible, WMA {set}",
+      other: "Équivalents d’un Age Grade de {pct} pour {count} cibles, WMA {set}",
+    },
+    "matrix.exportTitle": "Équivalents multi-cibles",
+
+    "target.level": "Niveau de performance",
+    "target.pct": "Age Grade visé (%)",
+    "target.required": "Temps nécessaire",
+    "target.levelOption": "{level} ({pct})",
+    "target.customLevel": "% personnalisé",
+    "target.enterPct": "Saisissez un Age Grade visé en % pour calculer.",
+    "target.note": "Age Grade de {pct}{level} : {event}, {sex}, {age}, WMA {set}",
+    "target.noteLevel": " ({level})",
+    "target.title": "Temps nécessaires pour {pct} ({sex}, {age})",
+
+    "levels.label": "Niveaux (Age Grade en %)",
+    "levels.enter":
+      "Saisissez des niveaux d’Age Grade en % séparés par des espaces ou des points-virgules, p. ex. 90 80 72,5.",
+    "levels.heading": "{sex}, {age}, WMA {set}",
+    "levels.enterTime": "{heading}. Saisissez un temps pour voir où il se situe.",
+    "levels.column": "{level} {pct}",
+    "levels.below": "{time} vaut {pct}, sous {level}.",
+    "levels.top": "{time} vaut {pct}, au niveau de {level} ou au-delà.",
+    "levels.between": "{time} vaut {pct} : entre {low} et {high}.",
+    "levels.reached": "Vos {pct} atteignent {level}",
+    "levels.exportTitle": "Standards par catégorie d’âge {heading}",
+
+    "projection.from": "À partir de",
+    "projection.to": "Jusqu’à",
+    "projection.group": "Catégorie",
+    "projection.chartLabel": "Temps équivalent selon l’âge, {sex}, de {from} à {to} ans",
+    "projection.dot": "{age} ans : {time}",
+    "projection.noAges": "Aucun âge de cette plage dans ces standards.",
+    "projection.status": "Age Grade de {pct} constant : {event}, {sex}, de {from} à {to} ans",
+
+    "log.save": "Enregistrer cette performance",
+    "log.saveTitle": "Enregistrer {time} {event}",
+    "log.export": "Exporter en JSON",
+    "log.import": "Importer un JSON",
+    "log.best": "Meilleure",
+    "log.eventBest": "★ Record sur l’épreuve",
+    "log.chartLabel": {
+      one: "Age Grade dans le temps, {count} performance",
+      other: "Age Grade dans le temps, {count} performances",
+    },
+    "log.noStorage":
+      "Ce navigateur ne peut pas enregistrer de données : les performances sont conservées jusqu’à la fermeture de la page.",
+    "log.empty": "Aucune performance enregistrée pour l’instant.",
+    "log.status": {
+      one: "{count} performance enregistrée, évaluée avec les standards WMA {set}",
+      other: "{count} performances enregistrées, évaluées avec les standards WMA {set}",
+    },
+    "log.notInSet": " ({count} absentes de ces standards)",
+    "log.saved": "{date} {event} {time} enregistré.",
+    "log.imported": {
+      one: "{count} performance importée",
+      other: "{count} performances importées",
+    },
+    "log.alreadySaved": "{count} déjà enregistrées",
+    "log.unreadable": "{count} illisibles",
+    "log.openError": "Impossible d’ouvrir les performances enregistrées.",
+    "log.storeError": "Impossible de mettre à jour les performances enregistrées.",
+    "log.importError.json": "Ce fichier n’est pas un JSON valide.",
+    "log.importError.format": "Ce fichier n’est pas un journal de performances Age Grade.",
+
+    "roster.add": "Ajouter l’athlète",
+    "roster.event": "Épreuve de la course",
+    "roster.teamSize": "Taille de l’équipe",
+    "roster.minPerSex": "Minimum de chaque sexe",
+    "roster.born": "Naissance",
+    "roster.timeLabel": "Temps de {name}",
+    "roster.noStorage":
+      "Ce navigateur ne peut pas enregistrer de données : l’effectif est conservé jusqu’à la fermeture de la page.",
+    "roster.enterName": "Saisissez le nom de l’athlète.",
+    "roster.enterDob": "Saisissez la date de naissance de l’athlète.",
+    "roster.empty": "Ajoutez des athlètes pour constituer l’effectif ; il est enregistré dans ce navigateur.",
+    "roster.enterTimes": "Saisissez les temps du {event} du {date} pour classer l’effectif.",
+    "roster.status": {
+      one: "{ranked} athlète sur {count} classé sur {event} le {date}, WMA {set}.",
+      other: "{ranked} athlètes sur {count} classés sur {event} le {date}, WMA {set}.",
+    },
+    "roster.mixed": ", au moins {count} de chaque sexe",
+    "roster.team": "Meilleure équipe de {size}{mixed} : {total} points d’Age Grade.",
+    "roster.noTeam": "Pas assez d’athlètes évalués pour une équipe de {size}{mixed}.",
+    "roster.rank": "Rang",
+    "roster.peakSame": "Âge optimal, même sexe",
+    "roster.peakOther": "Âge optimal, autre sexe",
+    "roster.teamColumn": "Équipe",
+    "roster.scores": "★ Marque",
+    "roster.exportTitle": "Équipe {event} {date}",
+    "roster.error.time": "Aucun temps saisi.",
+    "roster.error.badTime": "Temps illisible.",
+    "roster.error.dob": "Date de naissance postérieure à la course.",
+    "roster.error.event": "Cette épreuve n’existe pas dans les standards de son sexe.",
+    "roster.error.age": "Âge hors des standards.",
+    "roster.error.standard": "Aucun standard pour cet âge et cette épreuve.",
+
+    "compare.heatmap": "Carte de chaleur des standards",
+    "compare.from": "De",
+    "compare.to": "À",
+    "compare.standards": "Standards",
+    "compare.ageStandard": "Standard à l’âge",
+    "compare.change": "Écart",
+    "compare.selected": "choisis",
+    "compare.status": "{event}, {sex} : écart d’Age Grade en points par rapport aux standards WMA {set}",
+    "compare.heatStatus":
+      "Standards {sex}, {from} → {to} : variation en % par cellule. Vert : plus facile (standard plus lent), rouge : plus difficile.",
+    "compare.missing": "{age} ans, {event} : absent de {set}",
+    "compare.cell": "{age} ans, {event} : {from} ({setFrom}) → {to} ({setTo}), {pct}{direction}",
+    "compare.easier": ", plus facile",
+    "compare.harder": ", plus difficile",
+
+    "batch.csv": "CSV de résultats",
+    "batch.upload": "Ou importez un fichier",
+    "batch.hasHeader": "La première ligne est un en-tête",
+    "batch.grade": "Évaluer les résultats",
+    "batch.column.name": "Nom",
+    "batch.column.sex": "Sexe",
+    "batch.column.age": "Âge",
+    "batch.column.event": "Épreuve",
+    "batch.column.time": "Temps",
+    "batch.column.pct": "Age Grade %",
+    "batch.column.ageGradedTime": "Temps Age Grade",
+    "batch.columnN": "Colonne {n}",
+    "batch.preview": {
+      one: "Aperçu ({shown} ligne sur {count})",
+      other: "Aperçu ({shown} lignes sur {count})",
+    },
+    "batch.chooseColumns": "Choisissez une colonne pour : {fields}.",
+    "batch.status": {
+      one: "{graded} ligne sur {count} évaluée avec les standards WMA {set}.",
+      other: "Lignes évaluées : {graded} sur {count}, avec les standards WMA {set}.",
+    },
+    "batch.errors": {
+      one: "{count} ligne n’a pas pu être évaluée",
+      other: "{count} lignes n’ont pas pu être évaluées",
+    },
+    "batch.errorLine": "Ligne {line} : {reason} ({row})",
+    "batch.error.time": "Temps invalide",
+    "batch.error.age": "Âge invalide",
+    "batch.error.ageRange": "Âge hors limites",
+    "batch.error.event": "Épreuve inconnue « {event} »",
+    "batch.error.sex": "Sexe inconnu",
+
+    "series.upload": "Importer les CSV des courses",
+    "series.raceName": "Nom de la course",
+    "series.raceNamePlaceholder": "Course 1",
+    "series.addBatch": "Ajouter les résultats du panneau comme une course",
+    "series.scoring": "Barème",
+    "series.bestN": "N meilleures courses",
+    "series.maxPoints": "Points du 1er",
+    "series.show": "Afficher",
+    "series.overall": "Général",
+    "series.byBand": "Par sexe et tranche d’âge",
+    "series.bands": "Tranches d’âge",
+    "series.years5": "5 ans",
+    "series.years10": "10 ans",
+    "series.method.best": "N meilleurs Age Grades (total)",
+    "series.method.average": "Age Grade moyen",
+    "series.method.points": "Points selon le rang en Age Grade (N meilleures)",
+    "series.pos": "Pl.",
+    "series.band": "Tranche d’âge",
+    "series.races": "Courses",
+    "series.score": "Score",
+    "series.sexPos": "Pl. sexe",
+    "series.bandPos": "Pl. tranche",
+    "series.raceN": "Course {n}",
+    "series.missing": "{race} : colonne {fields} manquante",
+    "series.graded": "{race} : {count} évalués",
+    "series.skipped": ", {count} ignorés",
+    "series.empty": "Ajoutez au moins deux courses pour établir un classement.",
+    "series.needBatch": "Collez ou importez d’abord des résultats dans le panneau de classement.",
+    "series.status": {
+      one: "{athletes} athlètes sur {count} course, évalués avec les standards WMA {set}.",
+      other: "{athletes} athlètes sur {count} courses, évalués avec les standards WMA {set}.",
+    },
+
+    "issue.who": "{sex} : ",
+    "issue.tableMissing": "{who}{table} est absent.",
+    "issue.tableNoAges": "{who}{table} n’a aucun âge.",
+    "issue.tableNoEvents": "{who}{table} n’a aucune épreuve.",
+    "issue.tableNoValues": "{who}{table} n’a pas de {values}.",
+    "issue.ageRange": "{who}âges hors de {min}–{max} : {ages}.",
+    "issue.missingEvent": "{who}{event} n’a aucun standard.",
+    "issue.missingCell": "{who}{event} n’a pas de standard à l’âge {ages}.",
+    "issue.notMonotonic":
+      "{who}les temps du {event} ne s’éloignent pas régulièrement de l’âge optimal à l’âge {ages}.",
+    "issue.factorEvents": "{who}coefficients d’âge absents pour {events}.",
+    "issue.factorCell": "{who}coefficient d’âge du {event} absent ou supérieur à 1 à l’âge {ages}.",
+    "issue.hmsMismatch": {
+      one: "{who}AgeStdHMS diffère d’AgeStdSec pour {count} cellule (p. ex. {cells}).",
+      other: "{who}AgeStdHMS diffère d’AgeStdSec pour {count} cellules (p. ex. {cells}).",
+    },
+    "issue.eventOnlyM": "{event} n’existe que dans les standards hommes.",
+    "issue.eventOnlyF": "{event} n’existe que dans les standards femmes.",
+    "issue.eventCase": "Épreuve nommée « {event} » pour les hommes mais « {other} » pour les femmes.",
+    "issue.missingFile": "Le fichier de standards {sex} {path} n’a pas pu être chargé ({reason}).",
+
+    "about.close": "Fermer",
+    "about.description":
+      "Le convertisseur d’Age Grade de DCWelch est un outil web qui calcule un Age Grade et les temps équivalents en course sur route à partir d’une distance, d’un temps, d’un âge et d’un sexe.",
+    "about.basis": "Les calculs reposent sur les standards d’Age Grade d’Alan Lytton Jones (adoptés par la WMA).",
+    "about.categories":
+      "Alan publie des standards pour la course sur route et pour la piste. Choisissez la catégorie sous Standards ; les tables fournies ici sont celles de la route.",
+    "about.parkrun": "parkrun utilise les standards 2010.",
+    "about.github": "Voir ce projet sur GitHub :",
+    "about.tables": "Voir les tables d’Age Grade d’Alan :",
+  },
+
+  es: {
+    "app.pageTitle": "Conversor de Age Grade | Age Grade WMA y tiempos equivalentes en ruta",
+    "app.title": "Conversor de Age Grade",
+    "app.intro": "Calcula el Age Grade WMA y los tiempos equivalentes en carreras de ruta",
+    "app.about": "Acerca de esta herramienta",
+    "app.language": "Idioma",
+    "app.offline": "Sin conexión: usando los estándares guardados en este dispositivo.",
+    "app.loadError":
+      "No se pudieron cargar los estándares. Recarga la página o comprueba que el sitio está bien desplegado.",
+
+    "input.event": "Distancia / Prueba",
+    "input.age": "Edad",
+    "input.sex": "Sexo",
+    "input.time": "Tiempo",
+    "input.timePlaceholder": "41:30, 41m30s o 4:10/km",
+    "input.category": "Estándares",
+    "input.set": "Estándares WMA",
+    "input.customDistance": "Distancia personalizada",
+    "input.customEvent": "Distancia personalizada…",
+    "input.unit": "Unidad",
+    "input.miles": "millas",
+
+    "ageOptions.title": "Opciones de edad",
+    "ageOptions.dob": "Fecha de nacimiento",
+    "ageOptions.raceDate": "Fecha de la carrera",
+    "ageOptions.exact": "Edad exacta (interpolar entre filas de edad)",
+
+    "display.title": "Opciones de visualización",
+    "display.decimals": "Decimales del tiempo",
+    "display.decimalsAuto": "Auto (décimas hasta 1 milla)",
+    "display.decimals0": "Segundos enteros",
+    "display.decimals1": "Décimas",
+    "display.decimals2": "Centésimas",
+    "display.pace": "Ritmo y velocidad",
+    "display.paceKm": "Por km (min/km, km/h)",
+    "display.paceMi": "Por milla (min/mi, mph)",
+    "display.paceBoth": "Ambos",
+    "display.paceNone": "Ocultos",
+
+    "sex.M": "Hombre",
+    "sex.F": "Mujer",
+
+    "grade.time": "Introduce un tiempo válido para calcular.",
+    "grade.age": "Introduce una edad válida para calcular.",
+    "grade.standard": "Esa edad o prueba no existe en estos estándares.",
+    "grade.distance": "Introduce una distancia válida para calcular.",
+    "time.empty": "Introduce un tiempo válido para calcular.",
+    "time.format": "No se pudo leer el tiempo. Prueba 41:30, 1:23:45,6, 41m30s, 2h05, 41,5 (minutos) o 6:40/mi.",
+    "time.range":
+      "Los minutos y segundos después del primer número deben ser menores de 60 (p. ej. 1:05:30, no 1:65:30).",
+    "time.zero": "El tiempo debe ser mayor que cero.",
+    "time.paceDistance": "Para introducir un ritmo hace falta una prueba con distancia conocida.",
+
+    "result.title": "Age Grade",
+    "result.otherSex": "Tiempo equivalente {sex} {event}",
+    "result.peak": "Tiempo equivalente {sex} {event} en la edad óptima",
+    "result.note": "{time}{pace} {event}, {sex}, {age}, WMA {set}",
+    "result.pace": " (ritmo {pace}/{unit})",
+    "result.age": "{age} años",
+    "result.onRaceDay": " el día de la carrera",
+    "result.exact": " (exacta, interpolada)",
+    "result.factor": "Factor de edad {factor}{source} · Estándar absoluto {open} → estándar a los {age} años {standard}",
+    "result.derived": " (calculado)",
+
+    "share.copyLink": "Copiar enlace",
+    "share.copyLinkTitle": "Copiar un enlace con estos mismos datos",
+    "share.copied": "Enlace copiado",
+    "share.copyPrompt": "Copia este enlace:",
+    "share.image": "Guardar imagen",
+    "share.imageTitle": "Descargar este resultado como imagen",
+    "share.imageUnsupported": "Imagen no disponible",
+    "share.print": "Imprimir",
+    "share.printTitle": "Imprimir este resultado y las tablas abiertas",
+
+    "equiv.header": "Generar tablas de equivalencias",
+    "equiv.select": "Elige la tabla que quieres generar",
+    "equiv.peakM": "Equivalencias masculinas en la edad óptima",
+    "equiv.peakF": "Equivalencias femeninas en la edad óptima",
+    "equiv.ageM": "Equivalencias masculinas a los {age} años",
+    "equiv.ageF": "Equivalencias femeninas a los {age} años",
+    "equiv.custom": "Objetivo personalizado",
+    "equiv.customTitle": "Objetivo personalizado ({sex}, {age} años)",
+    "equiv.targetSex": "Sexo del objetivo",
+    "equiv.targetAge": "Edad del objetivo",
+
+    "table.event": "Distancia / Prueba",
+    "table.time": "Tiempo equivalente",
+    "table.pace": "Ritmo {unit}",
+    "table.allEvents": "Todas las pruebas",
+    "table.customRow": "{label} (personalizada)",
+    "table.customInvalid": "distancia personalizada",
+
+    "warn.distance": "Fuera del rango {min}–{max} que cubren estos estándares, así que el tiempo se extrapola.",
+
+    "data.mismatch": {
+      one: "{count} celda de las tablas WMA {set} no coincide con factor de edad × estándar absoluto",
+      other: "{count} celdas de las tablas WMA {set} no coinciden con factor de edad × estándar absoluto",
+    },
+    "data.mismatchRow": "{sex} {event}, {age} años: {time} (el factor {factor} da {expected})",
+    "data.issues": {
+      one: "Algunos estándares WMA {set} no están disponibles ({count} problema en los archivos de datos)",
+      other: "Algunos estándares WMA {set} no están disponibles ({count} problemas en los archivos de datos)",
+    },
+
+    "panel.matrix": "Equivalencias para varios objetivos",
+    "panel.matrixIntro":
+      "Compara varios objetivos en una sola tabla, p. ej. tú a los 45 y 55 años junto a hombres y mujeres en la edad óptima. Haz clic en un encabezado de columna para ordenar.",
+    "panel.target": "Age Grade objetivo",
+    "panel.targetIntro":
+      "Elige un nivel de rendimiento o escribe un Age Grade en % para ver el tiempo que necesitas, con la prueba, edad, sexo y estándares elegidos arriba.",
+    "panel.levels": "Estándares por grupo de edad",
+    "panel.levelsIntro":
+      "El tiempo que pide cada nivel de rendimiento en cada prueba para la edad, sexo y estándares elegidos arriba. No hace falta un tiempo; introduce uno para ver en qué franja queda.",
+    "panel.projection": "Evolución con la edad",
+    "panel.projectionIntro":
+      "Mantiene constante tu Age Grade actual y muestra el tiempo equivalente de la prueba elegida a cada edad, con los grupos máster de 5 años marcados.",
+    "panel.log": "Mis marcas",
+    "panel.logIntro":
+      "Guarda tus marcas en este navegador para seguir tu Age Grade a lo largo del tiempo. El historial se recalcula con los estándares elegidos arriba. Exporta e importa el archivo JSON para pasarlo a otro dispositivo.",
+    "panel.roster": "Plantilla del equipo",
+    "panel.rosterIntro":
+      "Ordena a un equipo en una carrera por Age Grade, para comparar corredores de distintas edades y sexos al hacer la selección. La plantilla se guarda en este navegador; los tiempos se introducen para cada carrera.",
+    "panel.compare": "Comparar estándares",
+    "panel.compareIntro":
+      "La misma marca calculada con cada edición WMA. parkrun sigue usando los estándares de 2010, por lo que el Age Grade puede variar entre sitios.",
+    "panel.batch": "Age Grade de una clasificación completa",
+    "panel.batchIntro":
+      "Pega o sube un CSV de resultados con columnas de nombre, sexo, edad, prueba y tiempo. Las filas se calculan en tu navegador con los estándares WMA elegidos arriba.",
+    "panel.series": "Liga por Age Grade",
+    "panel.seriesIntro":
+      "Añade cada carrera de la liga como un CSV de resultados (o desde el panel de arriba). Los atletas se emparejan entre carreras por su nombre.",
+
+    "common.name": "Nombre",
+    "common.age": "Edad",
+    "common.event": "Prueba",
+    "common.time": "Tiempo",
+    "common.date": "Fecha",
+    "common.remove": "Quitar",
+    "common.removeName": "Quitar a {name}",
+    "common.downloadCsv": "Descargar CSV",
+    "common.loadError": "No se pudieron cargar los estándares.",
+    "common.readError": "No se pudo leer {name}.",
+
+    "export.csv": "CSV",
+    "export.csvTitle": "Descargar esta tabla como CSV",
+    "export.copy": "Copiar",
+    "export.copyTitle": "Copiar esta tabla para pegarla en una hoja de cálculo",
+    "export.copied": "Copiada",
+    "export.copyPrompt": "Copia esta tabla:",
+
+    "level.world-record": "Récord mundial",
+    "level.world-class": "Nivel mundial",
+    "level.national": "Nivel nacional",
+    "level.regional": "Nivel regional",
+    "level.local": "Nivel local",
+
+    "matrix.peakM": "Hombres, edad óptima",
+    "matrix.peakF": "Mujeres, edad óptima",
+    "matrix.ageM": "Hombres a mi edad",
+    "matrix.ageF": "Mujeres a mi edad",
+    "matrix.customSex": "Sexo del objetivo personalizado",
+    "matrix.customAge": "Edad del objetivo personalizado",
+    "matrix.add": "Añadir objetivo",
+    "matrix.peak": "{sex}, edad óptima",
+    "matrix.target": "{sex}, {age} años",
+    "matrix.ageRange": "Introduce una edad objetivo de {min} a {max} años.",
+    "matrix.none": "Marca un objetivo o añade uno personalizado.",
+    "matrix.status": {
+      one: "Equivalencias de un Age Grade de {pct} para {count} objetivo, WMA {set}",
+      other: "Equivalencias de un Age Grade de {pct} para {count} objetivos, WMA {set}",
+    },
+    "matrix.exportTitle": "Equivalencias para varios objetivos",
+
+    "target.level": "Nivel de rendimiento",
+    "target.pct": "Age Grade objetivo (%)",
+    "target.required": "Tiempo necesario",
+    "target.levelOption": "{level} ({pct})",
+    "target.customLevel": "% personalizado",
+    "target.enterPct": "Introduce un Age Grade objetivo en % para calcular.",
+    "target.note": "Age Grade de {pct}{level}: {event}, {sex}, {age}, WMA {set}",
+    "target.noteLevel": " ({level})",
+    "target.title": "Tiempos necesarios para {pct} ({sex}, {age})",
+
+    "levels.label": "Niveles (Age Grade en %)",
+    "levels.enter": "Introduce niveles de Age Grade en % separados por espacios o punto y coma, p. ej. 90 80 72,5.",
+    "levels.heading": "{sex}, {age}, WMA {set}",
+    "levels.enterTime": "{heading}. Introduce un tiempo para ver dónde queda.",
+    "levels.column": "{level} {pct}",
+    "levels.below": "{time} equivale a {pct}, por debajo de {level}.",
+    "levels.top": "{time} equivale a {pct}, en {level} o por encima.",
+    "levels.between": "{time} equivale a {pct}: entre {low} y {high}.",
+    "levels.reached": "Tu {pct} alcanza {level}",
+    "levels.exportTitle": "Estándares por grupo de edad {heading}",
+
+    "projection.from": "Desde la edad",
+    "projection.to": "Hasta la edad",
+    "projection.group": "Grupo de edad",
+    "projection.chartLabel": "Tiempo equivalente según la edad, {sex}, de {from} a {to} años",
+    "projection.dot": "{age} años: {time}",
+    "projection.noAges": "No hay edades en ese rango para estos estándares.",
+    "projection.status": "Age Grade de {pct} constante: {event}, {sex}, de {from} a {to} años",
+
+    "log.save": "Guardar esta marca",
+    "log.saveTitle": "Guardar {time} {event}",
+    "log.export": "Exportar JSON",
+    "log.import": "Importar JSON",
+    "log.best": "Mejor",
+    "log.eventBest": "★ Mejor marca en la prueba",
+    "log.chartLabel": {
+      one: "Age Grade a lo largo del tiempo, {count} marca",
+      other: "Age Grade a lo largo del tiempo, {count} marcas",
+    },
+    "log.noStorage": "Este navegador no puede guardar datos, así que las marcas se conservan hasta cerrar la página.",
+    "log.empty": "Todavía no hay marcas guardadas.",
+    "log.status": {
+      one: "{count} marca guardada, calculada con los estándares WMA {set}",
+      other: "{count} marcas guardadas, calculadas con los estándares WMA {set}",
+    },
+    "log.notInSet": " ({count} fuera de estos estándares)",
+    "log.saved": "Guardado: {date} {event} {time}.",
+    "log.imported": {
+      one: "{count} marca importada",
+      other: "{count} marcas importadas",
+    },
+    "log.alreadySaved": "{count} ya guardadas",
+    "log.unreadable": "{count} ilegibles",
+    "log.openError": "No se pudieron abrir las marcas guardadas.",
+    "log.storeError": "No se pudieron actualizar las marcas guardadas.",
+    "log.importError.json": "Ese archivo no es un JSON válido.",
+    "log.importError.format": "Ese archivo no es un registro de marcas de Age Grade.",
+
+    "roster.add": "Añadir atleta",
+    "roster.event": "Prueba de la carrera",
+    "roster.teamSize": "Tamaño del equipo",
+    "roster.minPerSex": "Mínimo de cada sexo",
+    "roster.born": "Nacimiento",
+    "roster.timeLabel": "Tiempo de {name}",
+    "roster.noStorage": "Este navegador no puede guardar datos, así que la plantilla se conserva hasta cerrar la página.",
+    "roster.enterName": "Introduce el nombre del atleta.",
+    "roster.enterDob": "Introduce la fecha de nacimiento del atleta.",
+    "roster.empty": "Añade atletas para formar la plantilla; se guarda en este navegador.",
+    "roster.enterTimes": "Introduce los tiempos de la prueba {event} del {date} para ordenar la plantilla.",
+    "roster.status": {
+      one: "{ranked} de {count} atleta clasificado en {event} el {date}, WMA {set}.",
+      other: "{ranked} de {count} atletas clasificados en {event} el {date}, WMA {set}.",
+    },
+    "roster.mixed": ", al menos {count} de cada sexo",
+    "roster.team": "Mejor equipo de {size}{mixed}: {total} puntos de Age Grade.",
+    "roster.noTeam": "No hay suficientes atletas calculados para un equipo de {size}{mixed}.",
+    "roster.rank": "Puesto",
+    "roster.peakSame": "Edad óptima, mismo sexo",
+    "roster.peakOther": "Edad óptima, otro sexo",
+    "roster.teamColumn": "Equipo",
+    "roster.scores": "★ Puntúa",
+    "roster.exportTitle": "Equipo {event} {date}",
+    "roster.error.time": "Sin tiempo.",
+    "roster.error.badTime": "Tiempo no reconocido.",
+    "roster.error.dob": "La fecha de nacimiento es posterior a la carrera.",
+    "roster.error.event": "Esta prueba no está en los estándares de su sexo.",
+    "roster.error.age": "Edad fuera de los estándares.",
+    "roster.error.standard": "No hay estándar para esta edad y prueba.",
+
+    "compare.heatmap": "Mapa de calor de los estándares",
+    "compare.from": "Desde",
+    "compare.to": "Hasta",
+    "compare.standards": "Estándares",
+    "compare.ageStandard": "Estándar por edad",
+    "compare.change": "Cambio",
+    "compare.selected": "elegidos",
+    "compare.status": "{event}, {sex}: cambio en puntos de Age Grade respecto a los estándares WMA {set}",
+    "compare.heatStatus":
+      "Estándares {sex}, {from} → {to}: cambio en % por celda. Verde es más fácil (estándar más lento), rojo más difícil.",
+    "compare.missing": "{age} años, {event}: falta en {set}",
+    "compare.cell": "{age} años, {event}: {from} ({setFrom}) → {to} ({setTo}), {pct}{direction}",
+    "compare.easier": ", más fácil",
+    "compare.harder": ", más difícil",
+
+    "batch.csv": "CSV de resultados",
+    "batch.upload": "O sube un archivo",
+    "batch.hasHeader": "La primera fila es un encabezado",
+    "batch.grade": "Calcular resultados",
+    "batch.column.name": "Nombre",
+    "batch.column.sex": "Sexo",
+    "batch.column.age": "Edad",
+    "batch.column.event": "Prueba",
+    "batch.column.time": "Tiempo",
+    "batch.column.pct": "Age Grade %",
+    "batch.column.ageGradedTime": "Tiempo Age Grade",
+    "batch.columnN": "Columna {n}",
+    "batch.preview": {
+      one: "Vista previa ({shown} de {count} fila)",
+      other: "Vista previa ({shown} de {count} filas)",
+    },
+    "batch.chooseColumns": "Elige una columna para: {fields}.",
+    "batch.status": {
+      one: "{graded} de {count} fila calculada con los estándares WMA {set}.",
+      other: "{graded} de {count} filas calculadas con los estándares WMA {set}.",
+    },
+    "batch.errors": {
+      one: "{count} fila no se pudo calcular",
+      other: "{count} filas no se pudieron calcular",
+    },
+    "batch.errorLine": "Línea {line}: {reason} ({row})",
+    "batch.error.time": "Tiempo no válido",
+    "batch.error.age": "Edad no válida",
+    "batch.error.ageRange": "Edad fuera de rango",
+    "batch.error.event": "Prueba desconocida «{event}»",
+    "batch.error.sex": "Sexo desconocido",
+
+    "series.upload": "Subir los CSV de las carreras",
+    "series.raceName": "Nombre de la carrera",
+    "series.raceNamePlaceholder": "Carrera 1",
+    "series.addBatch": "Añadir los resultados del panel como carrera",
+    "series.scoring": "Puntuación",
+    "series.bestN": "N mejores carreras",
+    "series.maxPoints": "Puntos del 1.º",
+    "series.show": "Mostrar",
+    "series.overall": "General",
+    "series.byBand": "Por sexo y grupo de edad",
+    "series.bands": "Grupos de edad",
+    "series.years5": "5 años",
+    "series.years10": "10 años",
+    "series.method.best": "N mejores Age Grades (total)",
+    "series.method.average": "Age Grade medio",
+    "series.method.points": "Puntos por puesto en Age Grade (N mejores)",
+    "series.pos": "Pos.",
+    "series.band": "Grupo de edad",
+    "series.races": "Carreras",
+    "series.score": "Puntuación",
+    "series.sexPos": "Pos. sexo",
+    "series.bandPos": "Pos. grupo",
+    "series.raceN": "Carrera {n}",
+    "series.missing": "{race}: falta la columna {fields}",
+    "series.graded": "{race}: {count} calculados",
+    "series.skipped": ", {count} omitidos",
+    "series.empty": "Añade dos o más carreras para formar una clasificación.",
+    "series.needBatch": "Primero pega o sube resultados en el panel de clasificación.",
+    "series.status": {
+      one: "{athletes} atletas en {count} carrera, calculados con los estándares WMA {set}.",
+      other: "{athletes} atletas en {count} carreras, calculados con los estándares WMA {set}.",
+    },
+
+    "issue.who": "{sex}: ",
+    "issue.tableMissing": "{who}falta {table}.",
+    "issue.tableNoAges": "{who}{table} no tiene edades.",
+    "issue.tableNoEvents": "{who}{table} no tiene pruebas.",
+    "issue.tableNoValues": "{who}{table} no tiene {values}.",
+    "issue.ageRange": "{who}edades fuera de {min}–{max}: {ages}.",
+    "issue.missingEvent": "{who}{event} no tiene estándares.",
+    "issue.missingCell": "{who}{event} no tiene estándar para la edad {ages}.",
+    "issue.notMonotonic": "{who}los tiempos de {event} no se alejan de forma regular de la edad óptima en la edad {ages}.",
+    "issue.factorEvents": "{who}faltan factores de edad para {events}.",
+    "issue.factorCell": "{who}el factor de edad de {event} falta o es mayor que 1 en la edad {ages}.",
+    "issue.hmsMismatch": {
+      one: "{who}AgeStdHMS no coincide con AgeStdSec en {count} celda (p. ej. {cells}).",
+      other: "{who}AgeStdHMS no coincide con AgeStdSec en {count} celdas (p. ej. {cells}).",
+    },
+    "issue.eventOnlyM": "{event} solo está en los estándares masculinos.",
+    "issue.eventOnlyF": "{event} solo está en los estándares femeninos.",
+    "issue.eventCase": "Prueba llamada «{event}» para hombres pero «{other}» para mujeres.",
+    "issue.missingFile": "No se pudo cargar el archivo de estándares {sex} {path} ({reason}).",
+
+    "about.close": "Cerrar",
+    "about.description":
+      "El conversor de Age Grade de DCWelch es una herramienta web que calcula un Age Grade y los tiempos equivalentes en carreras de ruta a partir de una distancia, un tiempo, una edad y un sexo.",
+    "about.basis": "Los cálculos se basan en los estándares de Age Grade de Alan Lytton Jones (adoptados por la WMA).",
+    "about.categories":
+      "Alan mantiene estándares tanto de ruta como de pista. Elige la categoría en Estándares; las tablas incluidas aquí son las de ruta.",
+    "about.parkrun": "parkrun usa los estándares de 2010.",
+    "about.github": "Ver este proyecto en GitHub:",
+    "about.tables": "Ver las tablas de Age Grade de Alan:",
+  },
+};
+
+/**
+ * Picks the first supported locale from a preference list
+ * ("fr-CA" → "fr"; `navigator.languages` order), else the default
+ * @param {readonly string[]} candidates
+ * @returns {string}
+ */
+export function matchLocale(candidates) {
+  for (const tag of candidates ?? []) {
+    const lang = String(tag ?? "").toLowerCase().split(/[-_]/)[0];
+    if (LOCALES.some((l) => l.id === lang)) return lang;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up a message and fills in its `{name}` placeholders
+ *
+ * Falls back to English, then to the key itself. Plural messages pick their
+ * form from `params.count`
+ * @param {string} locale
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  let msg = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof msg === "object") {
+    msg = msg[new Intl.PluralRules(locale).select(Number(params.count ?? 0))] ?? msg.other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Formats an Age Grade-style percentage, e.g. 76.1 → "76.10%" / "76,10 %"
+ * @param {number} pct Percentage points (76.1, not 0.761)
+ * @param {string} locale
+ * @param {{digits?: number, signed?: boolean}} [options] `signed` adds "+" to gains
+ * @returns {string}
+ */
+export function formatPercent(pct, locale, { digits = 2, signed = false } = {}) {
+  return new Intl.NumberFormat(locale, {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(pct / 100);
+}
+
+/**
+ * Formats a number with a fixed number of decimals in the locale's style
+ * @param {number} n
+ * @param {string} locale
+ * @param {number} digits
+ * @returns {string}
+ */
+export function formatDecimal(n, locale, digits) {
+  return new Intl.NumberFormat(locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    useGrouping: false,
+  }).format(n);
+}
+
+/**
+ * Swaps the decimal point between digits for the locale's separator, for
+ * text already formatted elsewhere ("4:58.3", "14.4 km/h", "7.5 km")
+ * @param {string} text
+ * @param {string} locale
+ * @returns {string}
+ */
+export function localizeDecimals(text, locale) {
+  const sep = new Intl.NumberFormat(locale).formatToParts(1.5).find((p) => p.type === "decimal")?.value ?? ".";
+  return sep === "." ? text : String(text).replace(/(\d)\.(\d)/g, `$1${sep}$2`);
+}
+
+/** Named road events by locale (lower-case English name → display name) */
+const EVENT_NAMES = {
+  fr: { "half marathon": "Semi-marathon", marathon: "Marathon", mile: "Mile" },
+  es: { "half marathon": "Media maratón", marathon: "Maratón", mile: "Milla" },
+};
+
+/** Singular / plural word for "N Mile" events by locale */
+const MILE_WORDS = {
+  fr: ["mille", "milles"],
+  es: ["milla", "millas"],
+};
+
+/**
+ * Display name for a standards event ("10 Mile" → "10 milles")
+ *
+ * Only for showing; lookups keep using the `table.events` name. Names that
+ * need no translation ("5 km", "800m") come back as they are, apart from
+ * the decimal separator
+ * @param {string} event
+ * @param {string} locale
+ * @returns {string}
+ */
+export function eventName(event, locale) {
+  const name = String(event ?? "").trim();
+  const named = EVENT_NAMES[locale]?.[name.toLowerCase()];
+  if (named) return named;
+
+  const miles = /^(\d+(?:\.\d+)?)\s*miles?$/i.exec(name);
+  const words = MILE_WORDS[locale];
+  if (miles && words) return localizeDecimals(`${miles[1]} ${Number(miles[1]) === 1 ? words[0] : words[1]}`, locale);
+
+  return localizeDecimals(name, locale);
+}
@@ -0,0 +1,13 @@
+/**
+ * Ids for records kept in browser storage (DOM-free)
+ */
+
+/**
+ * A fresh id for a stored record (log entry, roster athlete): time-ordered,
+ * with a random suffix so records made in the same millisecond differ
+ * @returns {string}
+ */
+export function newId() {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${rand}`;
+}
@@ -0,0 +1,151 @@
+/**
+ * Personal performance log (DOM-free)
+ *
+ * Saved performances keep the raw inputs (date, sex, age, event, time) rather
+ * than the grade, so the whole history can be re-graded against whichever
+ * standards set is selected. Storage lives in the UI layer (IndexedDB).
+ */
+
+import { ageGrade, eventDistanceMeters, matchEvent, parseIsoDate } from "./agegrade.js";
+import { newId } from "./ids.js";
+
+/** Identifies exported log files */
+export const LOG_FORMAT = "age-grade-log";
+export const LOG_VERSION = 1;
+
+/** Why an import file was rejected, by code */
+export const LOG_IMPORT_ERRORS = {
+  json: "That file isn’t valid JSON.",
+  format: "That file isn’t an age grade performance log.",
+};
+
+/** Thrown by `parseLogImport` for a file that isn't a performance log */
+export class LogImportError extends Error {
+  /**
+   * @param {keyof LOG_IMPORT_ERRORS} code
+   */
+  constructor(code) {
+    super(LOG_IMPORT_ERRORS[code]);
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {object} LogEntry
+ * @property {string} id
+ * @property {string} date Race date, "YYYY-MM-DD"
+ * @property {"M"|"F"} sex
+ * @property {number} age Age on the day (may be fractional in exact-age mode)
+ * @property {boolean} exact Interpolate between age rows
+ * @property {string|number} event Event name, or a custom distance in metres
+ * @property {string} eventLabel Display name (e.g. "7.5 km" for a custom distance)
+ * @property {number} seconds
+ */
+
+/**
+ * Creates a log entry with a fresh id
+ * @param {Omit<LogEntry, "id">} fields
+ * @returns {LogEntry}
+ */
+export function createLogEntry(fields) {
+  return { id: newId(), ...fields };
+}
+
+/**
+ * Key grouping entries of the same event, so "5 km" and a custom 5000 m count together
+ * @param {LogEntry} entry
+ * @returns {string}
+ */
+function eventKey(entry) {
+  const meters = typeof entry.event === "number" ? entry.event : eventDistanceMeters(entry.event);
+  return meters != null ? `${Math.round(meters)}m` : String(entry.event).toLowerCase();
+}
+
+/**
+ * Grades every entry against a standards set and flags each event's best
+ *
+ * Entries are returned oldest first. Event names are matched against the set
+ * (so a "5 Mile" entry still grades against "5 MIle" tables)
+ * @param {any} set Loaded standards set (see `loadSet`)
+ * @param {LogEntry[]} entries
+ * @returns {(LogEntry & {grade: any, best: boolean})[]}
+ */
+export function gradeLog(set, entries) {
+  const graded = [...entries]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id))
+    .map((entry) => {
+      const table = set.tables[entry.sex];
+      const event = typeof entry.event === "number" ? entry.event : table && matchEvent(table, entry.event);
+      const grade = table
+        ? ageGrade({ set, sex: entry.sex, age: entry.age, event, seconds: entry.seconds, exact: entry.exact })
+        : { error: "standard" };
+      return { ...entry, grade: event == null ? { error: "standard" } : grade, best: false };
+    });
+
+  const bestByEvent = new Map();
+  for (const g of graded) {
+    if (g.grade.error) continue;
+    const key = eventKey(g);
+    if (!bestByEvent.has(key) || g.grade.pct > bestByEvent.get(key).grade.pct) bestByEvent.set(key, g);
+  }
+  for (const g of bestByEvent.values()) g.best = true;
+
+  return graded;
+}
+
+/**
+ * Serialises the log for export
+ * @param {LogEntry[]} entries
+ * @returns {string}
+ */
+export function exportLog(entries) {
+  return JSON.stringify({ format: LOG_FORMAT, version: LOG_VERSION, entries }, null, 2);
+}
+
+/**
+ * Checks one imported entry, returning a cleaned copy or null if unusable
+ * @param {any} raw
+ * @returns {LogEntry|null}
+ */
+function cleanEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (!parseIsoDate(raw.date)) return null;
+  if (raw.sex !== "M" && raw.sex !== "F") return null;
+  if (!Number.isFinite(raw.age) || !Number.isFinite(raw.seconds) || raw.seconds <= 0) return null;
+
+  const event = typeof raw.event === "number" ? raw.event : String(raw.event ?? "").trim();
+  if (event === "" || (typeof event === "number" && !(event > 0))) return null;
+
+  const fields = {
+    date: raw.date,
+    sex: raw.sex,
+    age: raw.age,
+    exact: Boolean(raw.exact),
+    event,
+    eventLabel: String(raw.eventLabel ?? event),
+    seconds: raw.seconds,
+  };
+  return typeof raw.id === "string" && raw.id ? { id: raw.id, ...fields } : createLogEntry(fields);
+}
+
+/**
+ * Parses an exported log file
+ * @param {string} text
+ * @returns {{entries: LogEntry[], skipped: number}}
+ * @throws {LogImportError} If the file isn't a performance log
+ */
+export function parseLogImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new LogImportError("json");
+  }
+
+  const list = Array.isArray(data) ? data : data?.format === LOG_FORMAT ? data.entries : null;
+  if (!Array.isArray(list)) throw new LogImportError("format");
+
+  const entries = list.map(cleanEntry).filter(Boolean);
+  return { entries, skipped: list.length - entries.length };
+}
+
@@ -0,0 +1,155 @@
+/**
+ * Team / roster grading (DOM-free)
+ *
+ * A roster is a list of athletes (name, sex, date of birth). For one race
+ * each athlete's finish time is graded at their age on the race day, with
+ * peak-age same-sex and other-sex equivalents, and the squad is ranked by Age
+ * Grade so runners of different ages and sexes can be compared for team
+ * selection. Storage lives in the UI layer (localStorage).
+ */
+
+import {
+  ageGrade,
+  ageOnDate,
+  equivalentTime,
+  matchEvent,
+  otherSex,
+  parseIsoDate,
+  parseTimeToSeconds,
+} from "./agegrade.js";
+import { newId } from "./ids.js";
+
+/**
+ * @typedef {object} Athlete
+ * @property {string} id
+ * @property {string} name
+ * @property {"M"|"F"} sex
+ * @property {string} dob Date of birth, "YYYY-MM-DD"
+ */
+
+/** Reasons an athlete isn't ranked */
+export const ROSTER_ERRORS = {
+  time: "No time entered.",
+  badTime: "Time not recognised.",
+  dob: "Date of birth is after the race date.",
+  event: "This event isn’t in the standards for their sex.",
+  age: "Age outside the standards.",
+  standard: "No standard for this age and event.",
+};
+
+/**
+ * Creates an athlete with a fresh id
+ * @param {Omit<Athlete, "id">} fields
+ * @returns {Athlete}
+ */
+export function createAthlete(fields) {
+  return { id: newId(), ...fields };
+}
+
+/**
+ * Checks a stored roster, dropping entries that aren't usable athletes
+ * @param {any} raw Parsed storage value
+ * @returns {Athlete[]}
+ */
+export function cleanRoster(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(
+      (a) =>
+        a &&
+        typeof a.id === "string" &&
+        String(a.name ?? "").trim() &&
+        (a.sex === "M" || a.sex === "F") &&
+        parseIsoDate(a.dob)
+    )
+    .map((a) => ({ id: a.id, name: String(a.name).trim(), sex: a.sex, dob: a.dob }));
+}
+
+/**
+ * Grades every athlete with a time for one race and ranks them by Age Grade
+ *
+ * Ranked rows come first (best first, equal grades share a rank) followed by
+ * athletes who couldn't be graded, with the reason (`error` is its
+ * `ROSTER_ERRORS` code). The event name is matched against each sex's
+ * standards, so "5 Mile" still finds "5 MIle"
+ * @param {{set: any, event: string, raceDate: string, athletes: Athlete[], times: Record<string, string>, exact?: boolean}} args
+ *   `times` maps athlete id to the time as typed
+ * @returns {{athlete: Athlete, rank: number|null, age: number|null, seconds: number|null, pct: number|null, peakSame: number|null, peakOther: number|null, error: string|null, reason: string|null}[]}
+ */
+export function gradeRoster({ set, event, raceDate, athletes, times, exact = false }) {
+  const rows = athletes.map((athlete) => {
+    const row = {
+      athlete,
+      rank: null,
+      age: null,
+      seconds: null,
+      pct: null,
+      peakSame: null,
+      peakOther: null,
+      error: null,
+      reason: null,
+    };
+    const fail = (error) => ({ ...row, error, reason: ROSTER_ERRORS[error] });
+
+    const raw = String(times[athlete.id] ?? "").trim();
+    if (!raw) return fail("time");
+    const seconds = parseTimeToSeconds(raw);
+    if (!Number.isFinite(seconds)) return fail("badTime");
+
+    const years = ageOnDate(athlete.dob, raceDate);
+    if (years == null) return fail("dob");
+    const age = exact ? years : Math.floor(years);
+
+    const sameEvent = matchEvent(set.tables[athlete.sex], event);
+    if (!sameEvent) return { ...fail("event"), age, seconds };
+
+    const grade = ageGrade({ set, sex: athlete.sex, age, event: sameEvent, seconds, exact });
+    if (grade.error) return { ...fail(grade.error === "age" ? "age" : "standard"), age, seconds };
+
+    const os = otherSex(athlete.sex);
+    const otherEvent = matchEvent(set.tables[os], event);
+    return {
+      ...row,
+      age,
+      seconds,
+      pct: grade.pct,
+      peakSame: equivalentTime({ set, factor: grade.factor, sex: athlete.sex, age: "peak", event: sameEvent }),
+      peakOther: otherEvent ? equivalentTime({ set, factor: grade.factor, sex: os, age: "peak", event: otherEvent }) : null,
+    };
+  });
+
+  const ranked = rows.filter((r) => r.pct != null).sort((a, b) => b.pct - a.pct);
+  ranked.forEach((r, n) => {
+    r.rank = n > 0 && r.pct === ranked[n - 1].pct ? ranked[n - 1].rank : n + 1;
+  });
+  return [...ranked, ...rows.filter((r) => r.pct == null)];
+}
+
+/**
+ * Picks the best scoring team of `size` from graded rows
+ *
+ * The score is the total Age Grade. For mixed teams, `minPerSex` athletes of
+ * each sex are required (at most half the team): the best of each sex are
+ * taken first and the remaining places go to the best of the rest, which
+ * gives the highest total
+ * @param {{athlete: Athlete, pct: number|null}[]} rows Output of `gradeRoster`
+ * @param {{size: number, minPerSex?: number}} options
+ * @returns {{members: Set<string>, total: number, complete: boolean}} athlete ids; `complete` is false when the roster can't fill the team
+ */
+export function bestTeam(rows, { size, minPerSex = 0 }) {
+  const graded = rows.filter((r) => r.pct != null).sort((a, b) => b.pct - a.pct);
+  const need = Math.min(minPerSex, Math.floor(size / 2));
+
+  const team = ["M", "F"].flatMap((sex) => graded.filter((r) => r.athlete.sex === sex).slice(0, need));
+  for (const r of graded) {
+    if (team.length >= size) break;
+    if (!team.includes(r)) team.push(r);
+  }
+
+  const count = (sex) => team.filter((r) => r.athlete.sex === sex).length;
+  return {
+    members: new Set(team.map((r) => r.athlete.id)),
+    total: team.reduce((sum, r) => sum + r.pct, 0),
+    complete: team.length === size && count("M") >= need && count("F") >= need,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Age-graded series / league scoring (DOM-free)
+ *
+ * Combines several graded races (see `gradeRows` in batch.js), matches
+ * athletes across them by name and produces a league table with overall,
+ * per-sex and per-age-band positions.
+ */
+
+/** Scoring methods offered by the series panel */
+export const SCORING_METHODS = {
+  best: "Best N age grades (total)",
+  average: "Average age grade",
+  points: "Points by age-grade rank (best N)",
+};
+
+/**
+ * Normalises a name so the same athlete matches across races
+ * (case, accents, extra whitespace and punctuation are ignored)
+ * @param {string} name
+ * @returns {string}
+ */
+export function athleteKey(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Age band label for an age, e.g. 47 -> "45–49" for 5-year bands
+ * @param {number} age
+ * @param {number} [width]
+ * @returns {string}
+ */
+export function ageBand(age, width = 5) {
+  if (!Number.isFinite(age)) return "—";
+  const lo = Math.floor(age / width) * width;
+  return `${lo}–${lo + width - 1}`;
+}
+
+/**
+ * Points per result for one race: the best age grade scores `maxPoints`,
+ * the next `maxPoints - 1` and so on (never below 1). Equal grades share points
+ * @param {{pct: number}[]} results
+ * @param {number} maxPoints
+ * @returns {number[]} points, in the same order as `results`
+ */
+export function racePoints(results, maxPoints) {
+  const order = results.map((r, i) => ({ pct: r.pct, i })).sort((a, b) => b.pct - a.pct);
+  const points = new Array(results.length);
+
+  let rank = 0;
+  order.forEach((r, n) => {
+    if (n === 0 || r.pct !== order[n - 1].pct) rank = n + 1;
+    points[r.i] = Math.max(1, maxPoints + 1 - rank);
+  });
+  return points;
+}
+
+/**
+ * Assigns 1-based positions by descending score (ties share a position)
+ * @param {any[]} rows Sorted best-first
+ * @param {(row: any) => number} score
+ * @param {string} prop Property to write the position to
+ */
+function assignPositions(rows, score, prop) {
+  rows.forEach((row, n) => {
+    row[prop] = n > 0 && score(row) === score(rows[n - 1]) ? rows[n - 1][prop] : n + 1;
+  });
+}
+
+/**
+ * Builds the league table for a series of races
+ *
+ * Each row has `position` (overall), `sexPosition` and `bandPosition`
+ * (within the sex + age band `category`, e.g. "F45–49")
+ * @param {{name: string, results: {name: string, sex: "M"|"F", age: number, pct: number}[]}[]} races
+ * @param {{method?: "best"|"average"|"points", bestN?: number, maxPoints?: number, bandWidth?: number}} [options]
+ * @returns {{races: string[], rows: any[]}}
+ */
+export function buildLeague(races, { method = "best", bestN = 4, maxPoints = 100, bandWidth = 5 } = {}) {
+  const athletes = new Map();
+
+  races.forEach((race, raceIdx) => {
+    // One result per athlete per race (their best, if they appear twice)
+    const best = new Map();
+    for (const r of race.results) {
+      const key = athleteKey(r.name);
+      if (!key) continue;
+      if (!best.has(key) || r.pct > best.get(key).pct) best.set(key, r);
+    }
+
+    const results = [...best.values()];
+    const points = method === "points" ? racePoints(results, maxPoints) : null;
+
+    results.forEach((r, i) => {
+      const key = athleteKey(r.name);
+      if (!athletes.has(key)) {
+        athletes.set(key, {
+          key,
+          name: r.name,
+          sex: r.sex,
+          age: r.age,
+          scores: new Array(races.length).fill(null),
+          grades: new Array(races.length).fill(null),
+        });
+      }
+
+      const a = athletes.get(key);
+      a.scores[raceIdx] = points ? points[i] : r.pct;
+      a.grades[raceIdx] = r.pct;
+      a.age = Math.max(a.age, r.age); // latest (oldest) age in the series
+    });
+  });
+
+  const rows = [...athletes.values()].map((a) => {
+    const run = a.scores
+      .map((score, raceIdx) => ({ score, raceIdx }))
+      .filter((x) => x.score != null);
+
+    const ranked = [...run].sort((x, y) => y.score - x.score);
+    const counted =
+      method === "average" ? ranked : ranked.slice(0, Math.max(1, bestN));
+    const countedSet = new Set(counted.map((x) => x.raceIdx));
+
+    const total = counted.reduce((sum, x) => sum + x.score, 0);
+    const score = method === "average" ? total / counted.length : total;
+
+    const band = ageBand(a.age, bandWidth);
+    return {
+      ...a,
+      band,
+      category: `${a.sex}${band}`,
+      racesRun: run.length,
+      counted: a.scores.map((_, raceIdx) => countedSet.has(raceIdx)),
+      score,
+    };
+  });
+
+  rows.sort((x, y) => y.score - x.score || y.racesRun - x.racesRun || x.name.localeCompare(y.name));
+
+  const byScore = (r) => r.score;
+  assignPositions(rows, byScore, "position");
+
+  // Age bands are ranked within each sex (e.g. F45–49)
+  const groupings = {
+    sexPosition: (r) => r.sex,
+    bandPosition: (r) => r.category,
+  };
+
+  for (const [prop, groupOf] of Object.entries(groupings)) {
+    const groups = new Map();
+    for (const r of rows) {
+      const g = groupOf(r);
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push(r);
+    }
+    for (const members of groups.values()) {
+      assignPositions(members, byScore, prop);
+    }
+  }
+
+  return { races: races.map((r) => r.name), rows };
+}
@@ -0,0 +1,146 @@
+/**
+ * Request-level grading shared by the command-line tool and the HTTP API (DOM-free)
+ *
+ * Takes raw string inputs (as typed on a command line or sent in a query
+ * string), validates them with the same rules as the web page and returns
+ * plain JSON-ready results. Error codes are the `GRADE_ERRORS` keys plus a few
+ * input checks the page's controls make impossible (e.g. an unknown sex).
+ */
+
+import {
+  GRADE_ERRORS,
+  TIME_INPUT_ERRORS,
+  ageGrade,
+  equivalentTime,
+  eventDistanceMeters,
+  matchEvent,
+  otherSex,
+  parseTimeInput,
+  secondsToTime,
+  sexLabel,
+} from "./agegrade.js";
+import { parseSex } from "./batch.js";
+
+/** Messages for each error code; grade errors match the page word for word */
+export const REQUEST_ERRORS = {
+  ...GRADE_ERRORS,
+  sex: "Choose M or F.",
+  event: "Choose an event to calculate.",
+  target: "Choose an equivalents target: peakM, peakF, ageM, ageF or custom:<M|F>:<age>.",
+};
+
+/**
+ * @typedef {object} GradeInput
+ * @property {string} event Event name (or a distance such as "10k")
+ * @property {string} time Finish time, or a pace such as "4:10/km"
+ * @property {string|number} age
+ * @property {string} sex
+ * @property {boolean} [exact]
+ */
+
+/**
+ * Parses an equivalents target: peakM, peakF, ageM, ageF (the athlete's own
+ * age) or custom:<M|F>:<age>
+ * @param {string} raw
+ * @param {number} age Athlete's graded age
+ * @returns {{sex: "M"|"F", age: number|"peak", title: string}|null}
+ */
+export function parseTarget(raw, age) {
+  const s = String(raw ?? "").trim();
+
+  const m = /^(peak|age)([MF])$/.exec(s);
+  if (m) {
+    const sex = m[2];
+    return m[1] === "peak"
+      ? { sex, age: "peak", title: `Peak Age ${sexLabel(sex)} Equivalents` }
+      : { sex, age, title: `Age ${age} ${sexLabel(sex)} Equivalents` };
+  }
+
+  const c = /^custom:([MF]):(\d+(?:\.\d+)?)$/i.exec(s);
+  if (c) {
+    const sex = c[1].toUpperCase();
+    const targetAge = Number(c[2]);
+    return { sex, age: targetAge, title: `Age ${targetAge} ${sexLabel(sex)} Equivalents` };
+  }
+
+  return null;
+}
+
+/**
+ * Validates and grades one performance
+ *
+ * On success `result` is JSON-ready (times as "h:mm:ss" strings) and `factor`
+ * is kept for follow-up equivalents
+ * @param {any} set Loaded standards set (see `loadSet`)
+ * @param {GradeInput} input
+ * @returns {{error: string, message: string} | {error: null, factor: number, sex: "M"|"F", age: number, event: string, exact: boolean, result: any}}
+ */
+export function gradePerformance(set, input) {
+  const fail = (error) => ({ error, message: REQUEST_ERRORS[error] });
+
+  const sex = parseSex(input.sex);
+  if (!sex) return fail("sex");
+  if (!String(input.event ?? "").trim()) return fail("event");
+
+  const exact = Boolean(input.exact);
+  const event = matchEvent(set.tables[sex], input.event);
+
+  // Time errors keep the "time" code but say what was wrong with the input
+  const time = parseTimeInput(String(input.time ?? ""), { meters: event == null ? null : eventDistanceMeters(event) });
+  if (time.error) return { error: "time", message: TIME_INPUT_ERRORS[time.error] };
+  const { seconds } = time;
+
+  const ageRaw = String(input.age ?? "").trim();
+  const age = ageRaw ? Number(ageRaw) : NaN;
+
+  const grade = event == null ? { error: Number.isFinite(age) ? "standard" : "age" } : ageGrade({ set, sex, age, event, seconds, exact });
+  if (grade.error) return fail(grade.error);
+
+  const os = otherSex(sex);
+  // The other sex's file may spell the event differently (e.g. "5 MIle")
+  const eventFor = (targetSex) => (typeof event === "string" ? matchEvent(set.tables[targetSex], event) ?? event : event);
+  const timeOf = (targetSex, targetAge) =>
+    equivalentTime({ set, factor: grade.factor, sex: targetSex, age: targetAge, event: eventFor(targetSex), exact });
+  const fmt = (s) => (s ? secondsToTime(s) : null);
+
+  return {
+    error: null,
+    factor: grade.factor,
+    sex,
+    age: grade.age,
+    event,
+    exact,
+    result: {
+      input: { event, time: secondsToTime(seconds), seconds, age: grade.age, sex, set: set.entry.label, exact },
+      ageGrade: Number(grade.pct.toFixed(2)),
+      standard: secondsToTime(grade.standard),
+      ageFactor: grade.ageFactor,
+      openStandard: fmt(grade.openStandard),
+      factorSource: grade.factorSource,
+      equivalents: {
+        otherSex: fmt(timeOf(os, grade.age)),
+        peakSameSex: fmt(timeOf(sex, "peak")),
+        peakOtherSex: fmt(timeOf(os, "peak")),
+      },
+    },
+  };
+}
+
+/**
+ * Equivalent times for every event of a target sex/age
+ * @param {any} set
+ * @param {number} factor Performance factor from `gradePerformance`
+ * @param {{sex: "M"|"F", age: number|"peak", title: string}} target
+ * @param {boolean} [exact]
+ * @returns {{title: string, rows: {event: string, seconds: number|null, time: string|null}[]}}
+ */
+export function equivalentsTable(set, factor, target, exact = false) {
+  const ex = target.age !== "peak" && exact;
+  return {
+    title: target.title,
+    rows: set.tables[target.sex].events.map((ev) => {
+      const s = equivalentTime({ set, factor, sex: target.sex, age: target.age, event: ev, exact: ex });
+      return { event: ev, seconds: s, time: s ? secondsToTime(s) : null };
+    }),
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Standards data checks (DOM-free)
+ *
+ * Checks a transformed standards file (meta / AgeStdSec / AgeStdHMS /
+ * AgeStdFactors) and a male/female pair for the problems a bad spreadsheet
+ * export or transform produces: missing or null cells, ages outside the
+ * supported range, times that don't fall to a peak and rise again, and event
+ * lists that don't agree between the sexes. Used by the standards build
+ * script and when the page loads a set. Each issue keeps its message key and
+ * parameters so the page can show it in the reader's language.
+ */
+
+import { AGE_MAX, AGE_MIN, sexLabel, standardsPath } from "./agegrade.js";
+
+/**
+ * @typedef {object} StandardsIssue
+ * @property {"error"|"warning"} level Errors make rows unusable; warnings are worth a look
+ * @property {string} code
+ * @property {string} key Message in `ISSUE_MESSAGES`
+ * @property {Record<string, string|number>} params Its placeholders (the sex ones come from `sex`)
+ * @property {string} message In English
+ * @property {"M"|"F"} [sex]
+ * @property {string} [event]
+ * @property {number} [age]
+ */
+
+/**
+ * Issue messages by key, with `{name}` placeholders
+ *
+ * `{who}` is the `who` prefix ("Male ") when the file's sex is known and
+ * `{sex}` the sex name; `lib/i18n.js` carries the translations
+ * @type {Record<string, string | Record<string, string>>}
+ */
+export const ISSUE_MESSAGES = {
+  who: "{sex} ",
+  tableMissing: "{who}{table} is missing.",
+  tableNoAges: "{who}{table} has no ages.",
+  tableNoEvents: "{who}{table} has no events.",
+  tableNoValues: "{who}{table} has no {values}.",
+  ageRange: "{who}ages outside {min}–{max}: {ages}.",
+  missingEvent: "{who}{event} has no standards.",
+  missingCell: "{who}{event} has no standard for age {ages}.",
+  notMonotonic: "{who}{event} times don't rise steadily away from the peak age at age {ages}.",
+  factorEvents: "{who}age factors are missing for {events}.",
+  factorCell: "{who}{event} age factor is missing or above 1 at age {ages}.",
+  hmsMismatch: {
+    one: "{who}AgeStdHMS disagrees with AgeStdSec for {count} cell (e.g. {cells}).",
+    other: "{who}AgeStdHMS disagrees with AgeStdSec for {count} cells (e.g. {cells}).",
+  },
+  eventOnlyM: "{event} is only in the male standards.",
+  eventOnlyF: "{event} is only in the female standards.",
+  eventCase: "Event named “{event}” for men but “{other}” for women.",
+  missingFile: "{sex} standards file {path} couldn't be loaded ({reason}).",
+};
+
+/** Seconds the HMS sheet may differ from the seconds sheet (it is rounded to whole seconds) */
+const HMS_TOLERANCE_SEC = 1;
+
+/**
+ * Builds an issue, with its English message
+ * @param {"error"|"warning"} level
+ * @param {string} code
+ * @param {string} key
+ * @param {Record<string, string|number>} params
+ * @param {{sex?: "M"|"F", event?: string, age?: number}} [extra]
+ * @returns {StandardsIssue}
+ */
+function makeIssue(level, code, key, params, extra = {}) {
+  const sex = extra.sex ? sexLabel(extra.sex) : "";
+  const all = { ...params, sex, who: sex ? fill(ISSUE_MESSAGES.who, { sex }) : "" };
+  return { level, code, key, params, message: fill(ISSUE_MESSAGES[key], all), ...extra };
+}
+
+/**
+ * Fills a message's `{name}` placeholders (plural messages pick by `count`)
+ * @param {string | Record<string, string>} msg
+ * @param {Record<string, string|number>} params
+ * @returns {string}
+ */
+function fill(msg, params) {
+  const text = typeof msg === "object" ? (params.count === 1 ? msg.one : msg.other) : msg;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Whether a value is a usable positive number
+ * @param {any} v
+ * @returns {boolean}
+ */
+function isPositive(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+/**
+ * Checks the shape of one `{ages, events, <valuesKey>}` table
+ * @param {any} table
+ * @param {string} valuesKey "standards_seconds" or "factors"
+ * @returns {string|null} the problem's message key, or null when the shape is right
+ */
+function shapeProblem(table, valuesKey) {
+  if (!table || typeof table !== "object") return "tableMissing";
+  if (!Array.isArray(table.ages) || !table.ages.length) return "tableNoAges";
+  if (!Array.isArray(table.events) || !table.events.length) return "tableNoEvents";
+  if (!table[valuesKey] || typeof table[valuesKey] !== "object") return "tableNoValues";
+  return null;
+}
+
+/**
+ * Finds ages where an event's times don't fall steadily to the fastest (peak)
+ * age and rise steadily after it
+ * @param {number[]} ages
+ * @param {(number|null)[]} times Same order as `ages`; nulls are skipped
+ * @returns {number[]} ages that break the pattern
+ */
+export function nonMonotonicAges(ages, times) {
+  const points = ages.map((age, i) => ({ age, t: times[i] })).filter((p) => isPositive(p.t));
+  if (points.length < 3) return [];
+
+  const peak = points.reduce((best, p) => (p.t < best.t ? p : best), points[0]);
+  const bad = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    if (cur.age <= peak.age ? cur.t > prev.t : cur.t < prev.t) bad.push(cur.age);
+  }
+  return bad;
+}
+
+/**
+ * Checks one transformed standards file
+ * @param {any} json Parsed file (see `loadSet`)
+ * @param {{sex?: "M"|"F"}} [opts] Sex for messages (defaults to `meta.sex`)
+ * @returns {StandardsIssue[]}
+ */
+export function validateStandardsFile(json, { sex = json?.meta?.sex } = {}) {
+  /** @type {StandardsIssue[]} */
+  const issues = [];
+  const add = (level, code, key, params, extra = {}) =>
+    issues.push(makeIssue(level, code, key, params, { ...(sex ? { sex } : {}), ...extra }));
+
+  const sec = json?.AgeStdSec;
+  const secShape = shapeProblem(sec, "standards_seconds");
+  if (secShape) {
+    add("error", "shape", secShape, { table: "AgeStdSec", values: "standards_seconds" });
+    return issues;
+  }
+
+  const badAges = sec.ages.filter((a) => !Number.isInteger(a) || a < AGE_MIN || a > AGE_MAX);
+  if (badAges.length) {
+    add("error", "ageRange", "ageRange", { min: AGE_MIN, max: AGE_MAX, ages: badAges.join(", ") });
+  }
+
+  for (const event of sec.events) {
+    const row = sec.standards_seconds[event];
+    if (!row) {
+      add("error", "missingEvent", "missingEvent", { event }, { event });
+      continue;
+    }
+
+    const times = sec.ages.map((age) => row[String(age)] ?? null);
+    const missing = sec.ages.filter((age, i) => !isPositive(times[i]));
+    if (missing.length) {
+      const span = missing.length > 6 ? `${missing.slice(0, 6).join(", ")}, …` : missing.join(", ");
+      add("error", "missingCell", "missingCell", { event, ages: span }, { event, age: missing[0] });
+    }
+
+    const bumps = nonMonotonicAges(sec.ages, times);
+    if (bumps.length) {
+      add("warning", "notMonotonic", "notMonotonic", { event, ages: bumps.join(", ") }, { event, age: bumps[0] });
+    }
+  }
+
+  const factors = json.AgeStdFactors;
+  const factorShape = shapeProblem(factors, "factors");
+  if (factorShape) {
+    add("warning", "factorShape", factorShape, { table: "AgeStdFactors", values: "factors" });
+  } else {
+    const missing = sec.events.filter((ev) => !factors.factors[ev]);
+    if (missing.length) add("warning", "factorEvents", "factorEvents", { events: missing.join(", ") });
+    for (const ev of sec.events.filter((e) => factors.factors[e])) {
+      const bad = factors.ages.filter((age) => {
+        const f = factors.factors[ev][String(age)];
+        return !(isPositive(f) && f <= 1);
+      });
+      if (bad.length) {
+        add("warning", "factorCell", "factorCell", { event: ev, ages: bad.slice(0, 6).join(", ") }, { event: ev });
+      }
+    }
+  }
+
+  const hms = json.AgeStdHMS;
+  if (hms && !shapeProblem(hms, "standards_seconds")) {
+    // Matched ignoring case: some workbooks spell an event differently on each sheet
+    const hmsRows = new Map(Object.entries(hms.standards_seconds).map(([ev, row]) => [ev.toLowerCase(), row]));
+    const off = [];
+    for (const ev of sec.events) {
+      for (const age of sec.ages) {
+        const a = sec.standards_seconds[ev]?.[String(age)];
+        const b = hmsRows.get(ev.toLowerCase())?.[String(age)];
+        if (isPositive(a) && Math.abs(a - (b ?? 0)) > HMS_TOLERANCE_SEC) off.push(`${ev} ${age}`);
+      }
+    }
+    if (off.length) {
+      add("warning", "hmsMismatch", "hmsMismatch", { count: off.length, cells: off.slice(0, 3).join(", ") });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Checks that the male and female files cover the same events
+ *
+ * Names that differ only in case (e.g. "5 MIle") still pair up in the page,
+ * so they are warnings; events one sex lacks are errors
+ * @param {any} male
+ * @param {any} female
+ * @returns {StandardsIssue[]}
+ */
+export function compareEventLists(male, female) {
+  const m = male?.AgeStdSec?.events ?? [];
+  const f = female?.AgeStdSec?.events ?? [];
+  const key = (ev) => String(ev).trim().toLowerCase();
+  const fByKey = new Map(f.map((ev) => [key(ev), ev]));
+  const mKeys = new Set(m.map(key));
+
+  /** @type {StandardsIssue[]} */
+  const issues = [];
+  for (const ev of m) {
+    const match = fByKey.get(key(ev));
+    if (match == null) {
+      issues.push(makeIssue("error", "eventMismatch", "eventOnlyM", { event: ev }, { event: ev, sex: "M" }));
+    } else if (match !== ev) {
+      issues.push(makeIssue("warning", "eventCase", "eventCase", { event: ev, other: match }, { event: ev }));
+    }
+  }
+  for (const ev of f) {
+    if (!mKeys.has(key(ev))) {
+      issues.push(makeIssue("error", "eventMismatch", "eventOnlyF", { event: ev }, { event: ev, sex: "F" }));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Checks a standards set as it loads (pass as `validate` to `createStandardsStore`)
+ *
+ * A sex whose file couldn't be loaded (e.g. the manifest points at a missing
+ * file) is reported as an error and the other sex is still checked
+ * @param {{entry: any, files: {M: any|null, F: any|null}, loadErrors: {M?: string, F?: string}}} loaded
+ * @returns {StandardsIssue[]}
+ */
+export function validateSet({ entry, files, loadErrors }) {
+  /** @type {StandardsIssue[]} */
+  const issues = [];
+  for (const sex of ["M", "F"]) {
+    if (files[sex]) {
+      issues.push(...validateStandardsFile(files[sex], { sex }));
+    } else {
+      const params = { path: standardsPath(entry, sex), reason: loadErrors[sex] ?? "no file" };
+      issues.push(makeIssue("error", "missingFile", "missingFile", params, { sex }));
+    }
+  }
+  if (files.M && files.F) issues.push(...compareEventLists(files.M, files.F));
+  return issues;
+}
+
+/**
+ * The load-time error that explains why an event's row is unavailable for one
+ * sex, if there is one
+ * @param {StandardsIssue[]|undefined} issues `set.issues`
+ * @param {"M"|"F"} sex
+ * @param {string} event
+ * @returns {StandardsIssue|null}
+ */
+export function unavailableIssue(issues, sex, event) {
+  const key = String(event).toLowerCase();
+  const found = (issues ?? []).find(
+    (i) =>
+      i.level === "error" &&
+      (i.code === "missingFile" || i.code === "shape"
+        ? i.sex === sex
+        : String(i.event ?? "").toLowerCase() === key && (i.code === "eventMismatch" ? i.sex !== sex : i.sex === sex))
+  );
+  return found ?? null;
+}
@@ -0,0 +1,202 @@
+/**
+ * Age Grade Converter service worker
+ *
+ * Precaches the app shell, the standards manifest and every standards file it
+ * lists, so the calculator works offline (e.g. at race venues with poor
+ * signal). The cache name carries SHELL_VERSION and a hash of the SHELL list
+ * and manifest.json: when any of them changes, a fresh cache is built and the
+ * old one deleted.
+ *
+ * Requests are network-first with a short timeout. Responses served from the
+ * cache carry the CACHE_HEADER header so the page can say it's on cached data.
+ */
+
+const CACHE_PREFIX = "age-grade-";
+const CACHE_HEADER = "X-Age-Grade-Cache";
+const NETWORK_TIMEOUT_MS = 4000;
+const MANIFEST_PATH = "age_grade_standards/manifest.json";
+
+/** Bump whenever an app file changes, so installed copies re-cache the shell */
+const SHELL_VERSION = 1;
+const SHELL_CACHE_PREFIX = `${CACHE_PREFIX}${SHELL_VERSION}-`;
+
+/** App shell (relative to the service worker scope) */
+const SHELL = [
+  "./",
+  "index.html",
+  "app.js",
+  "styles.css",
+  MANIFEST_PATH,
+  "lib/agegrade.js",
+  "lib/batch.js",
+  "lib/compare.js",
+  "lib/csv.js",
+  "lib/i18n.js",
+  "lib/ids.js",
+  "lib/log.js",
+  "lib/roster.js",
+  "lib/series.js",
+  "lib/validate.js",
+  "ui/batch.js",
+  "ui/card.js",
+  "ui/compare.js",
+  "ui/download.js",
+  "ui/export.js",
+  "ui/i18n.js",
+  "ui/levels.js",
+  "ui/log.js",
+  "ui/logstore.js",
+  "ui/matrix.js",
+  "ui/projection.js",
+  "ui/roster.js",
+  "ui/series.js",
+  "ui/svg.js",
+  "ui/table.js",
+  "ui/target.js",
+  "assets/favicon/favicon.svg",
+  "assets/favicon/site.webmanifest",
+];
+
+/**
+ * Resolves a path against the service worker scope
+ * @param {string} path
+ * @returns {string}
+ */
+function scoped(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Short hex hash of a text (the shell list plus manifest, for the cache version)
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .slice(0, 6)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Standards file paths listed in the manifest
+ * @param {any} manifest
+ * @returns {string[]}
+ */
+function standardsFiles(manifest) {
+  return (manifest?.sets ?? []).flatMap((entry) => [
+    `${entry.base}/${entry.male}`,
+    `${entry.base}/${entry.female}`,
+  ]);
+}
+
+/**
+ * Builds the cache for a manifest (if it doesn't exist yet) and deletes the
+ * caches this shell version built for older manifests
+ * @param {string} manifestText
+ * @returns {Promise<void>}
+ */
+async function precache(manifestText) {
+  const name = SHELL_CACHE_PREFIX + (await hashText(`${SHELL.join("\n")}\n${manifestText}`));
+
+  if (!(await caches.has(name))) {
+    const cache = await caches.open(name);
+    const request = (f) => new Request(scoped(f), { cache: "reload" });
+    await cache.addAll(SHELL.map(request));
+    // A manifest entry pointing at a missing file shouldn't stop the rest going offline
+    await Promise.allSettled(standardsFiles(JSON.parse(manifestText)).map((f) => cache.add(request(f))));
+  }
+
+  for (const key of await caches.keys()) {
+    if (key.startsWith(SHELL_CACHE_PREFIX) && key !== name) await caches.delete(key);
+  }
+}
+
+/**
+ * Deletes the caches of earlier shell versions
+ * @returns {Promise<void>}
+ */
+async function deleteOldShells() {
+  for (const key of await caches.keys()) {
+    if (key.startsWith(CACHE_PREFIX) && !key.startsWith(SHELL_CACHE_PREFIX)) await caches.delete(key);
+  }
+}
+
+/**
+ * Rejects after a timeout (so a hanging network falls back to the cache)
+ * @param {Promise<Response>} promise
+ * @returns {Promise<Response>}
+ */
+function withTimeout(promise) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timeout")), NETWORK_TIMEOUT_MS);
+    promise.then(
+      (res) => {
+        clearTimeout(timer);
+        resolve(res);
+      },
+      (err) => {
+        clearTimeout(timer);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Copies a cached response, marking it as served from the cache
+ * @param {Response} cached
+ * @returns {Response}
+ */
+function markCached(cached) {
+  const headers = new Headers(cached.headers);
+  headers.set(CACHE_HEADER, "offline");
+  return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    fetch(scoped(MANIFEST_PATH), { cache: "reload" })
+      .then((res) => res.text())
+      .then(precache)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(deleteOldShells().then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.registration.scope)) return;
+
+  const isManifest = request.url.split("?")[0] === scoped(MANIFEST_PATH);
+
+  event.respondWith(
+    withTimeout(fetch(request))
+      .then((res) => {
+        // A changed manifest means new standards: rebuild the cache in the background
+        if (isManifest && res.ok) {
+          event.waitUntil(
+            res
+              .clone()
+              .text()
+              .then(precache)
+              .catch(() => {})
+          );
+        }
+        return res;
+      })
+      .catch(async () => {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return markCached(cached);
+        if (request.mode === "navigate") {
+          const shell = await caches.match(scoped("index.html"));
+          if (shell) return markCached(shell);
+        }
+        return Response.error();
+      })
+  );
+});
@@ -0,0 +1,72 @@
+/**
+ * bin/build-standards.js against the sheet names the upstream workbooks use
+ *
+ * Each bundled standards file is exported back to CSV sheets under the names
+ * its `meta.sheets_used` records ("AgeStanSec", "Age Facctors", ...) and
+ * rebuilt; the tables must come back unchanged.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import { buildStandardsFile } from "../bin/build-standards.js";
+import { toCsv } from "../lib/csv.js";
+
+const ROOT = new URL("../", import.meta.url);
+const manifest = JSON.parse(readFileSync(new URL("age_grade_standards/manifest.json", ROOT), "utf8"));
+const work = mkdtempSync(join(tmpdir(), "build-standards-"));
+
+after(() => rmSync(work, { recursive: true, force: true }));
+
+/**
+ * Rows of a sheet in the upstream layout: an "Event" header of ages, one row per event
+ * @param {{ages: number[], events: string[]}} table
+ * @param {Record<string, Record<string, number|null>>} values
+ * @returns {any[][]}
+ */
+function sheetRows(table, values) {
+  return [["Event", ...table.ages], ...table.events.map((ev) => [ev, ...table.ages.map((a) => values[ev][a] ?? "")])];
+}
+
+/**
+ * Writes a standards file's tables as a folder of CSV sheets named like the upstream workbook
+ * @param {any} json
+ * @param {string} dir
+ * @param {{sec: string, hms: string, factors: string}} names
+ */
+function exportSheets(json, dir, names) {
+  const prefix = `${json.meta.sex === "M" ? "Male" : "Female"}RoadStd${json.meta.year}`;
+  const sheets = {
+    [names.sec]: sheetRows(json.AgeStdSec, json.AgeStdSec.standards_seconds),
+    [names.hms]: sheetRows(json.AgeStdHMS, json.AgeStdHMS.standards_seconds),
+    [names.factors]: sheetRows(json.AgeStdFactors, json.AgeStdFactors.factors),
+  };
+  for (const [name, rows] of Object.entries(sheets)) writeFileSync(join(dir, `${prefix} - ${name}.csv`), toCsv(rows));
+}
+
+for (const entry of manifest.sets) {
+  for (const key of ["male", "female"]) {
+    test(`rebuilds ${entry.base}/${entry[key]} from its upstream sheet names`, () => {
+      const json = JSON.parse(readFileSync(new URL(`${entry.base}/${entry[key]}`, ROOT), "utf8"));
+      const names = json.meta.sheets_used;
+      const dir = mkdtempSync(join(work, `${entry.year}-${key}-`));
+      exportSheets(json, dir, names);
+
+      const built = buildStandardsFile(dir, { sex: json.meta.sex, year: entry.year, category: "road" });
+      assert.deepEqual(built.meta.sheets_used, names);
+      assert.deepEqual(built.AgeStdSec, json.AgeStdSec);
+      assert.deepEqual(built.AgeStdFactors, json.AgeStdFactors);
+    });
+  }
+}
+
+test("names the missing sheet when a source has no seconds sheet", () => {
+  const dir = mkdtempSync(join(work, "missing-"));
+  writeFileSync(join(dir, "Age Factors.csv"), toCsv([["Event", 30], ["5 km", 1]]));
+  assert.throws(() => buildStandardsFile(dir, { sex: "M", year: 2025, category: "road" }), /no AgeStdSec sheet/);
+});
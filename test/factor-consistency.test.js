@@ -0,0 +1,45 @@
+/**
+ * checkFactorConsistency against the bundled standards
+ *
+ * The published tables only disagree with their age factors by rounding and
+ * at the capped youngest / oldest ages, so no bundled set may be flagged; a
+ * cell that's really off still must be.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+
+import { checkFactorConsistency, loadSet } from "../lib/agegrade.js";
+
+const ROOT = new URL("../", import.meta.url);
+const manifest = JSON.parse(readFileSync(new URL("age_grade_standards/manifest.json", ROOT), "utf8"));
+
+/**
+ * @param {string} path Path relative to the site root
+ * @returns {Promise<any>}
+ */
+async function readJson(path) {
+  return JSON.parse(readFileSync(new URL(path.replace(/^\.\//, ""), ROOT), "utf8"));
+}
+
+for (const entry of manifest.sets) {
+  test(`${entry.label} standards match their age factors`, async () => {
+    const set = await loadSet(entry, readJson);
+    assert.deepEqual(set.factorMismatches, { M: [], F: [] });
+  });
+}
+
+test("a standard that misses its age factor is flagged", async () => {
+  const set = await loadSet(manifest.sets[manifest.sets.length - 1], readJson);
+  const table = structuredClone(set.tables.M);
+  table.standards_seconds["10 km"]["50"] += 5;
+
+  const mismatches = checkFactorConsistency(table, set.factors.M, set.peaks.M);
+  assert.deepEqual(
+    mismatches.map((m) => [m.event, m.age]),
+    [["10 km", 50]]
+  );
+});
@@ -0,0 +1,72 @@
+/**
+ * gradePerformance (lib/service.js), the request grading behind the
+ * command-line tool and the API server
+ *
+ * The error codes map to the CLI's exit codes and the server's error bodies,
+ * so each is checked along with a successful grade.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { before, test } from "node:test";
+
+import { TIME_INPUT_ERRORS, createStandardsStore } from "../lib/agegrade.js";
+import { REQUEST_ERRORS, gradePerformance } from "../lib/service.js";
+
+const ROOT = new URL("../", import.meta.url);
+const store = createStandardsStore({
+  readJson: async (path) => JSON.parse(readFileSync(new URL(path.replace(/^\.\//, ""), ROOT), "utf8")),
+});
+
+let set;
+before(async () => {
+  set = await store.setByRef(2025);
+});
+
+/** A valid request, with some fields replaced */
+const input = (fields) => ({ event: "10 km", time: "41:30", age: "47", sex: "F", ...fields });
+
+test("grades a performance", () => {
+  const graded = gradePerformance(set, input({}));
+  assert.equal(graded.error, null);
+  assert.equal(graded.result.ageGrade, 76.1);
+  assert.deepEqual(graded.result.input, {
+    event: "10 km",
+    time: "41:30",
+    seconds: 2490,
+    age: 47,
+    sex: "F",
+    set: "2025",
+    exact: false,
+  });
+});
+
+test("reads loose event, sex and pace input", () => {
+  const graded = gradePerformance(set, input({ event: "10k", sex: "female", time: "4:10/km" }));
+  assert.equal(graded.error, null);
+  assert.equal(graded.event, "10 km");
+  assert.equal(graded.result.input.seconds, 2500);
+});
+
+test("returns an error code and message for each bad input", () => {
+  const cases = [
+    [{ sex: "X" }, "sex", REQUEST_ERRORS.sex],
+    [{ event: " " }, "event", REQUEST_ERRORS.event],
+    [{ time: "" }, "time", TIME_INPUT_ERRORS.empty],
+    [{ time: "abc" }, "time", TIME_INPUT_ERRORS.format],
+    [{ time: "1:65:30" }, "time", TIME_INPUT_ERRORS.range],
+    [{ time: "0:00" }, "time", TIME_INPUT_ERRORS.zero],
+    // A pace needs the event's distance, which an unknown event doesn't have
+    [{ event: "Steeplechase Relay", time: "4:10/km" }, "time", TIME_INPUT_ERRORS.paceDistance],
+    [{ age: "" }, "age", REQUEST_ERRORS.age],
+    [{ age: "forty" }, "age", REQUEST_ERRORS.age],
+    // Ages are clamped to 5–110, and the standards stop at 100
+    [{ age: "105" }, "standard", REQUEST_ERRORS.standard],
+    [{ event: "Steeplechase Relay" }, "standard", REQUEST_ERRORS.standard],
+  ];
+  for (const [fields, error, message] of cases) {
+    assert.deepEqual(gradePerformance(set, input(fields)), { error, message }, JSON.stringify(fields));
+  }
+});
@@ -0,0 +1,100 @@
+/**
+ * Typed times and their display (lib/agegrade.js)
+ *
+ * The page, the command-line tool and the API server all read finish times
+ * with `parseTimeInput` and show them with `secondsToTime` at the precision
+ * `timeDecimals` picks, so the accepted formats are pinned down here.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { METERS_PER_MILE, parseTimeInput, secondsToTime, timeDecimals } from "../lib/agegrade.js";
+
+test("parseTimeInput reads clock times, with either decimal separator", () => {
+  const cases = {
+    "41:30": 2490,
+    "1:23:45.6": 5025.6,
+    "4:58.3": 298.3,
+    "4:58,3": 298.3,
+    " 41:30 ": 2490,
+  };
+  for (const [raw, seconds] of Object.entries(cases)) {
+    assert.deepEqual(parseTimeInput(raw), { seconds, error: null, pace: null }, raw);
+  }
+});
+
+test("parseTimeInput reads h/m/s units and bare minutes", () => {
+  const cases = {
+    "41m30s": 2490,
+    "41m 30s": 2490,
+    "41m30": 2490,
+    "2h05": 7500,
+    "2h05m30": 7530,
+    "1h02m03s": 3723,
+    "1 hour 2 mins": 3720,
+    "45s": 45,
+    "41.5": 2490,
+    "41,5": 2490,
+  };
+  for (const [raw, seconds] of Object.entries(cases)) {
+    assert.equal(parseTimeInput(raw).seconds, seconds, raw);
+  }
+});
+
+test("parseTimeInput turns a pace into a finish time over the event distance", () => {
+  assert.deepEqual(parseTimeInput("4:10/km", { meters: 10000 }), {
+    seconds: 2500,
+    error: null,
+    pace: { seconds: 250, unit: "km" },
+  });
+
+  const mile = parseTimeInput("6:40/mi", { meters: 10000 });
+  assert.equal(mile.seconds, (400 * 10000) / METERS_PER_MILE);
+  assert.deepEqual(mile.pace, { seconds: 400, unit: "mi" });
+  assert.equal(parseTimeInput("6:40 / miles", { meters: 10000 }).pace.unit, "mi");
+});
+
+test("parseTimeInput explains what's wrong with a time", () => {
+  const cases = {
+    "": "empty",
+    "   ": "empty",
+    abc: "format",
+    "41:3:": "format",
+    "30s5": "format",
+    "4:10/parsec": "format",
+    "1:65:30": "range",
+    "5:60": "range",
+    "1h75m": "range",
+    "0:00": "zero",
+    "0": "zero",
+  };
+  for (const [raw, error] of Object.entries(cases)) {
+    assert.deepEqual(parseTimeInput(raw), { seconds: null, error, pace: null }, raw);
+  }
+
+  // A pace needs a distance to become a finish time
+  assert.equal(parseTimeInput("4:10/km").error, "paceDistance");
+  assert.equal(parseTimeInput("4:10/km", { meters: null }).error, "paceDistance");
+});
+
+test("secondsToTime formats m:ss and h:mm:ss, rounding once at the precision", () => {
+  assert.equal(secondsToTime(2490), "41:30");
+  assert.equal(secondsToTime(3725), "1:02:05");
+  assert.equal(secondsToTime(298.3, 1), "4:58.3");
+  assert.equal(secondsToTime(5025.6, 2), "1:23:45.60");
+  assert.equal(secondsToTime(59.96, 1), "1:00.0");
+  assert.equal(secondsToTime(3599.6), "1:00:00");
+  assert.equal(secondsToTime(0), "—");
+  assert.equal(secondsToTime(NaN), "—");
+});
+
+test("timeDecimals shows tenths up to the mile and whole seconds beyond", () => {
+  assert.equal(timeDecimals(1500), 1);
+  assert.equal(timeDecimals(METERS_PER_MILE), 1);
+  assert.equal(timeDecimals(5000), 0);
+  assert.equal(timeDecimals(null), 0);
+  assert.equal(timeDecimals(5000, [{ maxMeters: 10000, decimals: 2 }]), 2);
+});
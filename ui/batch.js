@@ -0,0 +1,289 @@
+/**
+ * Batch results panel
+ *
+ * Paste or upload a results CSV, map its columns, preview it, then Age Grade
+ * every row against the currently selected standards set. Everything runs in
+ * the browser; the graded table can be sorted and downloaded as CSV.
+ */
+
+import { BATCH_FIELDS, RESULT_HEADERS, guessColumnMapping, gradeRows, resultsToRows } from "../lib/batch.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { secondsToTime } from "../lib/agegrade.js";
+import { downloadText } from "./download.js";
+import { eventDisplayName, formatNumber, formatPct, localize, sexName, t } from "./i18n.js";
+import { buildSortableTable } from "./table.js";
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Heading of a results column in the current language (see `RESULT_HEADERS`)
+ * @param {string} key
+ * @returns {string}
+ */
+function columnLabel(key) {
+  return t(`batch.column.${key}`);
+}
+
+/**
+ * Columns of the graded results table
+ * @returns {import("./table.js").Column[]}
+ */
+function resultColumns() {
+  return [
+    { key: "name", label: columnLabel("name") },
+    { key: "sex", label: columnLabel("sex"), format: (r) => sexName(r.sex) },
+    {
+      key: "age",
+      label: columnLabel("age"),
+      numeric: true,
+      format: (r) => (Number.isInteger(r.age) ? String(r.age) : formatNumber(r.age, 1)),
+    },
+    { key: "event", label: columnLabel("event"), format: (r) => eventDisplayName(r.event) },
+    { key: "seconds", label: columnLabel("time"), numeric: true, format: (r) => localize(secondsToTime(r.seconds)) },
+    { key: "pct", label: t("result.title"), numeric: true, format: (r) => formatPct(r.pct) },
+    {
+      key: "ageGradedSeconds",
+      label: columnLabel("ageGradedTime"),
+      numeric: true,
+      format: (r) => (r.ageGradedSeconds ? localize(secondsToTime(r.ageGradedSeconds)) : "—"),
+    },
+  ];
+}
+
+/**
+ * Builds a plain table (used for the input preview)
+ * @param {string[]} header
+ * @param {string[][]} rows
+ * @returns {HTMLTableElement}
+ */
+function buildPlainTable(header, rows) {
+  const table = document.createElement("table");
+  const thead = document.createElement("thead");
+  const trh = document.createElement("tr");
+  for (const h of header) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    trh.appendChild(th);
+  }
+  thead.appendChild(trh);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  for (const r of rows) {
+    const tr = document.createElement("tr");
+    for (let i = 0; i < header.length; i++) {
+      const td = document.createElement("td");
+      td.textContent = r[i] ?? "";
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Wires the batch panel
+ *
+ * Returns `getImport()`, the current data rows and column mapping, so other
+ * panels (series scoring) can build on the imported results
+ * @param {{getSet: () => Promise<any>}} deps `getSet` loads the selected standards set
+ * @returns {{getImport: () => {rows: string[][], mapping: Record<string, number>, firstLine: number}} | null}
+ */
+export function initBatchPanel({ getSet }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    text: $("batchText"),
+    file: $("batchFile"),
+    hasHeader: $("batchHasHeader"),
+    mapping: $("batchMapping"),
+    preview: $("batchPreview"),
+    gradeBtn: $("batchGradeBtn"),
+    downloadBtn: $("batchDownloadBtn"),
+    status: $("batchStatus"),
+    errors: $("batchErrors"),
+    results: $("batchResults"),
+  };
+  if (!dom.text) return null;
+
+  const panel = {
+    /** Parsed CSV rows (including the header row, if any) */
+    rows: [],
+    /** field -> column index */
+    mapping: {},
+    /** Last graded results (for CSV download) */
+    results: [],
+  };
+
+  function header() {
+    const width = Math.max(0, ...panel.rows.map((r) => r.length));
+    if (dom.hasHeader.checked && panel.rows.length) {
+      return Array.from({ length: width }, (_, i) => panel.rows[0][i] || t("batch.columnN", { n: i + 1 }));
+    }
+    return Array.from({ length: width }, (_, i) => t("batch.columnN", { n: i + 1 }));
+  }
+
+  function dataRows() {
+    return dom.hasHeader.checked ? panel.rows.slice(1) : panel.rows;
+  }
+
+  function clearOutput() {
+    panel.results = [];
+    dom.downloadBtn.disabled = true;
+    dom.status.textContent = "";
+    dom.errors.innerHTML = "";
+    dom.results.innerHTML = "";
+  }
+
+  function renderMapping() {
+    dom.mapping.innerHTML = "";
+    if (!panel.rows.length) return;
+
+    const cols = header();
+    for (const field of BATCH_FIELDS) {
+      const label = document.createElement("label");
+      label.textContent = columnLabel(field);
+
+      const select = document.createElement("select");
+      const none = document.createElement("option");
+      none.value = "-1";
+      none.textContent = "—";
+      select.appendChild(none);
+
+      cols.forEach((c, i) => {
+        const opt = document.createElement("option");
+        opt.value = String(i);
+        opt.textContent = c;
+        select.appendChild(opt);
+      });
+
+      select.value = String(panel.mapping[field] ?? -1);
+      select.addEventListener("change", () => {
+        panel.mapping[field] = Number(select.value);
+        clearOutput();
+      });
+
+      label.appendChild(select);
+      dom.mapping.appendChild(label);
+    }
+  }
+
+  function renderPreview() {
+    dom.preview.innerHTML = "";
+    if (!panel.rows.length) return;
+
+    const rows = dataRows();
+    const h = document.createElement("h3");
+    h.textContent = t("batch.preview", { shown: Math.min(PREVIEW_ROWS, rows.length), count: rows.length });
+    dom.preview.appendChild(h);
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(buildPlainTable(header(), rows.slice(0, PREVIEW_ROWS)));
+    dom.preview.appendChild(wrap);
+  }
+
+  function loadText(text) {
+    panel.rows = parseCsv(text);
+    panel.mapping = dom.hasHeader.checked && panel.rows.length
+      ? guessColumnMapping(panel.rows[0])
+      : Object.fromEntries(BATCH_FIELDS.map((f, i) => [f, i]));
+
+    dom.gradeBtn.disabled = panel.rows.length === 0;
+    clearOutput();
+    renderMapping();
+    renderPreview();
+  }
+
+  function renderErrors(errors) {
+    dom.errors.innerHTML = "";
+    if (!errors.length) return;
+
+    const details = document.createElement("details");
+    details.className = "dataNotice";
+    details.open = errors.length <= 10;
+
+    const summary = document.createElement("summary");
+    summary.textContent = t("batch.errors", { count: errors.length });
+    details.appendChild(summary);
+
+    const ul = document.createElement("ul");
+    for (const e of errors) {
+      const li = document.createElement("li");
+      const event = String(e.row[panel.mapping.event] ?? "").trim();
+      const reason = t(`batch.error.${e.code}`, { event });
+      li.textContent = t("batch.errorLine", { line: e.line, reason, row: e.row.join(", ") });
+      ul.appendChild(li);
+    }
+    details.appendChild(ul);
+    dom.errors.appendChild(details);
+  }
+
+  async function grade() {
+    clearOutput();
+
+    const missing = BATCH_FIELDS.filter((f) => !(panel.mapping[f] >= 0));
+    if (missing.length) {
+      dom.status.textContent = t("batch.chooseColumns", { fields: missing.map(columnLabel).join(", ") });
+      return;
+    }
+
+    let set;
+    try {
+      set = await getSet();
+    } catch {
+      dom.status.textContent = t("common.loadError");
+      return;
+    }
+
+    const { results, errors } = gradeRows(set, dataRows(), panel.mapping, dom.hasHeader.checked ? 2 : 1);
+    panel.results = results;
+
+    dom.status.textContent = t("batch.status", {
+      graded: results.length,
+      count: results.length + errors.length,
+      set: set.entry.label,
+    });
+    renderErrors(errors);
+
+    if (results.length) {
+      const wrap = document.createElement("div");
+      wrap.className = "resultTableWrap wideTableWrap";
+      wrap.appendChild(buildSortableTable(resultColumns(), results, { sortKey: "pct", sortDir: -1 }));
+      dom.results.appendChild(wrap);
+      dom.downloadBtn.disabled = false;
+    }
+  }
+
+  dom.text.addEventListener("input", () => loadText(dom.text.value));
+  dom.hasHeader.addEventListener("change", () => loadText(dom.text.value));
+
+  dom.file.addEventListener("change", async () => {
+    const file = dom.file.files?.[0];
+    if (!file) return;
+    try {
+      dom.text.value = await file.text();
+    } catch {
+      dom.status.textContent = t("common.readError", { name: file.name });
+      return;
+    }
+    loadText(dom.text.value);
+  });
+
+  dom.gradeBtn.addEventListener("click", grade);
+  dom.downloadBtn.addEventListener("click", () => {
+    if (!panel.results.length) return;
+    const headers = Object.fromEntries(Object.keys(RESULT_HEADERS).map((key) => [key, columnLabel(key)]));
+    downloadText("age-graded-results.csv", toCsv(resultsToRows(panel.results, headers)));
+  });
+
+  loadText(dom.text.value);
+
+  return {
+    getImport: () => ({
+      rows: dataRows(),
+      mapping: { ...panel.mapping },
+      firstLine: dom.hasHeader.checked ? 2 : 1,
+    }),
+  };
+}
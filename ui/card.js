@@ -0,0 +1,144 @@
+/**
+ * Shareable PNG "result card" drawn on a canvas
+ *
+ * Shows the Age Grade %, the note line (time, event, sex, age, WMA set) and
+ * the three equivalent times, sized like the site's og:image (1200×630).
+ */
+
+import { downloadBlob } from "./download.js";
+import { t } from "./i18n.js";
+
+const CARD = {
+  width: 1200,
+  height: 630,
+  pad: 64,
+  bg: "#0b0c10",
+  card: "#12141b",
+  text: "#e9ecf1",
+  muted: "#a7afbd",
+  line: "#2a2f3a",
+  accent: "#7aa2ff",
+  font: "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
+};
+
+/**
+ * @typedef {object} ResultCard
+ * @property {string} pct Age Grade as shown, e.g. "76.10%"
+ * @property {string} note Result note line
+ * @property {{label: string, time: string}[]} equivalents The three equivalent times
+ * @property {string} [footer] Small print at the bottom (e.g. the site address)
+ */
+
+/**
+ * Splits text into lines that fit `maxWidth` at the context's current font
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Draws a result card onto a canvas (resized to the card dimensions)
+ * @param {HTMLCanvasElement} canvas
+ * @param {ResultCard} card
+ * @returns {boolean} false when the browser can't draw on canvases
+ */
+export function drawResultCard(canvas, { pct, note, equivalents, footer = "" }) {
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx) return false;
+
+  const { width, height, pad } = CARD;
+  canvas.width = width;
+  canvas.height = height;
+
+  ctx.fillStyle = CARD.bg;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = CARD.card;
+  ctx.strokeStyle = CARD.line;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(24, 24, width - 48, height - 48, 20);
+  else ctx.rect(24, 24, width - 48, height - 48);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+
+  ctx.fillStyle = CARD.muted;
+  ctx.font = `600 30px ${CARD.font}`;
+  ctx.fillText(t("result.title"), pad, pad + 40);
+
+  ctx.fillStyle = CARD.accent;
+  ctx.font = `800 120px ${CARD.font}`;
+  ctx.fillText(pct, pad, pad + 160);
+
+  ctx.fillStyle = CARD.text;
+  ctx.font = `500 28px ${CARD.font}`;
+  let y = pad + 215;
+  for (const line of wrapText(ctx, note, width - pad * 2).slice(0, 2)) {
+    ctx.fillText(line, pad, y);
+    y += 38;
+  }
+
+  y += 14;
+  for (const { label, time } of equivalents) {
+    ctx.strokeStyle = CARD.line;
+    ctx.beginPath();
+    ctx.moveTo(pad, y);
+    ctx.lineTo(width - pad, y);
+    ctx.stroke();
+
+    y += 44;
+    ctx.textAlign = "left";
+    ctx.fillStyle = CARD.muted;
+    ctx.font = `500 26px ${CARD.font}`;
+    ctx.fillText(label, pad, y);
+
+    ctx.textAlign = "right";
+    ctx.fillStyle = CARD.text;
+    ctx.font = `800 30px ${CARD.font}`;
+    ctx.fillText(time, width - pad, y);
+    y += 20;
+  }
+
+  if (footer) {
+    ctx.textAlign = "right";
+    ctx.fillStyle = CARD.muted;
+    ctx.font = `500 20px ${CARD.font}`;
+    ctx.fillText(footer, width - pad, height - 40);
+  }
+
+  return true;
+}
+
+/**
+ * Draws a result card and downloads it as a PNG
+ * @param {ResultCard} card
+ * @param {string} [filename]
+ * @returns {Promise<boolean>} false when the image couldn't be made
+ */
+export async function downloadResultCard(card, filename = "age-grade.png") {
+  const canvas = document.createElement("canvas");
+  if (!drawResultCard(canvas, card)) return false;
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if (!blob) return false;
+  downloadBlob(filename, blob);
+  return true;
+}
@@ -0,0 +1,260 @@
+/**
+ * Compare standards sets panel
+ *
+ * Shows the Age Grade for the current inputs under every set in the selected
+ * category (with the change from the selected set), and a heatmap of which
+ * standards cells got harder or easier between two sets for one sex.
+ */
+
+import { secondsToTime } from "../lib/agegrade.js";
+import { compareSets, diffStandards } from "../lib/compare.js";
+import { eventDisplayName, formatNumber, formatPct, getLocale, localize, sexName, t } from "./i18n.js";
+
+/** Changes at or beyond this fraction get full heatmap colour */
+const HEATMAP_SCALE = 0.05;
+
+/**
+ * Formats a change in percentage points, e.g. "+1.23" / "−0.40"
+ * @param {number|null} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+  if (delta == null) return "—";
+  if (Math.abs(delta) < 0.005) return formatNumber(0, 2);
+  return `${delta > 0 ? "+" : "−"}${formatNumber(Math.abs(delta), 2)}`;
+}
+
+/**
+ * Background colour for a heatmap cell: green where set B is easier (slower
+ * standard), red where it is harder
+ * @param {number|null} change
+ * @returns {string}
+ */
+function heatColor(change) {
+  if (change == null || change === 0) return "transparent";
+  const strength = Math.min(1, Math.abs(change) / HEATMAP_SCALE);
+  const hue = change > 0 ? 140 : 0;
+  return `hsla(${hue}, 70%, 45%, ${(0.15 + 0.7 * strength).toFixed(2)})`;
+}
+
+/**
+ * Builds the per-set grades table
+ * @param {ReturnType<typeof compareSets>} rows
+ * @param {number} baseline Index of the selected set
+ * @returns {HTMLTableElement}
+ */
+function buildGradesTable(rows, baseline) {
+  const table = document.createElement("table");
+  const thead = document.createElement("thead");
+  const trh = document.createElement("tr");
+  for (const h of [t("compare.standards"), t("compare.ageStandard"), t("result.title"), t("compare.change")]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    trh.appendChild(th);
+  }
+  thead.appendChild(trh);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  rows.forEach((r, i) => {
+    const tr = document.createElement("tr");
+    if (i === baseline) tr.className = "currentRow";
+
+    const { grade } = r;
+    const cells = grade.error
+      ? [r.entry.label, "—", t(`grade.${grade.error}`), "—"]
+      : [
+          r.entry.label,
+          localize(secondsToTime(grade.standard)),
+          formatPct(grade.pct),
+          i === baseline ? t("compare.selected") : formatDelta(r.delta),
+        ];
+
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Builds the heatmap table (ages down, events across)
+ * @param {ReturnType<typeof diffStandards>} diff
+ * @param {string} labelA
+ * @param {string} labelB
+ * @returns {HTMLTableElement}
+ */
+function buildHeatmap(diff, labelA, labelB) {
+  const table = document.createElement("table");
+  table.className = "heatmap";
+
+  const thead = document.createElement("thead");
+  const trh = document.createElement("tr");
+  for (const h of [t("common.age"), ...diff.events.map((e) => eventDisplayName(e.a))]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    trh.appendChild(th);
+  }
+  thead.appendChild(trh);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  for (const row of diff.rows) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = String(row.age);
+    tr.appendChild(th);
+
+    row.cells.forEach((cell, i) => {
+      const td = document.createElement("td");
+      const event = eventDisplayName(diff.events[i].a);
+      if (cell.change == null) {
+        td.textContent = "—";
+        td.title = t("compare.missing", { age: row.age, event, set: cell.a == null ? labelA : labelB });
+      } else {
+        const pct = cell.change * 100;
+        td.textContent = Math.abs(pct) < 0.05 ? "0" : formatNumber(pct, 1);
+        td.style.background = heatColor(cell.change);
+        td.title = t("compare.cell", {
+          age: row.age,
+          event,
+          from: localize(secondsToTime(cell.a)),
+          setFrom: labelA,
+          to: localize(secondsToTime(cell.b)),
+          setTo: labelB,
+          pct: formatPct(pct, { signed: true }),
+          direction: cell.change > 0 ? t("compare.easier") : cell.change < 0 ? t("compare.harder") : "",
+        });
+      }
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Wires the compare panel
+ *
+ * Sets are only loaded while the panel is open. Call `update(ctx)` whenever
+ * the main inputs change
+ * @param {{getCategorySets: () => Promise<any[]>}} deps Loads every set in the selected category
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", ageInput: {age: number|null, exact: boolean}, event: string|number|null, eventLabel: string, seconds: number|null}) => void}}
+ */
+export function initComparePanel({ getCategorySets }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    panel: $("comparePanel"),
+    status: $("compareStatus"),
+    results: $("compareResults"),
+    setA: $("compareSetA"),
+    setB: $("compareSetB"),
+    sex: $("compareSex"),
+    heatStatus: $("compareHeatStatus"),
+    heatmap: $("compareHeatmap"),
+  };
+  if (!dom.panel) return { update() {} };
+
+  let last = null;
+  let sets = [];
+  let renderToken = 0;
+  /** Language the heatmap was built in */
+  let shownLocale = null;
+
+  /** Refills the heatmap set pickers, keeping the choice where possible */
+  function refreshSetOptions() {
+    const labels = sets.map((s) => s.entry.label);
+    for (const [el, fallback] of [
+      [dom.setA, labels[0]],
+      [dom.setB, labels[labels.length - 1]],
+    ]) {
+      const prev = el.value;
+      el.innerHTML = "";
+      for (const label of labels) {
+        const opt = document.createElement("option");
+        opt.value = label;
+        opt.textContent = label;
+        el.appendChild(opt);
+      }
+      el.value = labels.includes(prev) ? prev : fallback ?? "";
+    }
+  }
+
+  function renderGrades() {
+    dom.results.innerHTML = "";
+    const { set, sex, ageInput, event, eventLabel, seconds } = last;
+
+    const baseline = sets.findIndex((s) => s.entry === set.entry);
+    const rows = compareSets(sets, { sex, age: ageInput.age, event, seconds, exact: ageInput.exact, baseline });
+
+    const firstError = rows.find((r) => r.grade.error === "time" || r.grade.error === "age");
+    if (firstError) {
+      dom.status.textContent = t(`grade.${firstError.grade.error}`);
+      return;
+    }
+
+    dom.status.textContent = t("compare.status", {
+      event: eventDisplayName(eventLabel),
+      sex: sexName(sex),
+      set: set.entry.label,
+    });
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap";
+    wrap.appendChild(buildGradesTable(rows, baseline));
+    dom.results.appendChild(wrap);
+  }
+
+  function renderHeatmap() {
+    dom.heatmap.innerHTML = "";
+    const a = sets.find((s) => s.entry.label === dom.setA.value);
+    const b = sets.find((s) => s.entry.label === dom.setB.value);
+    if (!a || !b) return;
+
+    shownLocale = getLocale();
+    const sex = dom.sex.value;
+    const diff = diffStandards(a.tables[sex], b.tables[sex]);
+    dom.heatStatus.textContent = t("compare.heatStatus", { sex: sexName(sex), from: a.entry.label, to: b.entry.label });
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(buildHeatmap(diff, a.entry.label, b.entry.label));
+    dom.heatmap.appendChild(wrap);
+  }
+
+  async function render() {
+    if (!dom.panel.open || !last) return;
+    const token = ++renderToken;
+
+    let loaded;
+    try {
+      loaded = await getCategorySets();
+    } catch {
+      dom.status.textContent = t("common.loadError");
+      return;
+    }
+    if (token !== renderToken) return;
+
+    const changed = loaded.length !== sets.length || loaded.some((s, i) => s !== sets[i]);
+    if (!sets.length) dom.sex.value = last.sex; // heatmap starts on the selected gender
+    sets = loaded;
+    renderGrades();
+    if (changed) refreshSetOptions();
+    if (changed || getLocale() !== shownLocale) renderHeatmap();
+  }
+
+  dom.panel.addEventListener("toggle", render);
+  for (const el of [dom.setA, dom.setB, dom.sex]) el.addEventListener("change", renderHeatmap);
+
+  return {
+    update(ctx) {
+      last = ctx;
+      render();
+    },
+  };
+}
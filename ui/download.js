@@ -0,0 +1,29 @@
+/**
+ * Client-side file downloads (no server round trip)
+ */
+
+/**
+ * Saves a Blob under a file name via a temporary object URL
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Saves text as a file
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [type]
+ */
+export function downloadText(filename, text, type = "text/csv;charset=utf-8") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
@@ -0,0 +1,81 @@
+/**
+ * Export buttons for result tables: CSV download and copy as TSV (pastes
+ * straight into spreadsheet cells). Everything is generated client-side.
+ */
+
+import { toCsv } from "../lib/csv.js";
+import { downloadText } from "./download.js";
+import { t } from "./i18n.js";
+
+const COPIED_MS = 1500;
+
+/**
+ * File name for a table title, e.g. "Peak Age Male Equivalents" → "peak-age-male-equivalents.csv"
+ * @param {string} title
+ * @returns {string}
+ */
+export function csvFileName(title) {
+  const slug = String(title ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "age-grade"}.csv`;
+}
+
+/**
+ * Copies text to the clipboard, falling back to a prompt the user can copy from
+ * @param {string} text
+ * @param {string} [promptLabel]
+ * @returns {Promise<boolean>} whether the clipboard write succeeded
+ */
+export async function copyText(text, promptLabel = "Copy this:") {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    window.prompt(promptLabel, text);
+    return false;
+  }
+}
+
+/**
+ * Builds the "CSV" / "Copy" buttons for a table
+ *
+ * Empty cells ("—") are exported blank so spreadsheets don't treat them as text
+ * @param {string} title Used for the file name
+ * @param {string[][]} rows Header row first
+ * @returns {HTMLDivElement}
+ */
+export function buildExportActions(title, rows) {
+  const data = rows.map((r) => r.map((v) => (v === "—" ? "" : v)));
+
+  const div = document.createElement("div");
+  div.className = "sectionActions";
+
+  const csvBtn = document.createElement("button");
+  csvBtn.type = "button";
+  csvBtn.className = "linkBtn smallBtn";
+  csvBtn.textContent = t("export.csv");
+  csvBtn.title = t("export.csvTitle");
+  csvBtn.addEventListener("click", () => downloadText(csvFileName(title), toCsv(data)));
+
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.className = "linkBtn smallBtn";
+  copyBtn.textContent = t("export.copy");
+  copyBtn.title = t("export.copyTitle");
+  let timer = null;
+  copyBtn.addEventListener("click", async () => {
+    if (!(await copyText(toCsv(data, "\t"), t("export.copyPrompt")))) return;
+    copyBtn.textContent = t("export.copied");
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      copyBtn.textContent = t("export.copy");
+    }, COPIED_MS);
+  });
+
+  div.append(csvBtn, copyBtn);
+  return div;
+}
@@ -0,0 +1,197 @@
+/**
+ * Page language: holds the chosen locale, translates the static page text
+ * (`data-i18n` attributes) and wires the language picker. Modules that build
+ * text import `t` / `formatPct` / `eventDisplayName` from here, so everything
+ * follows the one choice.
+ */
+
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  eventName,
+  formatDecimal,
+  formatPercent,
+  localizeDecimals,
+  matchLocale,
+  translate,
+} from "../lib/i18n.js";
+
+/** localStorage key for the chosen language */
+const LOCALE_KEY = "age-grade-locale";
+
+/** Attributes filled from the catalogue, by the data attribute holding the key */
+const ATTRIBUTE_KEYS = {
+  "data-i18n-placeholder": "placeholder",
+  "data-i18n-title": "title",
+  "data-i18n-aria-label": "aria-label",
+};
+
+let current = DEFAULT_LOCALE;
+
+/**
+ * The current locale id ("en", "fr", ...)
+ * @returns {string}
+ */
+export function getLocale() {
+  return current;
+}
+
+/**
+ * Message in the current language (see `translate`)
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export function t(key, params) {
+  return translate(current, key, params);
+}
+
+/**
+ * Gender name in the current language (`sexLabel` is the English one)
+ * @param {"M"|"F"} sex
+ * @returns {string}
+ */
+export function sexName(sex) {
+  return t(`sex.${sex}`);
+}
+
+/**
+ * Age Grade percentage in the current language, e.g. "76.10%" / "76,10 %"
+ * @param {number} pct
+ * @param {{digits?: number, signed?: boolean}} [options]
+ * @returns {string}
+ */
+export function formatPct(pct, options) {
+  return formatPercent(pct, current, options);
+}
+
+/**
+ * Fixed-decimals number in the current language
+ * @param {number} n
+ * @param {number} digits
+ * @returns {string}
+ */
+export function formatNumber(n, digits) {
+  return formatDecimal(n, current, digits);
+}
+
+/**
+ * Decimal separators of already-formatted text ("4:58.3") in the current language
+ * @param {string} text
+ * @returns {string}
+ */
+export function localize(text) {
+  return localizeDecimals(text, current);
+}
+
+/**
+ * A number as typed, with either decimal separator ("82,5" or "82.5");
+ * NaN when it isn't a number
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseDecimal(text) {
+  return Number(String(text ?? "").trim().replace(",", "."));
+}
+
+/**
+ * Display name of a standards event in the current language (the value used
+ * for lookups stays the `table.events` name)
+ * @param {string} event
+ * @returns {string}
+ */
+export function eventDisplayName(event) {
+  return eventName(event, current);
+}
+
+/**
+ * A typed percentage (target, level threshold) with only the decimals it
+ * was given, e.g. 80 → "80%", 82.5 → "82,5 %"
+ * @param {number} pct
+ * @returns {string}
+ */
+export function formatTypedPct(pct) {
+  return formatPct(pct, { digits: Math.min(2, (String(pct).split(".")[1] ?? "").length) });
+}
+
+/**
+ * Name of a performance level ("National Class"); levels made from a typed
+ * threshold have no name and show their percentage
+ * @param {{id?: string, pct: number}} level
+ * @returns {string}
+ */
+export function levelName(level) {
+  return level.id ? t(`level.${level.id}`) : formatTypedPct(level.pct);
+}
+
+/**
+ * A standards data issue (`lib/validate.js`) in the current language
+ * @param {import("../lib/validate.js").StandardsIssue} issue
+ * @returns {string}
+ */
+export function issueText(issue) {
+  const sex = issue.sex ? sexName(issue.sex) : "";
+  return t(`issue.${issue.key}`, { ...issue.params, sex, who: sex ? t("issue.who", { sex }) : "" });
+}
+
+/**
+ * Fills every `data-i18n` element's text (and `data-i18n-placeholder` /
+ * `-title` / `-aria-label` attributes) from the catalogue
+ * @param {ParentNode} [root]
+ */
+export function applyTranslations(root = document) {
+  for (const el of root.querySelectorAll("[data-i18n]")) el.textContent = t(el.dataset.i18n);
+  for (const [keyAttr, attr] of Object.entries(ATTRIBUTE_KEYS)) {
+    for (const el of root.querySelectorAll(`[${keyAttr}]`)) el.setAttribute(attr, t(el.getAttribute(keyAttr)));
+  }
+  document.documentElement.lang = current;
+}
+
+/**
+ * Reads the saved language, else the browser's preferred one
+ * @returns {string}
+ */
+function detectLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (saved && LOCALES.some((l) => l.id === saved)) return saved;
+  } catch {
+    // Storage blocked: fall back to the browser languages
+  }
+  return matchLocale(navigator.languages?.length ? navigator.languages : [navigator.language]);
+}
+
+/**
+ * Picks the starting language, translates the page and wires the picker
+ *
+ * `onChange` runs after a new language has been applied, to rebuild the text
+ * made in code (results, event list, ...)
+ * @param {HTMLSelectElement|null} selectEl
+ * @param {() => void} onChange
+ */
+export function initLanguagePicker(selectEl, onChange) {
+  current = detectLocale();
+  applyTranslations();
+  if (!selectEl) return;
+
+  selectEl.innerHTML = "";
+  for (const { id, label } of LOCALES) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.lang = id;
+    opt.textContent = label;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = current;
+
+  selectEl.addEventListener("change", () => {
+    current = LOCALES.some((l) => l.id === selectEl.value) ? selectEl.value : DEFAULT_LOCALE;
+    try {
+      localStorage.setItem(LOCALE_KEY, current);
+    } catch {
+      // Not remembered
+    }
+    applyTranslations();
+    onChange();
+  });
+}
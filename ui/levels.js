@@ -0,0 +1,195 @@
+/**
+ * Age-group standards chart panel
+ *
+ * For the selected sex and age, shows the time each performance level
+ * (100/90/80/70/60% by default, editable) needs at every event, with no
+ * finish time required. When a time is entered, the selected event's row
+ * shows which band it falls in.
+ */
+
+import {
+  PERFORMANCE_LEVELS,
+  eventDistanceMeters,
+  levelTimes,
+  levelsFromThresholds,
+  performanceLevel,
+} from "../lib/agegrade.js";
+import { buildExportActions } from "./export.js";
+import {
+  eventDisplayName,
+  formatPct,
+  formatTypedPct,
+  levelName,
+  localize,
+  parseDecimal,
+  sexName,
+  t,
+} from "./i18n.js";
+
+const DEFAULT_THRESHOLDS = PERFORMANCE_LEVELS.map((l) => l.pct).join(" ");
+
+/**
+ * Column heading for a level, e.g. "National Class 80%" (typed levels are just "82.5%")
+ * @param {{id?: string, pct: number}} level
+ * @returns {string}
+ */
+function levelHeading(level) {
+  return level.id ? t("levels.column", { level: levelName(level), pct: formatTypedPct(level.pct) }) : levelName(level);
+}
+
+/**
+ * Reads "100 90 82,5" or "100; 90; 82.5" into numbers (null when nothing
+ * usable was typed). A comma is a decimal separator unless it ends a level,
+ * so "90, 80, 70" still reads as three
+ * @param {string} raw
+ * @returns {number[]|null}
+ */
+function parseThresholds(raw) {
+  const nums = String(raw ?? "")
+    .split(/[;\s]+|,(?=\s|$)/)
+    .filter(Boolean)
+    .map((x) => parseDecimal(x.replace(/%$/, "")));
+  return nums.length && nums.every((n) => Number.isFinite(n) && n > 0) ? nums : null;
+}
+
+/**
+ * Wires the standards chart panel
+ *
+ * Call `update(ctx)` whenever the main inputs change
+ * @param {{describeAge: (age: number, ageInput: any) => string, formatTime: (seconds: number, event: string|number) => string}} deps
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", ageInput: {age: number|null, exact: boolean}, eventInput: {event: string|number|null, label: string, custom: boolean}, grade: any, seconds: number}) => void}}
+ */
+export function initLevelsPanel({ describeAge, formatTime }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    thresholds: $("levelsThresholds"),
+    status: $("levelsStatus"),
+    results: $("levelsResults"),
+  };
+  if (!dom.thresholds) return { update() {} };
+
+  dom.thresholds.placeholder = DEFAULT_THRESHOLDS;
+
+  let last = null;
+
+  /**
+   * Says where the entered performance falls among the levels
+   * @param {any} grade
+   * @param {{id?: string, pct: number}[]} levels Highest first
+   * @param {number[]} times Level times for the selected event
+   * @param {string} timeText
+   * @returns {string}
+   */
+  function describeBand(grade, levels, times, timeText) {
+    const pct = formatPct(grade.pct);
+    const reached = performanceLevel(grade.pct, levels);
+    const i = reached ? levels.indexOf(reached) : levels.length;
+    const above = levels[i - 1];
+    const fmt = (l, k) => `${levelHeading(l)}${times[k] ? ` (${formatTime(times[k], last.eventInput.event)})` : ""}`;
+
+    if (!reached) {
+      return t("levels.below", { time: timeText, pct, level: fmt(levels[levels.length - 1], levels.length - 1) });
+    }
+    if (!above) return t("levels.top", { time: timeText, pct, level: fmt(reached, i) });
+    return t("levels.between", { time: timeText, pct, low: fmt(reached, i), high: fmt(above, i - 1) });
+  }
+
+  function render() {
+    dom.results.innerHTML = "";
+    if (!last) return;
+
+    const { set, sex, ageInput, eventInput, grade, seconds } = last;
+    const { age, exact } = ageInput;
+    if (age == null) {
+      dom.status.textContent = t("grade.age");
+      return;
+    }
+
+    const thresholds = parseThresholds(dom.thresholds.value || DEFAULT_THRESHOLDS);
+    if (!thresholds) {
+      dom.status.textContent = t("levels.enter");
+      return;
+    }
+    const levels = levelsFromThresholds(thresholds);
+
+    const events = [...set.tables[sex].events];
+    if (eventInput.custom && eventInput.event != null) {
+      const at = events.findIndex((ev) => (eventDistanceMeters(ev) ?? 0) > eventInput.event);
+      events.splice(at < 0 ? events.length : at, 0, eventInput.event);
+    }
+
+    const rows = levelTimes({ set, sex, age, events, levels, exact });
+    const current = rows.find((r) => r.event === eventInput.event);
+    const reached = !grade.error && current ? performanceLevel(grade.pct, levels) : null;
+
+    const heading = t("levels.heading", { sex: sexName(sex), age: describeAge(age, ageInput), set: set.entry.label });
+    if (grade.error === "time" || !current) {
+      dom.status.textContent = t("levels.enterTime", { heading });
+    } else if (grade.error) {
+      dom.status.textContent = t(`grade.${grade.error}`);
+    } else {
+      const timeText = `${formatTime(seconds, eventInput.event)} ${eventDisplayName(eventInput.label)}`;
+      dom.status.textContent = `${heading}. ${describeBand(grade, levels, current.seconds, timeText)}`;
+    }
+
+    const header = [t("table.event"), ...levels.map(levelHeading)];
+    const label = (event) =>
+      typeof event === "number" ? t("table.customRow", { label: localize(eventInput.label) }) : eventDisplayName(event);
+    const cellText = (r, i) => (r.seconds[i] ? formatTime(r.seconds[i], r.event) : "—");
+
+    const table = document.createElement("table");
+    const thead = document.createElement("thead");
+    const trh = document.createElement("tr");
+    header.forEach((text, i) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      if (i) th.className = "num";
+      trh.appendChild(th);
+    });
+    thead.appendChild(trh);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    for (const r of rows) {
+      const tr = document.createElement("tr");
+      if (r === current) tr.className = "currentRow";
+
+      const td = document.createElement("td");
+      td.textContent = label(r.event);
+      tr.appendChild(td);
+
+      levels.forEach((l, i) => {
+        const cell = document.createElement("td");
+        cell.className = "num";
+        if (r === current && l === reached) {
+          cell.classList.add("reachedCell");
+          cell.title = t("levels.reached", { pct: formatPct(grade.pct), level: levelName(l) });
+        }
+        cell.textContent = cellText(r, i);
+        tr.appendChild(cell);
+      });
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(table);
+    dom.results.appendChild(wrap);
+    dom.results.appendChild(
+      buildExportActions(t("levels.exportTitle", { heading }), [
+        header,
+        ...rows.map((r) => [label(r.event), ...levels.map((_, i) => cellText(r, i))]),
+      ])
+    );
+  }
+
+  dom.thresholds.addEventListener("input", render);
+
+  return {
+    update(ctx) {
+      last = ctx;
+      render();
+    },
+  };
+}
@@ -0,0 +1,284 @@
+/**
+ * Performance log panel
+ *
+ * Saves the current performance to the browser (IndexedDB), lists the history
+ * graded with the selected standards set, charts Age Grade over time and
+ * flags the best performance per event. JSON import/export moves the log
+ * between devices.
+ */
+
+import { parseIsoDate, secondsToTime } from "../lib/agegrade.js";
+import { LogImportError, createLogEntry, exportLog, gradeLog, parseLogImport } from "../lib/log.js";
+import { downloadText } from "./download.js";
+import { eventDisplayName, formatNumber, formatPct, getLocale, localize, t } from "./i18n.js";
+import { createLogStore } from "./logstore.js";
+import { svgEl } from "./svg.js";
+import { buildSortableTable } from "./table.js";
+
+/** Chart size (viewBox units) and padding for the axis labels */
+const CHART = { width: 640, height: 240, left: 48, right: 16, top: 16, bottom: 32 };
+
+/**
+ * Draws Age Grade over time (one dot per performance, bests highlighted)
+ * @param {any[]} graded Output of `gradeLog`, oldest first
+ * @returns {SVGSVGElement|null}
+ */
+function buildLogChart(graded) {
+  const points = graded
+    .filter((g) => !g.grade.error)
+    .map((g) => ({ g, t: parseIsoDate(g.date).getTime(), pct: g.grade.pct }));
+  if (!points.length) return null;
+
+  const { width, height, left, right, top, bottom } = CHART;
+  const minT = points[0].t;
+  const maxT = points[points.length - 1].t;
+  const minPct = Math.floor(Math.min(...points.map((p) => p.pct)) / 5) * 5;
+  const maxPct = Math.ceil(Math.max(...points.map((p) => p.pct)) / 5) * 5 || 5;
+  const pctSpan = maxPct - minPct || 5;
+
+  const x = (t) => (maxT === minT ? (left + width - right) / 2 : left + ((t - minT) / (maxT - minT)) * (width - left - right));
+  const y = (pct) => height - bottom - ((pct - minPct) / pctSpan) * (height - top - bottom);
+
+  const svg = svgEl("svg", {
+    class: "projectionChart",
+    viewBox: `0 0 ${width} ${height}`,
+    role: "img",
+    "aria-label": t("log.chartLabel", { count: points.length }),
+  });
+
+  for (let pct = minPct; pct <= maxPct; pct += 5) {
+    svg.appendChild(svgEl("line", { class: "grid", x1: left, x2: width - right, y1: y(pct), y2: y(pct) }));
+    const label = svgEl("text", { class: "axisLabel", x: left - 6, y: y(pct) + 4, "text-anchor": "end" });
+    label.textContent = formatPct(pct, { digits: 0 });
+    svg.appendChild(label);
+  }
+
+  for (const [t, anchor] of [
+    [minT, "start"],
+    [maxT, "end"],
+  ]) {
+    const label = svgEl("text", { class: "axisLabel", x: x(t), y: height - bottom + 18, "text-anchor": anchor });
+    label.textContent = new Date(t).toISOString().slice(0, 10);
+    svg.appendChild(label);
+    if (minT === maxT) break;
+  }
+
+  const d = points.map((p, i) => `${i ? "L" : "M"}${x(p.t).toFixed(1)},${y(p.pct).toFixed(1)}`).join(" ");
+  svg.appendChild(svgEl("path", { class: "projectionLine logLine", d }));
+
+  for (const p of points) {
+    const dot = svgEl("circle", {
+      class: p.g.best ? "projectionDot" : "logDot",
+      cx: x(p.t),
+      cy: y(p.pct),
+      r: p.g.best ? 5 : 3.5,
+    });
+    const title = svgEl("title");
+    const time = localize(secondsToTime(p.g.seconds));
+    title.textContent = `${p.g.date} ${eventDisplayName(p.g.eventLabel)} ${time}: ${formatPct(p.pct)}`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  }
+
+  return svg;
+}
+
+/**
+ * Wires the performance log panel
+ *
+ * Call `update(ctx)` whenever the main inputs change; the history is
+ * re-graded when the standards set or the language changes
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", ageInput: {exact: boolean}, eventInput: {event: string|number|null, label: string}, grade: any, seconds: number|null, date: string, timeText: string}) => void}}
+ */
+export function initLogPanel() {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    saveBtn: $("logSaveBtn"),
+    exportBtn: $("logExportBtn"),
+    importFile: $("logImportFile"),
+    status: $("logStatus"),
+    chart: $("logChart"),
+    results: $("logResults"),
+  };
+  if (!dom.saveBtn) return { update() {} };
+
+  /** @type {Awaited<ReturnType<typeof createLogStore>>|null} */
+  let store = null;
+  /** @type {import("../lib/log.js").LogEntry[]} */
+  let entries = [];
+  let last = null;
+  let gradedSet = null;
+  /** Language the history was last shown in */
+  let shownLocale = null;
+
+  const ready = createLogStore().then(async (s) => {
+    store = s;
+    entries = await s.all();
+  });
+
+  function columns() {
+    return [
+      { key: "date", label: t("common.date") },
+      { key: "eventLabel", label: t("common.event"), format: (r) => eventDisplayName(r.eventLabel) },
+      { key: "seconds", label: t("common.time"), numeric: true, format: (r) => localize(secondsToTime(r.seconds)) },
+      {
+        key: "age",
+        label: t("common.age"),
+        numeric: true,
+        format: (r) => (Number.isInteger(r.age) ? String(r.age) : formatNumber(r.age, 1)),
+      },
+      {
+        key: "pct",
+        label: t("result.title"),
+        numeric: true,
+        value: (r) => r.grade.pct,
+        format: (r) => (r.grade.error ? "—" : formatPct(r.grade.pct)),
+      },
+      {
+        key: "best",
+        label: t("log.best"),
+        value: (r) => (r.best ? 0 : 1),
+        format: (r) => (r.best ? t("log.eventBest") : ""),
+      },
+      {
+        key: "remove",
+        label: "",
+        cell: (r) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "linkBtn smallBtn";
+          btn.textContent = t("common.remove");
+          btn.addEventListener("click", () => removeEntry(r.id));
+          return btn;
+        },
+      },
+    ];
+  }
+
+  function render() {
+    dom.chart.innerHTML = "";
+    dom.results.innerHTML = "";
+    dom.exportBtn.disabled = entries.length === 0;
+    dom.saveBtn.disabled = !last || Boolean(last.grade.error);
+
+    if (!entries.length) {
+      dom.status.textContent = store?.persistent === false ? t("log.noStorage") : t("log.empty");
+      return;
+    }
+    if (!last) return;
+
+    gradedSet = last.set;
+    shownLocale = getLocale();
+    const graded = gradeLog(last.set, entries);
+    const ungraded = graded.filter((g) => g.grade.error).length;
+
+    dom.status.textContent =
+      t("log.status", { count: entries.length, set: last.set.entry.label }) +
+      (ungraded ? t("log.notInSet", { count: ungraded }) : "") +
+      ".";
+
+    const chart = buildLogChart(graded);
+    if (chart) dom.chart.appendChild(chart);
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(buildSortableTable(columns(), graded, { sortKey: "date", sortDir: -1 }));
+    dom.results.appendChild(wrap);
+  }
+
+  async function saveCurrent() {
+    if (!last || last.grade.error) {
+      dom.status.textContent = last ? t(`grade.${last.grade.error}`) : "";
+      return;
+    }
+    const { sex, ageInput, eventInput, grade, date, timeText } = last;
+    const entry = createLogEntry({
+      date,
+      sex,
+      age: grade.age,
+      exact: ageInput.exact,
+      event: eventInput.event,
+      eventLabel: eventInput.label,
+      seconds: Math.round(last.seconds * 100) / 100,
+    });
+
+    try {
+      await ready;
+      await store.put([entry]);
+    } catch {
+      dom.status.textContent = t("log.storeError");
+      return;
+    }
+    entries.push(entry);
+    render();
+    const saved = t("log.saved", { date, event: eventDisplayName(eventInput.label), time: timeText });
+    dom.status.textContent = `${saved} ${dom.status.textContent}`;
+  }
+
+  async function removeEntry(id) {
+    try {
+      await store.remove(id);
+    } catch {
+      dom.status.textContent = t("log.storeError");
+      return;
+    }
+    entries = entries.filter((e) => e.id !== id);
+    render();
+  }
+
+  async function importFile(file) {
+    let parsed;
+    try {
+      parsed = parseLogImport(await file.text());
+    } catch (err) {
+      dom.status.textContent = err instanceof LogImportError ? t(`log.importError.${err.code}`) : err.message;
+      return;
+    }
+
+    let added;
+    try {
+      await ready;
+      const known = new Set(entries.map((e) => e.id));
+      added = parsed.entries.filter((e) => !known.has(e.id));
+      await store.put(added);
+    } catch {
+      dom.status.textContent = t("log.storeError");
+      return;
+    }
+    entries.push(...added);
+    render();
+
+    const notes = [t("log.imported", { count: added.length })];
+    const duplicates = parsed.entries.length - added.length;
+    if (duplicates) notes.push(t("log.alreadySaved", { count: duplicates }));
+    if (parsed.skipped) notes.push(t("log.unreadable", { count: parsed.skipped }));
+    dom.status.textContent = `${notes.join(", ")}. ${dom.status.textContent}`;
+  }
+
+  dom.saveBtn.addEventListener("click", saveCurrent);
+  dom.exportBtn.addEventListener("click", () => {
+    if (!entries.length) return;
+    downloadText("age-grade-log.json", exportLog(entries), "application/json");
+  });
+  dom.importFile.addEventListener("change", async () => {
+    const file = dom.importFile.files?.[0];
+    dom.importFile.value = "";
+    if (file) await importFile(file);
+  });
+
+  ready.then(render, () => {
+    dom.status.textContent = t("log.openError");
+  });
+
+  return {
+    update(ctx) {
+      const stale = ctx.set !== gradedSet || getLocale() !== shownLocale;
+      last = ctx;
+      dom.saveBtn.disabled = Boolean(ctx.grade.error);
+      dom.saveBtn.title = ctx.grade.error
+        ? t(`grade.${ctx.grade.error}`)
+        : t("log.saveTitle", { time: ctx.timeText, event: eventDisplayName(ctx.eventInput.label) });
+      if (stale && store) render();
+    },
+  };
+}
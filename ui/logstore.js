@@ -0,0 +1,82 @@
+/**
+ * IndexedDB storage for the performance log
+ *
+ * One object store of log entries keyed by `id`. When IndexedDB isn't
+ * available (private browsing in some browsers, file:// pages) entries are
+ * kept in memory for the session and `persistent` is false.
+ */
+
+const DB_NAME = "age-grade";
+const DB_VERSION = 1;
+const STORE = "performances";
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Opens (creating if needed) the log database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    if (!req.result.objectStoreNames.contains(STORE)) {
+      req.result.createObjectStore(STORE, { keyPath: "id" });
+    }
+  };
+  return requestResult(req);
+}
+
+/**
+ * Creates the log store
+ * @returns {Promise<{persistent: boolean, all: () => Promise<any[]>, put: (entries: any[]) => Promise<void>, remove: (id: string) => Promise<void>}>}
+ */
+export async function createLogStore() {
+  let db = null;
+  try {
+    if (typeof indexedDB !== "undefined") db = await openDb();
+  } catch {
+    db = null;
+  }
+
+  if (!db) {
+    const memory = new Map();
+    return {
+      persistent: false,
+      all: async () => [...memory.values()],
+      put: async (entries) => entries.forEach((e) => memory.set(e.id, e)),
+      remove: async (id) => void memory.delete(id),
+    };
+  }
+
+  /**
+   * Runs one read-write transaction and resolves when it commits
+   * @param {(store: IDBObjectStore) => void} fn
+   * @returns {Promise<void>}
+   */
+  function write(fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, "readwrite");
+      fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return {
+    persistent: true,
+    all: () => requestResult(db.transaction(STORE).objectStore(STORE).getAll()),
+    put: (entries) => write((store) => entries.forEach((e) => store.put(e))),
+    remove: (id) => write((store) => store.delete(id)),
+  };
+}
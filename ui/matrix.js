@@ -0,0 +1,200 @@
+/**
+ * Multi-target equivalents panel
+ *
+ * Shows the current performance's equivalent times for several targets side
+ * by side (peak male/female, either sex at the athlete's age, and any number
+ * of custom sex/age pairs): one row per event, one column per target,
+ * sortable by any column.
+ */
+
+import { AGE_MAX, AGE_MIN, equivalentsMatrix, eventDistanceMeters } from "../lib/agegrade.js";
+import { buildExportActions } from "./export.js";
+import { eventDisplayName, formatNumber, formatPct, getLocale, localize, sexName, t } from "./i18n.js";
+import { buildSortableTable } from "./table.js";
+
+/** Targets ticked when the page opens */
+const DEFAULT_TARGETS = ["peakM", "peakF"];
+
+/**
+ * Target of a preset checkbox: "peakM" / "peakF" at the peak age, "ageM" /
+ * "ageF" at the athlete's own age
+ * @param {string} value
+ * @param {number} age
+ * @returns {{sex: "M"|"F", age: number|"peak"}}
+ */
+function presetTarget(value, age) {
+  return { sex: value.slice(-1), age: value.startsWith("peak") ? "peak" : age };
+}
+
+/**
+ * Short column heading for a target, e.g. "Peak Male", "Female 55"
+ * @param {{sex: "M"|"F", age: number|"peak"}} target
+ * @returns {string}
+ */
+function targetLabel({ sex, age }) {
+  if (age === "peak") return t("matrix.peak", { sex: sexName(sex) });
+  return t("matrix.target", { sex: sexName(sex), age: Number.isInteger(age) ? age : formatNumber(age, 2) });
+}
+
+/**
+ * Wires the multi-target panel
+ *
+ * Call `update(ctx)` whenever the main inputs change
+ * @param {{formatTime: (seconds: number, event: string|number) => string}} deps
+ *   Same display precision as the equivalents card
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", ageInput: {exact: boolean}, eventInput: {event: string|number|null, label: string, custom: boolean}, grade: any}) => void}}
+ */
+export function initMatrixPanel({ formatTime }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    presets: $("matrixPresets"),
+    customSex: $("matrixCustomSex"),
+    customAge: $("matrixCustomAge"),
+    addBtn: $("matrixAddBtn"),
+    customList: $("matrixCustomList"),
+    status: $("matrixStatus"),
+    results: $("matrixResults"),
+  };
+  if (!dom.presets) return { update() {} };
+
+  let last = null;
+  /** Custom sex/age targets, in the order added */
+  const customTargets = [];
+  /** Language the custom target chips were built in */
+  let shownLocale = getLocale();
+
+  for (const box of dom.presets.querySelectorAll("input[type=checkbox]")) {
+    box.checked = DEFAULT_TARGETS.includes(box.value);
+    box.addEventListener("change", render);
+  }
+
+  /**
+   * Targets in column order: ticked presets, then custom pairs
+   * @param {number} age Athlete's graded age
+   */
+  function currentTargets(age) {
+    const ticked = [...dom.presets.querySelectorAll("input[type=checkbox]:checked")];
+    return [...ticked.map((b) => presetTarget(b.value, age)), ...customTargets];
+  }
+
+  function renderCustomList() {
+    dom.customList.innerHTML = "";
+    for (const target of customTargets) {
+      const li = document.createElement("li");
+      li.className = "targetChip";
+      li.textContent = targetLabel(target);
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chipRemove";
+      btn.textContent = "×";
+      btn.setAttribute("aria-label", t("common.removeName", { name: targetLabel(target) }));
+      btn.addEventListener("click", () => {
+        customTargets.splice(customTargets.indexOf(target), 1);
+        renderCustomList();
+        render();
+      });
+
+      li.appendChild(btn);
+      dom.customList.appendChild(li);
+    }
+  }
+
+  function addCustom() {
+    const raw = String(dom.customAge.value ?? "").trim();
+    const age = raw ? Number(raw) : NaN;
+    if (!Number.isFinite(age) || age < AGE_MIN || age > AGE_MAX) {
+      dom.status.textContent = t("matrix.ageRange", { min: AGE_MIN, max: AGE_MAX });
+      return;
+    }
+
+    const sex = dom.customSex.value;
+    if (!customTargets.some((c) => c.sex === sex && c.age === age)) customTargets.push({ sex, age });
+    dom.customAge.value = "";
+    renderCustomList();
+    render();
+  }
+
+  function render() {
+    dom.results.innerHTML = "";
+    if (!last) return;
+
+    const { set, sex, ageInput, eventInput, grade } = last;
+    if (grade.error) {
+      dom.status.textContent = t(`grade.${grade.error}`);
+      return;
+    }
+
+    const targets = currentTargets(grade.age);
+    if (!targets.length) {
+      dom.status.textContent = t("matrix.none");
+      return;
+    }
+
+    // The athlete's own events, plus the custom distance slotted in by distance
+    const events = [...set.tables[sex].events];
+    if (eventInput.custom && eventInput.event != null) {
+      const at = events.findIndex((ev) => (eventDistanceMeters(ev) ?? 0) > eventInput.event);
+      events.splice(at < 0 ? events.length : at, 0, eventInput.event);
+    }
+
+    const matrix = equivalentsMatrix(set, grade.factor, targets, { events, exact: ageInput.exact });
+    const rows = matrix.map(({ event, seconds }) => {
+      const row = {
+        event,
+        label:
+          typeof event === "number"
+            ? t("table.customRow", { label: localize(eventInput.label) })
+            : eventDisplayName(event),
+        meters: typeof event === "number" ? event : eventDistanceMeters(event),
+      };
+      seconds.forEach((s, i) => {
+        row[`t${i}`] = s;
+      });
+      return row;
+    });
+
+    const columns = [
+      { key: "label", label: t("table.event"), value: (r) => r.meters },
+      ...targets.map((target, i) => ({
+        key: `t${i}`,
+        label: targetLabel(target),
+        numeric: true,
+        format: (r) => (r[`t${i}`] ? formatTime(r[`t${i}`], r.event) : "—"),
+      })),
+    ];
+
+    dom.status.textContent = t("matrix.status", {
+      pct: formatPct(grade.pct),
+      count: targets.length,
+      set: set.entry.label,
+    });
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(buildSortableTable(columns, rows));
+    dom.results.appendChild(wrap);
+    dom.results.appendChild(
+      buildExportActions(t("matrix.exportTitle"), [
+        columns.map((c) => c.label),
+        ...rows.map((r) => columns.map((c) => (c.format ? c.format(r) : r.label))),
+      ])
+    );
+  }
+
+  dom.addBtn.addEventListener("click", addCustom);
+  dom.customAge.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addCustom();
+  });
+
+  return {
+    update(ctx) {
+      last = ctx;
+      if (getLocale() !== shownLocale) {
+        shownLocale = getLocale();
+        renderCustomList();
+      }
+      render();
+    },
+  };
+}
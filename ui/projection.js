@@ -0,0 +1,194 @@
+/**
+ * Age progression panel
+ *
+ * Holds the current performance factor constant and shows what the entered
+ * performance is worth at every age (or a chosen range), as a table and a
+ * line chart, with the 5-year masters age groups marked.
+ */
+
+import { AGE_MAX, AGE_MIN, ageProjection } from "../lib/agegrade.js";
+import { eventDisplayName, formatPct, sexName, t } from "./i18n.js";
+import { svgEl } from "./svg.js";
+
+/** Chart size (viewBox units) and padding for the axis labels */
+const CHART = { width: 640, height: 280, left: 64, right: 16, top: 16, bottom: 36 };
+
+/**
+ * Draws the projection as a line chart (age across, time up)
+ * Age-group boundaries are dashed vertical lines; the entered age is a dot
+ * @param {{age: number, seconds: number|null, groupStart: boolean}[]} points
+ * @param {number} currentAge
+ * @param {"M"|"F"} sex
+ * @param {(seconds: number) => string} formatTime
+ * @returns {SVGSVGElement|null}
+ */
+function buildProjectionChart(points, currentAge, sex, formatTime) {
+  const valid = points.filter((p) => p.seconds);
+  if (valid.length < 2) return null;
+
+  const { width, height, left, right, top, bottom } = CHART;
+  const minAge = valid[0].age;
+  const maxAge = valid[valid.length - 1].age;
+  const minSec = Math.min(...valid.map((p) => p.seconds));
+  const maxSec = Math.max(...valid.map((p) => p.seconds));
+  const span = maxSec - minSec || 1;
+
+  const x = (age) => left + ((age - minAge) / (maxAge - minAge)) * (width - left - right);
+  const y = (sec) => height - bottom - ((sec - minSec) / span) * (height - top - bottom);
+
+  const svg = svgEl("svg", {
+    class: "projectionChart",
+    viewBox: `0 0 ${width} ${height}`,
+    role: "img",
+    "aria-label": t("projection.chartLabel", { sex: sexName(sex), from: minAge, to: maxAge }),
+  });
+
+  // Time gridlines
+  const ticks = 4;
+  for (let i = 0; i <= ticks; i++) {
+    const sec = minSec + (span * i) / ticks;
+    svg.appendChild(svgEl("line", { class: "grid", x1: left, x2: width - right, y1: y(sec), y2: y(sec) }));
+    const label = svgEl("text", { class: "axisLabel", x: left - 6, y: y(sec) + 4, "text-anchor": "end" });
+    label.textContent = formatTime(sec);
+    svg.appendChild(label);
+  }
+
+  // Masters age-group boundaries
+  for (const p of points) {
+    if (!p.groupStart) continue;
+    svg.appendChild(svgEl("line", { class: "groupLine", x1: x(p.age), x2: x(p.age), y1: top, y2: height - bottom }));
+    const label = svgEl("text", { class: "axisLabel", x: x(p.age), y: height - bottom + 16, "text-anchor": "middle" });
+    label.textContent = `${sex}${p.age}`;
+    svg.appendChild(label);
+  }
+
+  const d = valid.map((p, i) => `${i ? "L" : "M"}${x(p.age).toFixed(1)},${y(p.seconds).toFixed(1)}`).join(" ");
+  svg.appendChild(svgEl("path", { class: "projectionLine", d }));
+
+  const current = valid.find((p) => p.age === currentAge);
+  if (current) {
+    const dot = svgEl("circle", { class: "projectionDot", cx: x(current.age), cy: y(current.seconds), r: 5 });
+    const title = svgEl("title");
+    title.textContent = t("projection.dot", { age: current.age, time: formatTime(current.seconds) });
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  }
+
+  return svg;
+}
+
+/**
+ * Builds the projection table (age, age group, equivalent time)
+ * @param {{age: number, seconds: number|null, groupStart: boolean}[]} points
+ * @param {number} currentAge
+ * @param {"M"|"F"} sex
+ * @param {(seconds: number) => string} formatTime
+ * @returns {HTMLTableElement}
+ */
+function buildProjectionTable(points, currentAge, sex, formatTime) {
+  const table = document.createElement("table");
+  const thead = document.createElement("thead");
+  const trh = document.createElement("tr");
+  for (const h of [t("common.age"), t("projection.group"), t("table.time")]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    trh.appendChild(th);
+  }
+  thead.appendChild(trh);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  for (const p of points) {
+    const tr = document.createElement("tr");
+    if (p.groupStart) tr.className = "groupStart";
+    if (p.age === currentAge) tr.classList.add("currentRow");
+
+    const time = p.seconds ? formatTime(p.seconds) : "—";
+    const cells = [String(p.age), p.groupStart ? `${sex}${p.age}` : "", time];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Wires the age progression panel
+ *
+ * Call `update(ctx)` whenever the main inputs change
+ * @param {{formatTime: (seconds: number, event: string|number) => string}} deps
+ *   Same display precision as the equivalents card
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", eventInput: {event: string|number|null}, eventLabel: string, grade: any}) => void}}
+ */
+export function initProjectionPanel({ formatTime }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    from: $("projectionFrom"),
+    to: $("projectionTo"),
+    status: $("projectionStatus"),
+    chart: $("projectionChart"),
+    results: $("projectionResults"),
+  };
+  if (!dom.from) return { update() {} };
+
+  let last = null;
+
+  /** Age range from the inputs (blank means the whole table) */
+  function range() {
+    const read = (el, fallback) => {
+      const raw = String(el.value ?? "").trim();
+      const n = raw ? Number(raw) : NaN;
+      return Number.isFinite(n) ? Math.min(AGE_MAX, Math.max(AGE_MIN, n)) : fallback;
+    };
+    return { from: read(dom.from, AGE_MIN), to: read(dom.to, AGE_MAX) };
+  }
+
+  function render() {
+    dom.chart.innerHTML = "";
+    dom.results.innerHTML = "";
+    if (!last) return;
+
+    const { set, sex, eventInput, eventLabel, grade } = last;
+    if (grade.error) {
+      dom.status.textContent = t(`grade.${grade.error}`);
+      return;
+    }
+
+    const points = ageProjection({ set, factor: grade.factor, sex, event: eventInput.event, ...range() });
+    if (!points.length) {
+      dom.status.textContent = t("projection.noAges");
+      return;
+    }
+
+    dom.status.textContent = t("projection.status", {
+      pct: formatPct(grade.pct),
+      event: eventDisplayName(eventLabel),
+      sex: sexName(sex),
+      from: points[0].age,
+      to: points[points.length - 1].age,
+    });
+
+    const currentAge = Math.round(grade.age);
+    const fmt = (seconds) => formatTime(seconds, eventInput.event);
+    const chart = buildProjectionChart(points, currentAge, sex, fmt);
+    if (chart) dom.chart.appendChild(chart);
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap";
+    wrap.appendChild(buildProjectionTable(points, currentAge, sex, fmt));
+    dom.results.appendChild(wrap);
+  }
+
+  for (const el of [dom.from, dom.to]) el.addEventListener("input", render);
+
+  return {
+    update(ctx) {
+      last = ctx;
+      render();
+    },
+  };
+}
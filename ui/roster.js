@@ -0,0 +1,307 @@
+/**
+ * Team roster panel
+ *
+ * Keeps a squad (name, gender, date of birth) in the browser. Enter each
+ * athlete's finish time for one race to rank the squad by Age Grade, with
+ * peak-age equivalents for both genders, and flag the best scoring team.
+ */
+
+import { parseIsoDate } from "../lib/agegrade.js";
+import { bestTeam, cleanRoster, createAthlete, gradeRoster } from "../lib/roster.js";
+import { buildExportActions } from "./export.js";
+import { eventDisplayName, formatNumber, formatPct, getLocale, sexName, t } from "./i18n.js";
+import { buildSortableTable } from "./table.js";
+
+/** localStorage key for the saved roster */
+const ROSTER_KEY = "age-grade-roster";
+
+/**
+ * Reads the saved roster (empty when storage is unavailable)
+ * @returns {import("../lib/roster.js").Athlete[]}
+ */
+function loadRoster() {
+  try {
+    return cleanRoster(JSON.parse(localStorage.getItem(ROSTER_KEY) ?? "[]"));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves the roster; returns false when the browser won't store it
+ * @param {import("../lib/roster.js").Athlete[]} athletes
+ * @returns {boolean}
+ */
+function saveRoster(athletes) {
+  try {
+    localStorage.setItem(ROSTER_KEY, JSON.stringify(athletes));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whole-number input value, or the fallback when empty/invalid
+ * @param {HTMLInputElement} input
+ * @param {number} fallback
+ * @param {number} min
+ * @returns {number}
+ */
+function intValue(input, fallback, min) {
+  const n = Math.floor(Number(input.value));
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Wires the team roster panel
+ *
+ * Call `update(ctx)` whenever the main inputs change; the race event
+ * follows the main event until one is picked here
+ * @param {{formatTime: (seconds: number, event: string|number) => string, today: () => string}} deps
+ * @returns {{update: (ctx: {set: any, ageInput: {exact: boolean}, eventInput: {event: string|number|null, custom: boolean}}) => void}}
+ */
+export function initRosterPanel({ formatTime, today }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    name: $("rosterName"),
+    sex: $("rosterSex"),
+    dob: $("rosterDob"),
+    addBtn: $("rosterAddBtn"),
+    event: $("rosterEvent"),
+    raceDate: $("rosterRaceDate"),
+    teamSize: $("rosterTeamSize"),
+    minPerSex: $("rosterMinPerSex"),
+    athletes: $("rosterAthletes"),
+    status: $("rosterStatus"),
+    results: $("rosterResults"),
+  };
+  if (!dom.addBtn) return { update() {} };
+
+  let athletes = loadRoster();
+  /** Finish times as typed, by athlete id (for the current race only) */
+  const times = {};
+  let last = null;
+  /** Set once an event is picked here; until then the main event is used */
+  let eventChosen = false;
+  /** Language the athlete list and event names were built in */
+  let shownLocale = getLocale();
+
+  /** Rebuilds the athlete list (name, gender, born, time box, remove) */
+  function renderAthletes() {
+    dom.athletes.innerHTML = "";
+    if (!athletes.length) return;
+
+    const table = document.createElement("table");
+    table.className = "rosterTable";
+    const thead = document.createElement("thead");
+    const trh = document.createElement("tr");
+    for (const label of [t("common.name"), t("input.sex"), t("roster.born"), t("common.time"), ""]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      trh.appendChild(th);
+    }
+    thead.appendChild(trh);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    for (const a of athletes) {
+      const tr = document.createElement("tr");
+      for (const text of [a.name, sexName(a.sex), a.dob]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+
+      const timeCell = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "rosterTime";
+      input.autocomplete = "off";
+      input.placeholder = "mm:ss";
+      input.value = times[a.id] ?? "";
+      input.setAttribute("aria-label", t("roster.timeLabel", { name: a.name }));
+      input.addEventListener("input", () => {
+        times[a.id] = input.value;
+        render();
+      });
+      timeCell.appendChild(input);
+      tr.appendChild(timeCell);
+
+      const removeCell = document.createElement("td");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "linkBtn smallBtn";
+      btn.textContent = t("common.remove");
+      btn.setAttribute("aria-label", t("common.removeName", { name: a.name }));
+      btn.addEventListener("click", () => removeAthlete(a.id));
+      removeCell.appendChild(btn);
+      tr.appendChild(removeCell);
+
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(table);
+    dom.athletes.appendChild(wrap);
+  }
+
+  function store() {
+    if (!saveRoster(athletes)) {
+      dom.status.textContent = t("roster.noStorage");
+    }
+  }
+
+  function addAthlete() {
+    const name = String(dom.name.value ?? "").trim();
+    const dob = String(dom.dob.value ?? "").trim();
+    if (!name) {
+      dom.status.textContent = t("roster.enterName");
+      return;
+    }
+    if (!parseIsoDate(dob)) {
+      dom.status.textContent = t("roster.enterDob");
+      return;
+    }
+
+    athletes.push(createAthlete({ name, sex: dom.sex.value === "F" ? "F" : "M", dob }));
+    athletes.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+    dom.name.value = "";
+    dom.dob.value = "";
+    dom.name.focus();
+    renderAthletes();
+    render();
+    store();
+  }
+
+  function removeAthlete(id) {
+    athletes = athletes.filter((a) => a.id !== id);
+    delete times[id];
+    renderAthletes();
+    render();
+    store();
+  }
+
+  /** Fills the race event list from the set, keeping the choice where possible */
+  function refreshEvents() {
+    const { set, eventInput } = last;
+    const events = [...set.tables.M.events];
+    for (const ev of set.tables.F.events) {
+      if (!events.some((e) => e.toLowerCase() === ev.toLowerCase())) events.push(ev);
+    }
+
+    const keep = eventChosen ? dom.event.value : !eventInput.custom ? eventInput.event : dom.event.value;
+    dom.event.innerHTML = "";
+    for (const ev of events) {
+      const opt = document.createElement("option");
+      opt.value = ev;
+      opt.textContent = eventDisplayName(ev);
+      dom.event.appendChild(opt);
+    }
+    const match = events.find((e) => e.toLowerCase() === String(keep ?? "").toLowerCase());
+    if (match) dom.event.value = match;
+  }
+
+  function render() {
+    dom.results.innerHTML = "";
+    if (!last) return;
+
+    if (!athletes.length) {
+      dom.status.textContent = t("roster.empty");
+      return;
+    }
+
+    const { set, ageInput } = last;
+    const event = dom.event.value;
+    const eventName = eventDisplayName(event);
+    const raceDate = String(dom.raceDate.value ?? "").trim() || today();
+    const rows = gradeRoster({ set, event, raceDate, athletes, times, exact: ageInput.exact });
+    const graded = rows.filter((r) => r.rank != null);
+    if (!graded.length) {
+      dom.status.textContent = t("roster.enterTimes", { event: eventName, date: raceDate });
+      return;
+    }
+
+    const size = intValue(dom.teamSize, 4, 1);
+    const minPerSex = intValue(dom.minPerSex, 0, 0);
+    const team = bestTeam(rows, { size, minPerSex });
+    const scores = (r) => team.complete && team.members.has(r.athlete.id);
+    const mixed = minPerSex > 0 ? t("roster.mixed", { count: Math.min(minPerSex, Math.floor(size / 2)) }) : "";
+
+    const summary = t("roster.status", {
+      ranked: graded.length,
+      count: athletes.length,
+      event: eventName,
+      date: raceDate,
+      set: set.entry.label,
+    });
+    dom.status.textContent =
+      summary +
+      " " +
+      (team.complete
+        ? t("roster.team", { size, mixed, total: formatNumber(team.total, 2) })
+        : t("roster.noTeam", { size, mixed }));
+
+    const time = (s) => (s ? formatTime(s, event) : "—");
+    const columns = [
+      { key: "rank", label: t("roster.rank"), numeric: true, format: (r) => (r.rank ?? "—").toString() },
+      { key: "name", label: t("common.name"), value: (r) => r.athlete.name, format: (r) => r.athlete.name },
+      { key: "sex", label: t("input.sex"), value: (r) => r.athlete.sex, format: (r) => sexName(r.athlete.sex) },
+      {
+        key: "age",
+        label: t("common.age"),
+        numeric: true,
+        format: (r) => (r.age == null ? "—" : Number.isInteger(r.age) ? String(r.age) : formatNumber(r.age, 1)),
+      },
+      { key: "seconds", label: t("common.time"), numeric: true, format: (r) => time(r.seconds) },
+      { key: "pct", label: t("result.title"), numeric: true, format: (r) => (r.pct == null ? "—" : formatPct(r.pct)) },
+      { key: "peakSame", label: t("roster.peakSame"), numeric: true, format: (r) => time(r.peakSame) },
+      { key: "peakOther", label: t("roster.peakOther"), numeric: true, format: (r) => time(r.peakOther) },
+      {
+        key: "team",
+        label: t("roster.teamColumn"),
+        value: (r) => (scores(r) ? 0 : 1),
+        format: (r) => (scores(r) ? t("roster.scores") : r.error ? t(`roster.error.${r.error}`) : ""),
+      },
+    ];
+
+    const wrap = document.createElement("div");
+    wrap.className = "resultTableWrap wideTableWrap";
+    wrap.appendChild(buildSortableTable(columns, rows));
+    dom.results.appendChild(wrap);
+    dom.results.appendChild(
+      buildExportActions(t("roster.exportTitle", { event: eventName, date: raceDate }), [
+        columns.map((c) => c.label),
+        ...rows.map((r) => columns.map((c) => c.format(r))),
+      ])
+    );
+  }
+
+  dom.addBtn.addEventListener("click", addAthlete);
+  for (const input of [dom.name, dom.dob]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addAthlete();
+    });
+  }
+  dom.event.addEventListener("change", () => {
+    eventChosen = true;
+    render();
+  });
+  for (const input of [dom.raceDate, dom.teamSize, dom.minPerSex]) input.addEventListener("input", render);
+
+  renderAthletes();
+
+  return {
+    update(ctx) {
+      const setChanged = ctx.set !== last?.set;
+      const relabel = getLocale() !== shownLocale;
+      last = ctx;
+      shownLocale = getLocale();
+      if (setChanged || !eventChosen || relabel) refreshEvents();
+      if (relabel) renderAthletes();
+      render();
+    },
+  };
+}
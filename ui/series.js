@@ -0,0 +1,326 @@
+/**
+ * Series / league panel
+ *
+ * Collects several race results files (uploaded here, or taken from the batch
+ * panel), grades them with the selected standards set and shows an
+ * age-graded league table with overall, per-sex and per-age-band breakdowns.
+ */
+
+import { BATCH_FIELDS, guessColumnMapping, gradeRows } from "../lib/batch.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { SCORING_METHODS, buildLeague } from "../lib/series.js";
+import { downloadText } from "./download.js";
+import { formatNumber, getLocale, sexName, t } from "./i18n.js";
+import { buildSortableTable } from "./table.js";
+
+/** Message keys of the league CSV's fixed columns (one column per race follows) */
+const LEAGUE_HEADERS = [
+  "series.pos",
+  "common.name",
+  "batch.column.sex",
+  "series.band",
+  "series.sexPos",
+  "series.bandPos",
+  "series.races",
+  "series.score",
+];
+
+/**
+ * Formats a league score for the chosen method
+ * @param {number|null} score
+ * @param {string} method
+ * @returns {string}
+ */
+function formatScore(score, method) {
+  if (score == null) return "—";
+  return method === "points" ? String(score) : formatNumber(score, 2);
+}
+
+/**
+ * Columns for the league table (one extra column per race)
+ * @param {string[]} races
+ * @param {string} method
+ * @param {string} posKey Which position to show (overall, sex or band)
+ */
+function leagueColumns(races, method, posKey) {
+  return [
+    { key: posKey, label: t("series.pos"), numeric: true },
+    { key: "name", label: t("common.name") },
+    { key: "sex", label: t("batch.column.sex"), format: (r) => sexName(r.sex) },
+    { key: "band", label: t("series.band") },
+    { key: "racesRun", label: t("series.races"), numeric: true },
+    { key: "score", label: t("series.score"), numeric: true, format: (r) => formatScore(r.score, method) },
+    ...races.map((name, i) => ({
+      key: `race${i}`,
+      label: name,
+      numeric: true,
+      value: (r) => r.scores[i],
+      // Scores that don't count towards the total are shown in brackets
+      format: (r) =>
+        r.scores[i] == null
+          ? "—"
+          : r.counted[i]
+            ? formatScore(r.scores[i], method)
+            : `(${formatScore(r.scores[i], method)})`,
+    })),
+  ];
+}
+
+/**
+ * Rows (header first) for exporting the league as CSV
+ * @param {{races: string[], rows: any[]}} league
+ * @param {string} method
+ * @returns {string[][]}
+ */
+function leagueToRows(league, method) {
+  return [
+    [...LEAGUE_HEADERS.map((key) => t(key)), ...league.races],
+    ...league.rows.map((r) => [
+      String(r.position),
+      r.name,
+      r.sex,
+      r.band,
+      String(r.sexPosition),
+      String(r.bandPosition),
+      String(r.racesRun),
+      formatScore(r.score, method),
+      ...r.scores.map((s) => (s == null ? "" : formatScore(s, method))),
+    ]),
+  ];
+}
+
+/**
+ * Wires the series panel
+ *
+ * Call `update(ctx)` whenever the main inputs change; the league is re-graded
+ * when the standards set or the language changes
+ * @param {{getSet: () => Promise<any>, getBatchImport?: () => {rows: string[][], mapping: Record<string, number>, firstLine: number}}} deps
+ * @returns {{update: (ctx: {set: any}) => void}}
+ */
+export function initSeriesPanel({ getSet, getBatchImport }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    files: $("seriesFiles"),
+    raceName: $("seriesRaceName"),
+    addBatchBtn: $("seriesAddBatchBtn"),
+    races: $("seriesRaces"),
+    method: $("seriesMethod"),
+    bestN: $("seriesBestN"),
+    maxPoints: $("seriesMaxPoints"),
+    breakdown: $("seriesBreakdown"),
+    bandWidth: $("seriesBandWidth"),
+    downloadBtn: $("seriesDownloadBtn"),
+    status: $("seriesStatus"),
+    league: $("seriesLeague"),
+  };
+  if (!dom.files) return { update() {} };
+
+  /** @type {{name: string, rows: string[][], mapping: Record<string, number>, firstLine: number}[]} */
+  const races = [];
+  let league = null;
+  let renderToken = 0;
+  /** Standards set and language the league was last graded with */
+  let gradedSet = null;
+  let shownLocale = getLocale();
+
+  for (const value of Object.keys(SCORING_METHODS)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    dom.method.appendChild(opt);
+  }
+
+  function renderMethods() {
+    for (const opt of dom.method.options) opt.textContent = t(`series.method.${opt.value}`);
+  }
+
+  function options() {
+    return {
+      method: dom.method.value,
+      bestN: Math.max(1, Math.round(Number(dom.bestN.value) || 1)),
+      maxPoints: Math.max(1, Math.round(Number(dom.maxPoints.value) || 100)),
+      bandWidth: Number(dom.bandWidth.value) || 5,
+    };
+  }
+
+  function renderRaceList(graded) {
+    dom.races.innerHTML = "";
+
+    races.forEach((race, i) => {
+      const li = document.createElement("li");
+      const g = graded?.[i];
+      const missing = BATCH_FIELDS.filter((f) => !(race.mapping[f] >= 0));
+
+      const text = document.createElement("span");
+      text.textContent = missing.length
+        ? t("series.missing", { race: race.name, fields: missing.map((f) => t(`batch.column.${f}`)).join(", ") })
+        : t("series.graded", { race: race.name, count: g?.results.length ?? 0 }) +
+          (g?.errors.length ? t("series.skipped", { count: g.errors.length }) : "");
+      li.appendChild(text);
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "linkBtn smallBtn";
+      remove.textContent = t("common.remove");
+      remove.addEventListener("click", () => {
+        races.splice(i, 1);
+        render();
+      });
+      li.appendChild(remove);
+
+      dom.races.appendChild(li);
+    });
+  }
+
+  function renderLeague(opts) {
+    dom.league.innerHTML = "";
+    if (!league?.rows.length) return;
+
+    const breakdown = dom.breakdown.value;
+    const groups = [];
+
+    if (breakdown === "overall") {
+      groups.push({ title: null, rows: league.rows, posKey: "position" });
+    } else if (breakdown === "M" || breakdown === "F") {
+      const rows = league.rows.filter((r) => r.sex === breakdown);
+      groups.push({ title: null, rows, posKey: "sexPosition" });
+    } else {
+      const byCategory = new Map();
+      for (const r of league.rows) {
+        if (!byCategory.has(r.category)) byCategory.set(r.category, []);
+        byCategory.get(r.category).push(r);
+      }
+      const keys = [...byCategory.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const k of keys) {
+        const rows = byCategory.get(k);
+        groups.push({ title: `${sexName(rows[0].sex)} ${rows[0].band}`, rows, posKey: "bandPosition" });
+      }
+    }
+
+    for (const g of groups) {
+      if (g.title) {
+        const h = document.createElement("h3");
+        h.textContent = g.title;
+        dom.league.appendChild(h);
+      }
+      const wrap = document.createElement("div");
+      wrap.className = "resultTableWrap wideTableWrap";
+      wrap.appendChild(
+        buildSortableTable(leagueColumns(league.races, opts.method, g.posKey), g.rows, {
+          sortKey: g.posKey,
+          sortDir: 1,
+        })
+      );
+      dom.league.appendChild(wrap);
+    }
+  }
+
+  async function render() {
+    const token = ++renderToken;
+    const opts = options();
+    dom.bestN.disabled = opts.method === "average";
+    dom.maxPoints.disabled = opts.method !== "points";
+
+    league = null;
+    dom.downloadBtn.disabled = true;
+    dom.league.innerHTML = "";
+
+    if (!races.length) {
+      renderRaceList([]);
+      dom.status.textContent = t("series.empty");
+      return;
+    }
+
+    let set;
+    try {
+      set = await getSet();
+    } catch {
+      if (token === renderToken) dom.status.textContent = t("common.loadError");
+      return;
+    }
+    if (token !== renderToken) return;
+
+    const graded = races.map((r) => gradeRows(set, r.rows, r.mapping, r.firstLine));
+    renderRaceList(graded);
+
+    league = buildLeague(
+      races.map((r, i) => ({ name: r.name, results: graded[i].results })),
+      opts
+    );
+
+    dom.status.textContent = t("series.status", {
+      athletes: league.rows.length,
+      count: races.length,
+      set: set.entry.label,
+    });
+    dom.downloadBtn.disabled = league.rows.length === 0;
+    renderLeague(opts);
+  }
+
+  /**
+   * Adds a race from CSV text (header row required for the column mapping)
+   * @param {string} name
+   * @param {string} text
+   */
+  function addRaceFromCsv(name, text) {
+    const rows = parseCsv(text);
+    races.push({
+      name,
+      rows: rows.slice(1),
+      mapping: rows.length ? guessColumnMapping(rows[0]) : {},
+      firstLine: 2,
+    });
+  }
+
+  dom.files.addEventListener("change", async () => {
+    const files = [...(dom.files.files ?? [])];
+    dom.files.value = "";
+
+    // Read them all first, so an unreadable file adds none of the batch
+    const texts = [];
+    for (const file of files) {
+      try {
+        texts.push(await file.text());
+      } catch {
+        dom.status.textContent = t("common.readError", { name: file.name });
+        return;
+      }
+    }
+    files.forEach((file, i) => addRaceFromCsv(file.name.replace(/\.[^.]+$/, ""), texts[i]));
+    render();
+  });
+
+  dom.addBatchBtn?.addEventListener("click", () => {
+    const imported = getBatchImport?.();
+    if (!imported?.rows.length) {
+      dom.status.textContent = t("series.needBatch");
+      return;
+    }
+    const name = String(dom.raceName.value ?? "").trim() || t("series.raceN", { n: races.length + 1 });
+    races.push({ name, ...imported });
+    dom.raceName.value = "";
+    render();
+  });
+
+  for (const el of [dom.method, dom.breakdown, dom.bandWidth]) el.addEventListener("change", render);
+  for (const el of [dom.bestN, dom.maxPoints]) el.addEventListener("input", render);
+
+  dom.downloadBtn.addEventListener("click", () => {
+    if (!league?.rows.length) return;
+    downloadText("age-graded-series.csv", toCsv(leagueToRows(league, dom.method.value)));
+  });
+
+  renderMethods();
+  render();
+
+  return {
+    update(ctx) {
+      if (ctx.set === gradedSet && getLocale() === shownLocale) return;
+      gradedSet = ctx.set;
+      if (getLocale() !== shownLocale) {
+        shownLocale = getLocale();
+        renderMethods();
+      }
+      render();
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Small SVG helpers for the inline charts (no charting library)
+ */
+
+export const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Creates an SVG element with attributes
+ * @param {string} tag
+ * @param {Record<string, string|number>} [attrs]
+ * @returns {SVGElement}
+ */
+export function svgEl(tag, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+  return node;
+}
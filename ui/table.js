@@ -0,0 +1,109 @@
+/**
+ * Sortable results table
+ *
+ * Clicking a column header sorts by that column; clicking it again reverses
+ * the order. Used by the batch, series and other multi-row panels.
+ */
+
+/**
+ * @typedef {object} Column
+ * @property {string} key Row property shown in the column
+ * @property {string} label Header text
+ * @property {boolean} [numeric] Sort numerically and right-align
+ * @property {(row: any) => string} [format] Display text (defaults to the raw value)
+ * @property {(row: any) => any} [value] Sort value (defaults to the raw value)
+ * @property {(row: any) => Node} [cell] Custom cell content (e.g. a button); overrides `format`
+ */
+
+/**
+ * Compares two sort values; empty values always sort last
+ * @param {any} a
+ * @param {any} b
+ * @param {boolean} numeric
+ * @returns {number}
+ */
+function compareValues(a, b, numeric) {
+  const emptyA = a == null || a === "" || (numeric && !Number.isFinite(a));
+  const emptyB = b == null || b === "" || (numeric && !Number.isFinite(b));
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+
+  if (numeric) return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+/**
+ * Builds a table whose headers sort the rows when clicked
+ * @param {Column[]} columns
+ * @param {any[]} rows
+ * @param {{sortKey?: string, sortDir?: 1|-1}} [initial]
+ * @returns {HTMLTableElement}
+ */
+export function buildSortableTable(columns, rows, { sortKey = null, sortDir = 1 } = {}) {
+  const table = document.createElement("table");
+  table.className = "sortableTable";
+
+  const thead = document.createElement("thead");
+  const trh = document.createElement("tr");
+  const tbody = document.createElement("tbody");
+
+  let key = sortKey;
+  let dir = sortDir;
+
+  const headers = columns.map((col) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    if (col.numeric) th.className = "num";
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "sortBtn";
+    btn.textContent = col.label;
+    btn.addEventListener("click", () => {
+      dir = key === col.key ? -dir : 1;
+      key = col.key;
+      render();
+    });
+
+    th.appendChild(btn);
+    trh.appendChild(th);
+    return th;
+  });
+
+  function render() {
+    const col = columns.find((c) => c.key === key);
+    const sorted = col
+      ? rows
+          .map((row, i) => ({ row, i }))
+          .sort((a, b) => {
+            const get = col.value ?? ((r) => r[col.key]);
+            return dir * compareValues(get(a.row), get(b.row), col.numeric) || a.i - b.i;
+          })
+          .map((x) => x.row)
+      : rows;
+
+    headers.forEach((th, i) => {
+      const active = columns[i].key === key;
+      th.setAttribute("aria-sort", active ? (dir === 1 ? "ascending" : "descending") : "none");
+    });
+
+    tbody.innerHTML = "";
+    for (const row of sorted) {
+      const tr = document.createElement("tr");
+      for (const c of columns) {
+        const td = document.createElement("td");
+        if (c.numeric) td.className = "num";
+        if (c.cell) td.appendChild(c.cell(row));
+        else td.textContent = c.format ? c.format(row) : String(row[c.key] ?? "");
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  }
+
+  thead.appendChild(trh);
+  table.appendChild(thead);
+  table.appendChild(tbody);
+  render();
+
+  return table;
+}
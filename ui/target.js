@@ -0,0 +1,162 @@
+/**
+ * Target Age Grade panel (reverse calculator)
+ *
+ * Goes from a target Age Grade % (or a named WMA performance level) to the
+ * time needed for the selected event, plus required times for every event,
+ * using the sex/age/event/standards chosen in the main inputs.
+ */
+
+import {
+  PERFORMANCE_LEVELS,
+  performanceLevel,
+  requiredTime,
+  clampAge,
+  clampAgeExact,
+  eventDistanceMeters,
+} from "../lib/agegrade.js";
+import {
+  eventDisplayName,
+  formatTypedPct,
+  getLocale,
+  levelName,
+  localize,
+  parseDecimal,
+  sexName,
+  t,
+} from "./i18n.js";
+
+const CUSTOM_LEVEL = "custom";
+
+/**
+ * Wires the target panel
+ *
+ * Call `update(ctx)` whenever the main inputs change
+ * @param {{buildSection: Function, describeAge: (age: number, ageInput: any) => string, formatTime: (seconds: number, event: string|number) => string}} deps
+ *   Shared with the equivalents card so both tables look the same (and use
+ *   the same display precision)
+ * @returns {{update: (ctx: {set: any, sex: "M"|"F", ageInput: {age: number|null, exact: boolean}, eventInput: {event: string|number|null, label: string, custom: boolean}}) => void}}
+ */
+export function initTargetPanel({ buildSection, describeAge, formatTime }) {
+  const $ = (id) => document.getElementById(id);
+  const dom = {
+    level: $("targetLevel"),
+    pct: $("targetPct"),
+    out: $("targetOut"),
+    note: $("targetNote"),
+    results: $("targetResults"),
+  };
+  if (!dom.level) return { update() {} };
+
+  let last = null;
+  /** Language the level options were built in */
+  let shownLocale = null;
+
+  /** Fills the level picker in the current language, keeping the choice */
+  function renderLevels() {
+    const value = dom.level.value || "national";
+    dom.level.innerHTML = "";
+    for (const l of PERFORMANCE_LEVELS) {
+      const opt = document.createElement("option");
+      opt.value = l.id;
+      opt.textContent = t("target.levelOption", { level: levelName(l), pct: formatTypedPct(l.pct) });
+      dom.level.appendChild(opt);
+    }
+    const customOpt = document.createElement("option");
+    customOpt.value = CUSTOM_LEVEL;
+    customOpt.textContent = t("target.customLevel");
+    dom.level.appendChild(customOpt);
+    dom.level.value = value;
+    shownLocale = getLocale();
+  }
+
+  function targetPct() {
+    const level = PERFORMANCE_LEVELS.find((l) => l.id === dom.level.value);
+    if (level) return level.pct;
+    const n = parseDecimal(String(dom.pct.value ?? "").trim().replace(/\s*%$/, ""));
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  function render() {
+    const level = PERFORMANCE_LEVELS.find((l) => l.id === dom.level.value);
+    if (level) dom.pct.value = String(level.pct);
+    dom.pct.readOnly = Boolean(level);
+
+    dom.results.innerHTML = "";
+    dom.out.textContent = "—";
+    if (!last) return;
+
+    const { set, sex, ageInput, eventInput } = last;
+    const { exact } = ageInput;
+    const age = exact ? clampAgeExact(ageInput.age) : clampAge(ageInput.age);
+    const pct = targetPct();
+
+    if (pct == null) {
+      dom.note.textContent = t("target.enterPct");
+      return;
+    }
+    if (age == null) {
+      dom.note.textContent = t("grade.age");
+      return;
+    }
+    const ageText = describeAge(age, ageInput);
+    if (eventInput.event == null) {
+      dom.note.textContent = t("grade.distance");
+      return;
+    }
+
+    const needed = requiredTime({ set, sex, age, event: eventInput.event, pct, exact });
+    dom.out.textContent = needed ? formatTime(needed, eventInput.event) : "—";
+    const reached = performanceLevel(pct);
+    dom.note.textContent = needed
+      ? t("target.note", {
+          pct: formatTypedPct(pct),
+          level: reached ? t("target.noteLevel", { level: levelName(reached) }) : "",
+          event: eventDisplayName(eventInput.label),
+          sex: sexName(sex),
+          age: ageText,
+          set: set.entry.label,
+        })
+      : t("grade.standard");
+
+    const rowFor = (event, label) => {
+      const s = requiredTime({ set, sex, age, event, pct, exact });
+      const meters = typeof event === "number" ? event : eventDistanceMeters(event);
+      return { event: label, time: s ? formatTime(s, event) : "—", seconds: s, meters };
+    };
+    const events = set.tables[sex].events;
+    const rows = events.map((ev) => rowFor(ev, eventDisplayName(ev)));
+    if (eventInput.custom) {
+      const at = events.findIndex((ev) => (eventDistanceMeters(ev) ?? 0) > eventInput.event);
+      const label = t("table.customRow", { label: localize(eventInput.label) });
+      rows.splice(at < 0 ? rows.length : at, 0, rowFor(eventInput.event, label));
+    }
+
+    dom.results.appendChild(
+      buildSection(
+        t("target.title", { pct: formatTypedPct(pct), sex: sexName(sex), age: ageText }),
+        rows,
+        t("target.required")
+      )
+    );
+  }
+
+  dom.level.addEventListener("change", () => {
+    if (dom.level.value === CUSTOM_LEVEL) dom.pct.focus();
+    render();
+  });
+  dom.pct.addEventListener("input", () => {
+    if (dom.level.value !== CUSTOM_LEVEL) dom.level.value = CUSTOM_LEVEL;
+    render();
+  });
+
+  renderLevels();
+  render();
+
+  return {
+    update(ctx) {
+      last = ctx;
+      if (getLocale() !== shownLocale) renderLevels();
+      render();
+    },
+  };
+}